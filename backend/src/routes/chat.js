@@ -3,253 +3,130 @@ import express from "express";
 import crypto from "node:crypto";
 import path from "node:path";
 import fs from "node:fs";
-import { renderSystemPrompt } from "../utils/systemPrompt.js";
-import { openingLineFrom } from "../utils/openingLine.js";
-import { enforceOnTopic, redirectLine, detectPoliticalDrift, detectBeliefDrift, detectActionRoleDrift, trackUserResponse, detectRepetition, setQuestionIntent, isQuestionBlocked, getAlternativeQuestion, resetConversationState, getConversationState } from "../utils/onTopic.js";
+import { conditionAssigner } from "../utils/conditions.js";
+import { redirectLine, trackUserResponse, detectRepetition, setQuestionIntent, isQuestionBlocked, getAlternativeQuestion, resetConversationState, getConversationState, clearConversationState, loadConversationState, saveConversationState } from "../utils/onTopic.js";
+import { conversationStateManager } from "../utils/conversationStateManager.js";
+import { stageEngine } from "../utils/stageEngine.js";
+import { recordResponseSignals } from "../utils/responseSignals.js";
+import { withFixtures } from "../utils/llmFixtures.js";
+import { chatTimer } from "../utils/chatTimer.js";
+import { summaryService } from "../utils/summaryService.js";
+import { findDriftRule, getDriftRuleset } from "../utils/driftRules.js";
+import { driftClassifier } from "../utils/driftClassifier.js";
+import { replyRuleChecker } from "../utils/replyRules.js";
+import { openingLineGenerator } from "../utils/openingLine.js";
+import { narrativeExtractor, applyNarrativeExtraction } from "../utils/narrativeExtraction.js";
+import { updateTopicState, tagTopics } from "../utils/topicTaxonomy.js";
+import { questionIntentTracker } from "../utils/questionIntents.js";
+import { similarityEngine } from "../utils/similarity.js";
+import { getStudyConfig } from "../utils/studyConfig.js";
+import { combineTelemetry } from "../utils/llmTelemetry.js";
+import { computeQualityMetrics, extractOpeningPhrase } from "../utils/qualityMetrics.js";
+import { extractRecapBullets, isRecapReply, isRecapConfirmation, isRecapPending, proposeRecap, recordRecapCorrection, confirmRecap, markRecapUnconfirmed, formatRecapMessage } from "../utils/recap.js";
 
 // Conversation flow tracking
-const conversationStates = new Map(); // In-memory tracking for conversation states
+// State is persisted through ConversationStateManager (Postgres, or a file without a database)
+// so a redeploy mid-session doesn't reset participants to the exploration stage
 
 // Conversation tracking functions
-function initializeConversationState(conversationId) {
-  if (!conversationStates.has(conversationId)) {
-    conversationStates.set(conversationId, {
-      stage: 'exploration', // exploration -> elaboration -> recap -> complete
-      turnCount: 0,
-      topicTurnCount: 0,
-      lastTopic: null,
-      minimalResponseCount: 0,
-      substantiveResponseCount: 0,
-      exhaustionSignals: 0,
-      lastUserResponse: null,
-      // Enhanced narrative tracking
-      exploredTopics: new Set(), // Track what has been asked about
-      lastAssistantResponse: null, // Track AI's last response for pattern detection
-      narrativeUnderstanding: {
-        mainStory: null, // User's core belief change narrative
-        influences: [], // People/events that influenced them
-        causeEffectRelationships: [], // Track understood relationships
-        misunderstandingFlags: 0 // Track potential comprehension issues
-      },
-      responsePatterns: {
-        lastOpeningPhrase: null, // Track opening phrases to ensure variation
-        consecutiveSimilarResponses: 0 // Prevent formulaic responses
-      }
-    });
+async function initializeConversationState(conversationId, history = null) {
+  const existing = await conversationStateManager.findConversationState(conversationId);
+  if (existing) {
+    return existing;
   }
-  return conversationStates.get(conversationId);
-}
-
-function updateConversationState(conversationId, userText, assistantResponse = null) {
-  const state = initializeConversationState(conversationId);
-  state.turnCount++;
   
-  // Detect current topic from user response (simplified)
-  const currentTopic = extractTopic(userText);
-  if (currentTopic === state.lastTopic) {
-    state.topicTurnCount++;
-  } else {
-    state.topicTurnCount = 1;
-    state.lastTopic = currentTopic;
-  }
-  
-  // Track explored topics to prevent repetition
-  state.exploredTopics.add(currentTopic);
-  
-  // Classify response as minimal or substantive
-  if (isMinimalResponse(userText)) {
-    state.minimalResponseCount++;
-    state.substantiveResponseCount = 0; // Reset substantive counter
-  } else {
-    state.substantiveResponseCount++;
-    state.minimalResponseCount = 0; // Reset minimal counter
-  }
-  
-  // Track exhaustion signals
-  if (isExhaustionSignal(userText)) {
-    state.exhaustionSignals++;
-  } else {
-    state.exhaustionSignals = Math.max(0, state.exhaustionSignals - 1); // Decay
-  }
-  
-  // Enhanced narrative understanding tracking
-  updateNarrativeUnderstanding(state, userText);
-  
-  // Track assistant response patterns if provided
-  if (assistantResponse) {
-    updateResponsePatterns(state, assistantResponse);
-  }
-  
-  state.lastUserResponse = userText;
-  state.lastAssistantResponse = assistantResponse;
-  
-  // Auto-advance stages based on conversation progress
-  if (state.stage === 'exploration' && shouldAdvanceToElaboration(state)) {
-    state.stage = 'elaboration';
-    console.log('🔄 Auto-advancing to elaboration stage');
-  } else if (state.stage === 'elaboration' && shouldAdvanceToRecap(state)) {
-    state.stage = 'recap';
-    console.log('🔄 Auto-advancing to recap stage');
+  // No persisted row - rebuild from stored messages when the conversation already has turns
+  const messages = history || await loadMessages(conversationId);
+  if (messages.some(msg => msg.role === 'user')) {
+    console.log('🔄 No persisted conversation state, recovering from messages');
+    return await conversationStateManager.recoverStateFromMessages(conversationId, messages);
   }
   
+  const state = conversationStateManager.createDefaultState(conversationId);
+  await conversationStateManager.saveConversationState(conversationId, state);
   return state;
 }
 
-// Enhanced narrative understanding tracking
-function updateNarrativeUnderstanding(state, userText) {
-  const text = userText.toLowerCase();
+// Count an interview answer: turn, topics, response signals, narrative and stage. Recap replies,
+// termination requests and quick updates are not interview answers and never get here.
+// Resolves to the telemetry of the narrative extraction call, which is stored with the reply.
+async function updateConversationState(conversationId, state, userText) {
+  state.turnCount++;
   
-  // Extract potential influences and their direction
-  if (text.includes('uncle') || text.includes('family') || text.includes('friend')) {
-    const influence = extractInfluenceFromText(userText);
-    if (influence && !state.narrativeUnderstanding.influences.some(i => i.person === influence.person)) {
-      state.narrativeUnderstanding.influences.push(influence);
-      console.log('📝 Tracked new influence:', influence);
-    }
-  }
+  // Tag the turn's topics (state.lastTopics) and count turns spent on the same topic
+  updateTopicState(state, userText);
   
-  // Detect cause-effect relationships
-  if (text.includes('because') || text.includes('so') || text.includes('since') || text.includes('made me')) {
-    const relationship = extractCauseEffectFromText(userText);
-    if (relationship) {
-      state.narrativeUnderstanding.causeEffectRelationships.push(relationship);
-      console.log('📝 Tracked cause-effect relationship:', relationship);
-    }
-  }
+  // Minimal/substantive responses and exhaustion signals (shared with state recovery)
+  recordResponseSignals(state, userText);
   
-  // Update main story if this seems to be the core narrative
-  if (isMainStoryContent(userText)) {
-    state.narrativeUnderstanding.mainStory = userText;
-    console.log('📝 Updated main story understanding');
-  }
-}
-
-// Track assistant response patterns to prevent repetition
-function updateResponsePatterns(state, assistantResponse) {
-  if (!assistantResponse) return;
+  // Structured narrative: people, events, sources, emotions, beliefs and the links between them
+  const narrativeTelemetry = await updateNarrativeUnderstanding(state, userText);
   
-  // Extract opening phrase pattern
-  const openingPhrase = extractOpeningPhrase(assistantResponse);
-  if (openingPhrase) {
-    if (openingPhrase === state.responsePatterns.lastOpeningPhrase) {
-      state.responsePatterns.consecutiveSimilarResponses++;
-      console.log('⚠️ Detected repetitive opening phrase:', openingPhrase);
-    } else {
-      state.responsePatterns.consecutiveSimilarResponses = 0;
-    }
-    state.responsePatterns.lastOpeningPhrase = openingPhrase;
-  }
-}
-
-// Helper functions for narrative analysis
-function extractInfluenceFromText(text) {
-  const lowerText = text.toLowerCase();
-  let person = null;
-  let direction = null;
+  state.lastUserResponse = userText;
   
-  if (lowerText.includes('uncle')) person = 'uncle';
-  else if (lowerText.includes('friend')) person = 'friend';
-  else if (lowerText.includes('family')) person = 'family member';
+  // Auto-advance stages based on the study's stage machine config
+  stageEngine.advance(state);
   
-  if (person) {
-    // Determine direction of influence
-    if (lowerText.includes('made me reject') || lowerText.includes('got sick of') ||
-        lowerText.includes('started believing the opposite') || lowerText.includes('turned me off')) {
-      direction = 'away_from';
-    } else if (lowerText.includes('convinced me') || lowerText.includes('helped me believe') ||
-               lowerText.includes('made me think')) {
-      direction = 'toward';
-    }
-    
-    return { person, direction, text: text.substring(0, 100) };
-  }
-  return null;
-}
-
-function extractCauseEffectFromText(text) {
-  // Simple extraction of cause-effect patterns
-  const simplified = text.substring(0, 150);
-  return { relationship: simplified, timestamp: Date.now() };
+  await conversationStateManager.saveConversationState(conversationId, state);
+  return narrativeTelemetry;
 }
 
-function isMainStoryContent(text) {
-  const words = text.split(' ').length;
-  return words > 10 && (
-    text.toLowerCase().includes('changed') ||
-    text.toLowerCase().includes('believe') ||
-    text.toLowerCase().includes('think')
-  );
+// Record the assistant's reply on the state once it has been chosen, before it is stored
+async function recordAssistantResponse(conversationId, state, assistantResponse) {
+  updateResponsePatterns(state, assistantResponse, await loadMessages(conversationId));
+  state.lastAssistantResponse = assistantResponse;
+  await conversationStateManager.saveConversationState(conversationId, state);
 }
 
-function extractOpeningPhrase(response) {
-  const match = response.match(/^([^.!?]*[.!?])/);
-  return match ? match[1].trim().substring(0, 50) : null;
+// Mark a conversation as finished; the state row is kept for analysis
+async function completeConversationState(conversationId, state, reason) {
+  chatTimer.cancel(conversationId);
+  stageEngine.transitionTo(state, 'complete', reason);
+  await conversationStateManager.saveConversationState(conversationId, state);
+  await storeQualityMetrics(conversationId);
 }
 
-function extractTopic(userText) {
-  // Simple topic extraction - look for key themes
-  const text = userText.toLowerCase();
-  if (text.includes('bushfire') || text.includes('fire')) return 'bushfires';
-  if (text.includes('news') || text.includes('media')) return 'news';
-  if (text.includes('evidence') || text.includes('research')) return 'evidence';
-  if (text.includes('people') || text.includes('family') || text.includes('friend')) return 'social';
-  return 'general';
+// Score the finished conversation against the system prompt's rules and store the metrics on
+// its session
+async function storeQualityMetrics(conversationId) {
+  try {
+    const metrics = computeQualityMetrics(await loadMessages(conversationId));
+    if (typeof global.db.conversations.saveQualityMetrics === "function") {
+      await global.db.conversations.saveQualityMetrics(conversationId, metrics);
+    }
+    console.log(`📏 Quality metrics for ${conversationId}: ${metrics.replies} replies, word-count compliance ${metrics.wordCountCompliance}, ${metrics.driftInterventions} interventions`);
+    return metrics;
+  } catch (error) {
+    console.error('Error storing quality metrics:', error);
+    return null;
+  }
 }
 
-function isMinimalResponse(userText) {
-  const text = userText.trim().toLowerCase();
-  const wordCount = text.split(/\s+/).length;
-  
-  // Only treat responses as minimal if they're very short AND lack substance
-  // Don't penalize normal conversational responses like "no" or "yes" unless they're truly minimal
-  const minimalPatterns = [
-    /^(that's all|nothing else|no more|can't think of anything)$/i,
-    /^(i've said everything|that's it|finished|done)$/i,
-    /^(don't know|dunno)$/i
-  ];
-  
-  // Much stricter criteria: only 1-2 word responses that are clearly minimal
-  return (wordCount <= 2 && minimalPatterns.some(pattern => pattern.test(text))) ||
-         wordCount === 1;
+// Fold this turn's narrative extraction into the state; resolves to the extraction's telemetry
+async function updateNarrativeUnderstanding(state, userText) {
+  const extraction = await narrativeExtractor.extract(userText, { generate: callModel });
+  applyNarrativeExtraction(state.narrativeUnderstanding, extraction, state.turnCount, { text: userText, tier: extraction.tier });
+  if (extraction.entities.length > 0) {
+    console.log(`📝 Narrative turn ${state.turnCount} (${extraction.tier}): ${extraction.entities.length} entities, ${extraction.links.length} links`);
+  }
+  return extraction.telemetry;
 }
 
-function isExhaustionSignal(userText) {
-  const text = userText.trim().toLowerCase();
-  const exhaustionPatterns = [
-    /that's all i've got/i,
-    /nothing else to say/i,
-    /can't think of anything/i,
-    /i've said everything/i,
-    /that's about it/i,
-    /that's all/i,
-    /nothing more/i,
-    /^finish$/i,
-    /^done$/i,
-    /^finished$/i,
-    /wrap up/i,
-    /end this/i
-  ];
+// Track assistant response patterns to prevent repetition: the reply is scored against every
+// earlier interviewer reply in the history (recaps aside, which repeat by design)
+function updateResponsePatterns(state, assistantResponse, history = []) {
+  if (!assistantResponse) return;
   
-  // Don't treat simple "no" or "nah" as exhaustion - these are normal conversation responses
-  return exhaustionPatterns.some(pattern => pattern.test(text));
-}
-
-function shouldAdvanceToElaboration(state) {
-  // Disabled - no automatic stage advancement based on thresholds
-  // Only timer controls conversation summary
-  return false;
-}
-
-function shouldAdvanceToRecap(state) {
-  // Disabled - no automatic stage advancement based on thresholds
-  // Only timer controls conversation summary
-  return false;
-}
-
-function shouldTriggerSummary(state) {
-  // Disabled - no automatic summary triggering based on thresholds
-  // Only timer controls conversation summary
-  return false;
+  const earlierReplies = history.filter(msg => msg.role === 'assistant' && !msg.recap).map(msg => msg.content);
+  const { repeated, score } = similarityEngine.check(assistantResponse, earlierReplies, 'botRepetition');
+  state.responsePatterns.lastReplySimilarity = score;
+  if (repeated) {
+    state.responsePatterns.consecutiveSimilarResponses++;
+    console.log(`⚠️ Detected repetitive reply (similarity ${score}):`, assistantResponse.substring(0, 80));
+  } else {
+    state.responsePatterns.consecutiveSimilarResponses = 0;
+  }
+  state.responsePatterns.lastOpeningPhrase = extractOpeningPhrase(assistantResponse) || state.responsePatterns.lastOpeningPhrase;
 }
 
 // Enhanced termination detection
@@ -280,8 +157,8 @@ function isRepeatedNegative(userText, state) {
 async function getParticipantProfile(userId) {
   return await global.db.participants.getProfile(userId);
 }
-async function saveConversation(userId, conversationId, messages) {
-  return await global.db.conversations.save(userId, conversationId, messages);
+async function saveConversation(userId, conversationId, messages, metadata = {}) {
+  return await global.db.conversations.save(userId, conversationId, messages, metadata);
 }
 async function loadMessages(conversationId) {
   return await global.db.conversations.load(conversationId);
@@ -296,7 +173,7 @@ async function getUserIdFromConversation(conversationId) {
     console.log(`🔍 Getting userId for conversation: ${conversationId}`);
     
     // Try database first
-    if (global.db?.conversations) {
+    if (typeof global.db?.conversations?.getMetadata === "function") {
       const conversation = await global.db.conversations.getMetadata(conversationId);
       if (conversation?.userId || conversation?.participantId) {
         const userId = conversation.userId || conversation.participantId;
@@ -305,6 +182,13 @@ async function getUserIdFromConversation(conversationId) {
       }
     }
     
+    // /start stores the userId on the system message
+    const systemMessage = (await loadMessages(conversationId)).find(msg => msg.role === "system" && msg.userId);
+    if (systemMessage) {
+      console.log(`✅ Found userId on system message: ${systemMessage.userId}`);
+      return systemMessage.userId;
+    }
+    
     // Fallback to file-based lookup
     const conversationFile = `${conversationId}.json`;
     const conversationPath = path.join(process.cwd(), 'data', 'conversations', conversationFile);
@@ -325,8 +209,9 @@ async function getUserIdFromConversation(conversationId) {
   }
 }
 
-// Enhanced function to ensure system prompt is reconstructed with user profile
-async function reconstructSystemPrompt(conversationId, userId = null, conversationState = null) {
+// Enhanced function to ensure system prompt is reconstructed with user profile. Resolves to the
+// rendered prompt ({ template, version, hash, text }) or null.
+async function reconstructSystemPrompt(conversationId, userId = null, conversationState = null, { summaryRequest = false } = {}) {
   try {
     // Get userId if not provided
     if (!userId) {
@@ -347,21 +232,12 @@ async function reconstructSystemPrompt(conversationId, userId = null, conversati
       return null;
     }
     
-    // Add conversation state info to profile if available
-    const enhancedProfile = {
-      ...profile,
-      ...(conversationState && {
-        conversation_stage: conversationState.stage,
-        turn_count: conversationState.turnCount,
-        topic_turn_count: conversationState.topicTurnCount,
-        current_topic: conversationState.lastTopic
-      })
-    };
-    
-    // Generate fresh system prompt
-    const systemPrompt = renderSystemPrompt(enhancedProfile);
+    // Render the conversation's condition template with the profile and the conversation state
+    // (stage guidance, warnings and the summary request block)
+    const condition = conditionAssigner.getCondition(conversationState?.condition || profile.condition);
+    const systemPrompt = conditionAssigner.renderSystemPrompt(condition, profile, conversationState, { summaryRequest });
     
-    console.log(`✅ System prompt reconstructed for user: ${userId}`);
+    console.log(`✅ System prompt reconstructed for user: ${userId} (template ${systemPrompt.template} v${systemPrompt.version}, hash ${systemPrompt.hash.slice(0, 12)})`);
     console.log(`🔍 Profile used:`, JSON.stringify({
       views_changed: profile.views_changed,
       change_description: profile.change_description,
@@ -387,628 +263,868 @@ async function applyQuickUpdate(conversationId, updateText) {
   }
   return updates;
 }
-// Wire this to your real LLM
-async function callModel(messages) {
-  return await global.llm.chat(messages); // must return { content: string }
+// Wire this to your real LLM. options.purpose picks the model settings ("chat" or "recap").
+// Calls go through the record/replay fixture layer (LLM_FIXTURE_MODE).
+async function callModel(messages, options = {}) {
+  return await withFixtures(messages, options, () => global.llm.chat(messages, options)); // must return { content: string, telemetry? }
 }
 
-// Summary generation functions for safety net
-function hasExistingSummary(messages) {
-  // Check if conversation already has a structured summary from the chatbot
-  if (!messages || messages.length === 0) return false;
-  
-  // Look for assistant messages that contain bullet points or summary indicators
-  const assistantMessages = messages.filter(msg => msg.role === 'assistant');
-  
-  for (const msg of assistantMessages.slice(-5)) { // Check last 5 assistant messages
-    const content = msg.content || '';
-    
-    // Check for bullet point patterns
-    if (content.includes('•') || content.includes('*') || content.includes('-')) {
-      // Check if it has summary-like structure (multiple points)
-      const bulletMatches = content.match(/[•\*\-]/g);
-      if (bulletMatches && bulletMatches.length >= 2) {
-        console.log('✓ Found existing summary with bullet points');
-        return true;
+// Streaming variant: onToken receives text deltas as they arrive. Falls back to a
+// single delta when the LLM shim has no streaming support.
+export async function callModelStream(messages, onToken, options = {}) {
+  return await withFixtures(messages, options, async () => {
+    if (typeof global.llm.chatStream === "function") {
+      return await global.llm.chatStream(messages, onToken, options); // must return { content: string, telemetry? }
+    }
+    const result = await global.llm.chat(messages, options);
+    if (result?.content) onToken(result.content);
+    return result;
+  }, onToken);
+}
+
+const COMPLETION_MARKER = "##INTERVIEW_COMPLETE##";
+
+// Forward streamed deltas with the completion marker removed. Trailing text that could
+// be the start of the marker is held back until the next delta resolves it.
+export function createMarkerFilter(emit) {
+  let raw = "";
+  let emitted = 0;
+  return (token) => {
+    raw += token;
+    const visible = raw.replace(COMPLETION_MARKER, "");
+    let safeLength = visible.length;
+    for (let i = Math.min(COMPLETION_MARKER.length - 1, visible.length); i > 0; i--) {
+      if (COMPLETION_MARKER.startsWith(visible.slice(-i))) {
+        safeLength = visible.length - i;
+        break;
       }
     }
-    
-    // Check for summary keywords
-    if (content.toLowerCase().includes('summarize') ||
-        content.toLowerCase().includes('summary') ||
-        content.toLowerCase().includes('key themes') ||
-        content.toLowerCase().includes('based on our conversation')) {
-      console.log('✓ Found existing summary with keywords');
-      return true;
+    if (safeLength > emitted) {
+      emit(visible.slice(emitted, safeLength));
+      emitted = safeLength;
     }
-  }
-  
-  console.log('✗ No existing summary found in conversation');
-  return false;
+  };
 }
 
-function generateFallbackSummary(messages, profile) {
-  // Generate a basic summary from participant messages and profile
-  const userMessages = messages.filter(msg => msg.role === 'user' &&
-    msg.content &&
-    msg.content.trim().length > 10 &&
-    !msg.content.toLowerCase().includes('end the chat'));
-  
-  const summaryPoints = [];
-  
-  // Add profile-based summary point if available
-  if (profile?.change_description) {
-    summaryPoints.push(`You described how your climate change views changed: "${profile.change_description}"`);
-  }
-  
-  // Analyze user messages for key themes
-  const themes = {
-    evidence: false,
-    personal: false,
-    social: false,
-    media: false,
-    change_process: false
-  };
-  
-  userMessages.forEach(msg => {
-    const content = msg.content.toLowerCase();
-    
-    if (content.includes('evidence') || content.includes('research') || content.includes('study') || content.includes('data')) {
-      themes.evidence = true;
+// Summarize a finished conversation once through the shared summary service. The result is
+// kept on the conversation state and the participant record (for the validation page), and
+// a closing summary message with the call's telemetry is added if the interviewer never gave
+// one. Otherwise resolves to that telemetry, for the caller's closing message (null if none).
+async function ensureConversationSummary(conversationId, userId) {
+  try {
+    const state = await initializeConversationState(conversationId);
+    if (state.conversationSummary) {
+      console.log('Conversation already has summary, no action needed');
+      return null;
     }
     
-    if (content.includes('experience') || content.includes('personal') || content.includes('saw') || content.includes('noticed') || content.includes('felt')) {
-      themes.personal = true;
-    }
+    const messages = await loadMessages(conversationId);
+    const profile = await getParticipantProfile(userId);
+    const summary = await summaryService.summarize(messages, { profile, generate: callModel });
+    const storedWithMessage = !summaryService.hasModelSummary(messages);
     
-    if (content.includes('people') || content.includes('family') || content.includes('friend') || content.includes('others')) {
-      themes.social = true;
+    if (storedWithMessage) {
+      await appendMessage(conversationId, {
+        role: "assistant",
+        content: summaryService.formatSummaryMessage(summary),
+        generated_summary: true, // Flag to indicate this was auto-generated
+        summary_tier: summary.tier,
+        telemetry: combineTelemetry([summary.telemetry])
+      });
     }
     
-    if (content.includes('media') || content.includes('news') || content.includes('article') || content.includes('tv')) {
-      themes.media = true;
+    state.conversationSummary = summary;
+    await conversationStateManager.saveConversationState(conversationId, state);
+    if (typeof global.db.participants.saveConversationSummary === "function") {
+      await global.db.participants.saveConversationSummary(userId, summary);
     }
     
-    if (content.includes('change') || content.includes('shift') || content.includes('different') || content.includes('realized')) {
-      themes.change_process = true;
-    }
-  });
-  
-  // Generate theme-based summary points
-  if (themes.evidence) {
-    summaryPoints.push('You discussed the role of evidence and research in shaping your views');
+    console.log(`✓ Stored ${summary.tier} summary for conversation:`, conversationId);
+    return storedWithMessage ? null : summary.telemetry;
+  } catch (error) {
+    if (error.code === 'LLM_FIXTURE_MISSING') throw error;
+    console.error('Error ensuring conversation summary:', error);
+    // Don't throw - this is a safety net, not critical path
+    return null;
   }
-  
-  if (themes.personal) {
-    summaryPoints.push('You shared personal experiences that influenced your thinking');
+}
+
+const router = express.Router();
+
+// Error carrying the HTTP status to report, so the HTTP and socket.io transports can
+// surface request problems the same way
+function chatError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Create the conversation and its opening line. Shared by POST /start and the socket.io
+// transport; resolves to the client-facing { conversationId, messages }.
+export async function startConversation({ userId, conversationId = crypto.randomUUID() }) {
+  if (!userId) {
+    console.error("❌ No userId provided for chat start");
+    throw chatError(400, "User ID is required to start chat");
   }
-  
-  if (themes.social) {
-    summaryPoints.push('You talked about how other people influenced your perspective');
+
+  console.log("🔍 Chat start - userId:", userId, "conversationId:", conversationId);
+
+  // A started conversation has a running timer. Starting it again would restart the
+  // countdown and replace the opening messages; a client that lost its connection rejoins
+  // the conversation instead
+  const existingState = await conversationStateManager.findConversationState(conversationId);
+  if (existingState?.chatTimer) {
+    console.warn("⚠️ Conversation already started:", conversationId);
+    throw chatError(409, "Conversation already started");
   }
   
-  if (themes.media) {
-    summaryPoints.push('You mentioned media sources that affected your views');
-  }
+  // Initialize conversation state
+  const conversationState = await initializeConversationState(conversationId, []);
   
-  if (themes.change_process) {
-    summaryPoints.push('You described the process of how your beliefs evolved');
-  }
+  // Initialize anti-loop state for this conversation only
+  resetConversationState(conversationId);
+  await saveConversationState(conversationId);
   
-  // Ensure we have at least 2 points
-  if (summaryPoints.length < 2) {
-    summaryPoints.push('You engaged in a conversation about your climate change belief journey');
-    if (summaryPoints.length < 2) {
-      summaryPoints.push('You shared your perspective on what influences belief change');
-    }
+  // Get participant profile
+  const profile = await getParticipantProfile(userId);
+  if (!profile) {
+    console.error("❌ No profile found for userId:", userId);
+    throw chatError(404, "Participant profile not found");
   }
   
-  // Limit to 5 points max
-  const finalPoints = summaryPoints.slice(0, 5);
+  console.log("✅ Retrieved profile:", JSON.stringify(profile, null, 2));
   
-  console.log('Generated fallback summary with points:', finalPoints);
-  return finalPoints;
+  // Generate system prompt and opening line from the participant's experimental condition
+  const condition = conditionAssigner.getCondition(profile.condition);
+  conversationState.condition = condition.id;
+  const systemPrompt = conditionAssigner.renderSystemPrompt(condition, profile).text;
+  // The model writes the opening line from the participant's survey answers; the condition's
+  // template is the fallback and is kept alongside the generated text
+  const openingLine = await openingLineGenerator.generate(profile, {
+    template: condition.openingLine,
+    templateText: conditionAssigner.renderOpeningLine(condition, profile),
+    enabled: condition.generateOpeningLine ?? undefined,
+    generate: callModel,
+    params: conditionAssigner.getModelParams(condition, openingLineGenerator.purpose)
+  });
+  console.log(`✅ Opening line from ${openingLine.source}${openingLine.reason ? ` (${openingLine.reason})` : ''} (condition ${condition.id}):`, openingLine.text);
+
+  const messages = [
+    { role: "system", content: systemPrompt, userId }, // Store userId with system message
+    { role: "assistant", content: openingLine.text, telemetry: combineTelemetry([openingLine.telemetry]) }
+  ];
+
+  // Save conversation with userId metadata
+  await saveConversation(userId, conversationId, messages, { condition: condition.id, openingLine });
+  
+  // The server-side countdown starts once the opening line is saved
+  chatTimer.start(conversationState, Date.now(), condition.chatDurationSeconds);
+  await conversationStateManager.saveConversationState(conversationId, conversationState);
+  scheduleChatTimer(conversationId, conversationState);
+  
+  // Return without system message (client doesn't need to see it)
+  const clientMessages = messages.filter(msg => msg.role !== 'system');
+  return { conversationId, messages: clientMessages, ...chatTimer.snapshot(conversationState) };
 }
 
-async function ensureConversationSummary(conversationId, userId) {
+router.post("/start", async (req, res) => {
   try {
-    const messages = await loadMessages(conversationId);
-    
-    // Check if conversation already has a proper summary
-    if (hasExistingSummary(messages)) {
-      console.log('Conversation already has summary, no action needed');
-      return;
+    res.json(await startConversation({
+      userId: req.user?.id || req.body.userId,
+      conversationId: req.body.conversationId || undefined
+    }));
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
     }
-    
-    // Get participant profile for context
-    const profile = await getParticipantProfile(userId);
-    
-    // Generate fallback summary
-    const summaryPoints = generateFallbackSummary(messages, profile);
-    
-    // Format as bullet points with proper spacing
-    const summaryText = `Thank you for sharing your story with me. Let me summarize the key themes from our conversation:
+    console.error("❌ chat/start error:", err);
+    res.status(500).json({ error: "Failed to start chat" });
+  }
+});
 
-${summaryPoints.map(point => `• ${point}`).join('\n\n')}
+// Sent as the user turn when the timer asks for the closing summary (matches chat.html)
+const TIMER_SUMMARY_REQUEST = "We have about one minute left. Could you please summarize the key themes from our conversation so far?";
+const TIMER_WARNING_FALLBACK = "We're almost out of time — about one minute left. Is there anything important you'd like to add before we finish?";
 
-This covers the main points we discussed about your belief change journey.`;
+// In-flight timed summaries, so the scheduled warning and a client's summary request
+// don't both call the model
+const timerSummaryRequests = new Map();
 
-    // Add the summary as a final assistant message
-    await appendMessage(conversationId, {
-      role: "assistant",
-      content: summaryText,
-      generated_summary: true // Flag to indicate this was auto-generated
-    });
-    
-    console.log('✓ Generated and saved fallback summary for conversation:', conversationId);
-    
-  } catch (error) {
-    console.error('Error ensuring conversation summary:', error);
-    // Don't throw - this is a safety net, not critical path
+function scheduleChatTimer(conversationId, state) {
+  chatTimer.schedule(conversationId, state, {
+    onWarning: () => sendTimerSummary(conversationId).catch((error) => {
+      console.error("❌ Timed summary failed for", conversationId, error);
+      chatTimer.emit("warning", { conversationId, reply: TIMER_WARNING_FALLBACK, remainingSeconds: chatTimer.getRemainingSeconds(state) });
+    }),
+    onExpire: () => expireConversation(conversationId).catch((error) => {
+      console.error("❌ Failed to finalize expired conversation", conversationId, error);
+    })
+  });
+}
+
+// Generate the closing summary once per conversation, whoever asks first
+async function sendTimerSummary(conversationId, req = null, generate = callModel) {
+  const state = await initializeConversationState(conversationId);
+  if (state.chatTimer?.summary) {
+    return { reply: state.chatTimer.summary };
+  }
+  
+  if (!timerSummaryRequests.has(conversationId)) {
+    const summaryReq = {
+      ...req,
+      body: { ...req?.body, conversationId, message: req?.body?.message || TIMER_SUMMARY_REQUEST, isSummaryRequest: true }
+    };
+    const request = generateReply(summaryReq, generate)
+      .then(async (payload) => {
+        chatTimer.markSummarySent(state, payload.reply);
+        await conversationStateManager.saveConversationState(conversationId, state);
+        console.log(`⏰ Timed summary sent for ${conversationId}`);
+        chatTimer.emit("warning", { conversationId, reply: payload.reply, remainingSeconds: chatTimer.getRemainingSeconds(state) });
+        return payload;
+      })
+      .finally(() => timerSummaryRequests.delete(conversationId));
+    timerSummaryRequests.set(conversationId, request);
   }
+  return await timerSummaryRequests.get(conversationId);
 }
 
-// Enhanced stage-specific instructions for the AI with narrative intelligence
-function getStageInstructions(conversationState) {
-  const {
-    stage,
-    turnCount,
-    topicTurnCount,
-    minimalResponseCount,
-    exhaustionSignals,
-    exploredTopics,
-    narrativeUnderstanding,
-    responsePatterns
-  } = conversationState;
-  
-  let instructions = `\nCURRENT CONVERSATION CONTEXT:
-- Stage: ${stage}
-- Turn count: ${turnCount}
-- Topic turn count: ${topicTurnCount}
-- Minimal responses: ${minimalResponseCount}
-- Exhaustion signals: ${exhaustionSignals}
-- Explored topics: ${Array.from(exploredTopics || new Set()).join(', ')}
-- Tracked influences: ${narrativeUnderstanding?.influences?.length || 0}
-- Consecutive similar responses: ${responsePatterns?.consecutiveSimilarResponses || 0}
-
-NARRATIVE UNDERSTANDING STATE:`;
-
-  // Add narrative context if available
-  if (narrativeUnderstanding?.influences?.length > 0) {
-    instructions += `\n- Key influences identified: ${narrativeUnderstanding.influences.map(i => `${i.person} (${i.direction || 'unknown direction'})`).join(', ')}`;
-  }
-  
-  if (narrativeUnderstanding?.mainStory) {
-    instructions += `\n- Main story understanding: ${narrativeUnderstanding.mainStory.substring(0, 100)}...`;
-  }
-
-  instructions += `\n\nSTAGE-SPECIFIC GUIDANCE:`;
-
-  switch (stage) {
-    case 'exploration':
-      instructions += `
-- You are in the EXPLORATION stage
-- Focus on understanding their belief change story
-- Ask ONE open-ended question that invites narrative
-- Pay careful attention to cause-effect relationships in their responses
-- CRITICAL: Before responding, verify you understand what they actually said
-- Avoid repetitive questions on the same topic
-- If topic turn count >= 3, try a different angle or topic
-- If user gives minimal responses (2+), consider advancing to elaboration`;
-      break;
-      
-    case 'elaboration':
-      instructions += `
-- You are in the ELABORATION stage
-- Help them reflect on key aspects of their change
-- Ask about what stands out as most significant
-- Compare their current vs previous views
-- Build on the influences and relationships you've already identified
-- If user shows exhaustion (2+ signals), prepare for summary
-- If minimal responses >= 3, advance to recap`;
-      break;
-      
-    case 'recap':
-      instructions += `
-- You are in the RECAP stage
-- User is indicating completion readiness
-- Summarize their story with bullet points using the narrative understanding you've built
-- Use UP TO FIVE distinct key themes
-- Include the influences and cause-effect relationships you've tracked
-- Ask for confirmation and corrections
-- Include ##INTERVIEW_COMPLETE## marker after confirmed summary`;
-      break;
-      
-    default:
-      instructions += `
-- Standard interview protocol applies
-- Focus on their personal belief change narrative`;
+// Close a conversation whose time ran out: make sure a summary exists and mark it complete
+async function expireConversation(conversationId) {
+  const state = await initializeConversationState(conversationId);
+  if (state.stage === 'complete' && state.chatTimer?.expiredAt) return;
+  
+  console.log(`⏰ Chat time limit reached for ${conversationId}`);
+  const userId = await getUserIdFromConversation(conversationId);
+  if (userId) {
+    await ensureConversationSummary(conversationId, userId);
   }
   
-  // Enhanced warnings with narrative intelligence
-  if (topicTurnCount >= 3) {
-    instructions += `
-    
-⚠️ REPETITION WARNING: You've been on the same topic for ${topicTurnCount} turns.
-Try a different angle or move to a new topic to advance the conversation.
-Available unexplored angles: Ask about timing, emotions, specific moments, comparison with past beliefs.`;
+  if (state.chatTimer) chatTimer.markExpired(state);
+  markRecapUnconfirmed(state);
+  if (state.stage !== 'complete') {
+    await completeConversationState(conversationId, state, 'time_limit');
+  } else {
+    await conversationStateManager.saveConversationState(conversationId, state);
   }
+  clearConversationState(conversationId);
+  chatTimer.emit("expired", { conversationId });
+}
+
+// Remaining time for a conversation, or null if it has no server-side timer
+export async function getChatTimerStatus(conversationId) {
+  const state = await conversationStateManager.findConversationState(conversationId);
+  if (!state?.chatTimer) return null;
+  return { ...chatTimer.snapshot(state), expired: chatTimer.isExpired(state) };
+}
+
+// Reply pipeline shared by the JSON, SSE and socket transports. Enforces the server-side
+// time limit, routes summary requests through the once-per-conversation timed summary,
+// and adds the remaining time to every payload. `generate(messages, { purpose })` calls
+// the model (streaming or not) and must resolve to { content }.
+export async function processReply(req, generate = callModel) {
+  const { conversationId, isSummaryRequest } = req.body;
+  const state = await initializeConversationState(conversationId);
   
-  if (responsePatterns?.consecutiveSimilarResponses >= 2) {
-    instructions += `
-    
-⚠️ RESPONSE PATTERN WARNING: You've used similar opening phrases ${responsePatterns.consecutiveSimilarResponses} times.
-MUST vary your response style. Last opening phrase: "${responsePatterns.lastOpeningPhrase}"
-Use different anchoring: "You mentioned...", "From what you describe...", "I understand that...", "That experience with..."`;
+  // Conversations started before the server kept time begin their countdown now
+  if (!state.chatTimer) {
+    chatTimer.start(state);
+    await conversationStateManager.saveConversationState(conversationId, state);
   }
   
-  if (minimalResponseCount >= 2) {
-    instructions += `
-    
-⚠️ USER FATIGUE: User has given ${minimalResponseCount} minimal responses.
-Consider advancing to next stage or summarizing if sufficient content gathered.`;
+  if (chatTimer.isExpired(state)) {
+    await expireConversation(conversationId);
+    throw chatError(410, "Conversation time limit exceeded");
   }
   
-  if (exhaustionSignals >= 2) {
-    instructions += `
-    
-⚠️ EXHAUSTION DETECTED: User showing completion signals (${exhaustionSignals}).
-Prepare to summarize and conclude the interview using the narrative understanding you've built.`;
+  // Timeouts are in-process, so re-arm them after a restart
+  if (!chatTimer.isScheduled(conversationId) && state.stage !== 'complete') {
+    scheduleChatTimer(conversationId, state);
   }
   
-  return instructions;
+  const payload = isSummaryRequest
+    ? await sendTimerSummary(conversationId, req, generate)
+    : await generateReply(req, generate);
+  return { ...payload, ...chatTimer.snapshot(state) };
 }
 
-const router = express.Router();
+// Questions about "the event" that loop once the participant has already named one.
+// "What happened next?" moves the story on, so only "what happened that made/changed ..." counts
+const EVENT_QUESTION_PATTERNS = [
+  /what.*event/i,
+  /what.*moment/i,
+  /what.*specific.*experience/i,
+  /which.*event/i,
+  /what happened (?:that )?(?:made|changed|to change)/i,
+  /what.*led.*to/i
+];
 
-router.post("/start", async (req, res) => {
-  try {
-    const userId = req.user?.id || req.body.userId;
-    const conversationId = req.body.conversationId || crypto.randomUUID();
+// Regex verdict on a candidate reply, in the drift classifier's label space
+function getRegexDriftVerdict(reply, antiLoopState) {
+  const isEventQuestion = EVENT_QUESTION_PATTERNS.some(pattern => pattern.test(reply));
+  let label = 'on_topic';
+  if (isEventQuestion && (antiLoopState.eventConfirmed || Object.keys(antiLoopState.identifiedEvents).length > 0)) {
+    label = 'event_reask';
+  } else if (findDriftRule('political', reply)) {
+    label = 'political_drift';
+  } else if (findDriftRule('action', reply)) {
+    label = 'action_role_drift';
+  }
+  return { label, isEventQuestion };
+}
 
-    if (!userId) {
-      console.error("❌ No userId provided for chat start");
-      return res.status(400).json({ error: "User ID is required to start chat" });
-    }
+// Why a candidate reply was rejected, added to the instructions for the regenerated reply
+const REGENERATION_REASONS = {
+  event_reask: "It asks again about the event or moment that changed their view, which the participant has already described. Ask about another part of their story instead, such as its impact, the people involved or what happened next.",
+  offTopic: "It drifts away from the participant's belief change story.",
+  political: "It steers into party politics, elections, campaigns or policy positions.",
+  action: "It steers into what people or society should do about climate change, or the participant's role or responsibility, instead of how their views changed.",
+  belief: "The participant said the conversation has gone off topic. Bring it back to how their views on climate change changed."
+};
 
-    console.log("🔍 Chat start - userId:", userId, "conversationId:", conversationId);
-    
-    // Initialize conversation state
-    const conversationState = initializeConversationState(conversationId);
-    
-    // Initialize anti-loop state in onTopic module
-    resetConversationState();
-    
-    // Get participant profile
-    const profile = await getParticipantProfile(userId);
-    if (!profile) {
-      console.error("❌ No profile found for userId:", userId);
-      return res.status(404).json({ error: "Participant profile not found" });
-    }
-    
-    console.log("✅ Retrieved profile:", JSON.stringify(profile, null, 2));
-    
-    // Generate system prompt and opening line
-    const systemPrompt = renderSystemPrompt(profile);
-    const openingLine = openingLineFrom(profile);
-    console.log("✅ Generated opening line:", openingLine);
-
-    const messages = [
-      { role: "system", content: systemPrompt, userId }, // Store userId with system message
-      { role: "assistant", content: openingLine }
-    ];
-
-    // Save conversation with userId metadata
-    await saveConversation(userId, conversationId, messages);
-    
-    // Return without system message (client doesn't need to see it)
-    const clientMessages = messages.filter(msg => msg.role !== 'system');
-    res.json({ conversationId, messages: clientMessages });
-  } catch (err) {
-    console.error("❌ chat/start error:", err);
-    res.status(500).json({ error: "Failed to start chat" });
-  }
-});
+// Redirect line used for each drift category when regeneration doesn't produce a usable reply
+const DRIFT_TYPES = { offTopic: 'general', political: 'political', action: 'action', belief: 'belief' };
 
-router.post("/reply", async (req, res) => {
-  try {
-    const { conversationId, message, isSummaryRequest } = req.body;
-    const userText = message;
-    const history = await loadMessages(conversationId);
-
-    console.log("🔍 DEBUG: History loaded, message count:", history.length);
-    console.log("🔍 DEBUG: First message role:", history[0]?.role);
-    console.log("🔍 DEBUG: First message preview:", history[0]?.content?.substring(0, 100));
-    console.log("🔍 DEBUG: Is summary request:", isSummaryRequest);
-
-    // Initialize conversation state tracking
-    const conversationState = updateConversationState(conversationId, userText);
-    console.log("🔍 Conversation state:", conversationState);
-    
-    // Track user response for repetition detection
-    trackUserResponse(userText);
-    
-    // Check for repetition and potential looping
-    const isRepeating = detectRepetition(userText);
-    const antiLoopState = getConversationState();
-    console.log("🔍 Anti-loop state:", {
-      isRepeating,
-      eventConfirmed: antiLoopState.eventConfirmed,
-      identifiedEvents: antiLoopState.identifiedEvents
-    });
-
-    // Enhanced termination detection
-    if (isTerminationRequest(userText) || isRepeatedNegative(userText, conversationState)) {
-      // Add user message
-      await appendMessage(conversationId, { role: "user", content: userText });
-      
-      // Extract userId using robust function
-      const userId = req.user?.id || req.body.userId || await getUserIdFromConversation(conversationId);
-      
-      if (userId) {
-        console.log('⚠️ Termination detected, ensuring summary exists for user:', userId);
-        await ensureConversationSummary(conversationId, userId);
-      } else {
-        console.warn('Could not determine userId for summary generation on termination');
-      }
-      
-      // Add final assistant message
-      const finalReply = "Thank you for sharing your story with me. I appreciate your time and insights about your belief change experience.";
-      await appendMessage(conversationId, { role: "assistant", content: finalReply });
-      
-      // Clean up conversation state
-      conversationStates.delete(conversationId);
-      
-      // Return with sessionEnded flag
-      return res.json({ reply: finalReply, sessionEnded: true });
-    }
+// Intervention type stored on a reply whose original model output was rejected
+function interventionTypeFor(rejection) {
+  if (rejection.type === 'event_reask') return 'anti_loop';
+  return { offTopic: 'off_topic', political: 'political', action: 'action', belief: 'belief' }[rejection.rule.category];
+}
 
-    // Remove automatic summary triggering - only use timer-based summaries
-    // The frontend timer will handle summary generation at 1-minute warning
-
-    // Quick corrections
-    if (/^\s*update\s*:/i.test(userText)) {
-      const updates = await applyQuickUpdate(conversationId, userText.replace(/^\s*update\s*:/i, "").trim());
-      const ack = Object.keys(updates).length
-        ? "Got it, I've updated that. Could you continue by explaining why your view changed (or stayed the same)?"
-        : "I didn't detect any valid updates. Please use format: update: field=value; field=value";
-      await appendMessage(conversationId, { role: "assistant", content: ack });
-      return res.json({ reply: ack, updated: updates });
-    }
+function getRegenerationSettings() {
+  return { maxAttempts: 3, ...getStudyConfig().regeneration };
+}
 
-    // Get userId using robust extraction function
-    const userId = req.user?.id || req.body.userId || await getUserIdFromConversation(conversationId);
-    
-    if (!userId) {
-      console.error('❌ Unable to determine user ID for conversation:', conversationId);
-      throw new Error('Unable to determine user ID for system prompt generation');
-    }
-    
-    // Reconstruct system prompt with fresh profile data
-    const systemPrompt = await reconstructSystemPrompt(conversationId, userId, conversationState);
-    
-    if (!systemPrompt) {
-      console.error('❌ Failed to reconstruct system prompt for user:', userId);
-      throw new Error('Failed to reconstruct system prompt');
-    }
-    
-    console.log("✅ Successfully reconstructed system prompt for user:", userId);
-    console.log("🔍 Conversation stage:", conversationState.stage);
-    console.log("🔍 System prompt preview:", systemPrompt.substring(0, 100) + "...");
-    
-    // Filter out any existing system messages from history to avoid duplication
-    const historyWithoutSystem = history.filter(msg => msg.role !== 'system');
-    
-    // Add stage-aware instructions to system prompt
-    let stageInstructions = getStageInstructions(conversationState);
-    
-    // Special handling for summary requests
-    if (isSummaryRequest) {
-      console.log("🔄 Processing summary request - adding summary instructions");
-      stageInstructions += `\n\nSUMMARY REQUEST DETECTED:
-The user has requested a summary as we approach the end of our conversation time. Please:
+// The original model call with the rejected reply and the reason appended to the instructions
+function buildRegenerationMessages(messagesForModel, rejectedReply, reason) {
+  const [system, ...rest] = messagesForModel;
+  const correction = `REPLY REJECTED:
+Your previous reply was: "${rejectedReply}"
+It was rejected because: ${reason}
+Write a new reply that responds to what the participant just said and refers to a concrete detail from it, without this problem.`;
+  return [{ role: "system", content: `${system.content}\n\n${correction}` }, ...rest];
+}
 
-1. Acknowledge that time is running short
-2. Provide a structured summary using UP TO FIVE bullet points (•) with proper line breaks
-3. Each bullet point should capture a distinct theme from the conversation
-4. Use the format:
+// Generate, post-process and store one assistant reply; the returned payload is the
+// final reply that was stored.
+async function generateReply(req, generate = callModel) {
+  const { conversationId, message, isSummaryRequest } = req.body;
+  const userText = message;
+  const history = await loadMessages(conversationId);
 
-• [First key theme]
+  console.log("🔍 DEBUG: History loaded, message count:", history.length);
+  console.log("🔍 DEBUG: First message role:", history[0]?.role);
+  console.log("🔍 DEBUG: First message preview:", history[0]?.content?.substring(0, 100));
+  console.log("🔍 DEBUG: Is summary request:", isSummaryRequest);
 
-• [Second key theme]
+  // Load the conversation state; it is only updated below, once the turn is an interview answer
+  const conversationState = await initializeConversationState(conversationId, history);
+  
+  // Restore anti-loop state if this process hasn't seen the conversation (e.g. after a restart)
+  await loadConversationState(conversationId);
+
+  // A recap is awaiting confirmation: this reply either confirms it or corrects it
+  if (isRecapPending(conversationState) && !isSummaryRequest) {
+    return await handleRecapReply(req, conversationState);
+  }
+
+  // Enhanced termination detection
+  if (isTerminationRequest(userText) || isRepeatedNegative(userText, conversationState)) {
+    // Add user message, flagged so recovery doesn't count it as an interview turn
+    await appendMessage(conversationId, { role: "user", content: userText, topics: tagTopics(userText), terminationRequest: true });
+    
+    // The session only ends once the participant has confirmed a recap
+    console.log('⚠️ Termination detected, offering recap before ending');
+    return await offerRecap(req, conversationState, 'termination_request');
+  }
 
-• [Third key theme]
+  // Remove automatic summary triggering - only use timer-based summaries
+  // The frontend timer will handle summary generation at 1-minute warning
 
-• [Fourth key theme]
+  // Quick corrections
+  if (/^\s*update\s*:/i.test(userText)) {
+    const updates = await applyQuickUpdate(conversationId, userText.replace(/^\s*update\s*:/i, "").trim());
+    await saveConversationState(conversationId);
+    const ack = Object.keys(updates).length
+      ? "Got it, I've updated that. Could you continue by explaining why your view changed (or stayed the same)?"
+      : "I didn't detect any valid updates. Please use format: update: field=value; field=value";
+    await appendMessage(conversationId, { role: "assistant", content: ack });
+    return { reply: ack, updated: updates };
+  }
+
+  // An interview answer: update the conversation state tracking
+  const narrativeTelemetry = await updateConversationState(conversationId, conversationState, userText);
+  console.log("🔍 Conversation state:", conversationState);
+  
+  // Track user response for repetition detection
+  trackUserResponse(conversationId, userText);
+  
+  // Check whether the answer repeats an earlier one; the stage guidance asks to move forward if so
+  const repetition = detectRepetition(conversationId, userText, history);
+  conversationState.responsePatterns.userRepetition = repetition.repeated ? { turn: repetition.turn, score: repetition.score } : null;
+  const antiLoopState = getConversationState(conversationId);
+  console.log("🔍 Anti-loop state:", {
+    repetition,
+    eventConfirmed: antiLoopState.eventConfirmed,
+    identifiedEvents: antiLoopState.identifiedEvents
+  });
 
-• [Fifth key theme]
+  // Get userId using robust extraction function
+  const userId = req.user?.id || req.body.userId || await getUserIdFromConversation(conversationId);
+  
+  if (!userId) {
+    console.error('❌ Unable to determine user ID for conversation:', conversationId);
+    throw new Error('Unable to determine user ID for system prompt generation');
+  }
+  
+  // Reconstruct system prompt with fresh profile data, the conversation stage and (for the timed
+  // summary) the summary request instructions
+  const systemPrompt = await reconstructSystemPrompt(conversationId, userId, conversationState, { summaryRequest: Boolean(isSummaryRequest) });
+  
+  if (!systemPrompt) {
+    console.error('❌ Failed to reconstruct system prompt for user:', userId);
+    throw new Error('Failed to reconstruct system prompt');
+  }
+  
+  console.log("✅ Successfully reconstructed system prompt for user:", userId);
+  console.log("🔍 Conversation stage:", conversationState.stage);
+  console.log("🔍 System prompt preview:", systemPrompt.text.substring(0, 100) + "...");
+  if (isSummaryRequest) {
+    console.log("🔄 Processing summary request - adding summary instructions");
+  }
+  
+  // Filter out any existing system messages from history to avoid duplication
+  const historyWithoutSystem = history.filter(msg => msg.role !== 'system');
+  
+  // Construct messages array for model call
+  const messagesForModel = [
+    { role: "system", content: systemPrompt.text },
+    ...historyWithoutSystem,
+    { role: "user", content: userText }
+  ];
 
-5. After the summary, ask if there's anything important they'd like to add before finishing
-6. Keep the response focused and concise due to limited time remaining
+  // 🔍 DEBUG: Log conversation context being sent to model
+  console.log("🔍 DEBUG: Messages being sent to LLM:");
+  console.log("🔍 System prompt length:", systemPrompt.text.length);
+  console.log("🔍 History messages count:", historyWithoutSystem.length);
+  console.log("🔍 Last 3 history messages:", historyWithoutSystem.slice(-3).map(m => ({
+    role: m.role,
+    content: m.content?.substring(0, 100) + (m.content?.length > 100 ? "..." : "")
+  })));
+  console.log("🔍 Current user message:", userText);
 
-CRITICAL: This is likely one of the final exchanges, so provide a comprehensive summary that captures the essence of their belief change story.`;
+  // Call model with fresh system prompt + conversation history + new user message
+  // The conversation's experimental condition may override the model settings
+  const condition = conditionAssigner.getCondition(conversationState.condition);
+  const modelPurpose = isSummaryRequest ? "recap" : "chat";
+  const next = await generate(messagesForModel, { purpose: modelPurpose, params: conditionAssigner.getModelParams(condition, modelPurpose) });
+  let modelReply = next?.content || "";
+  // Telemetry of every model call behind this reply, the reply itself first
+  const modelCalls = [next?.telemetry, narrativeTelemetry];
+
+  // 🔍 DEBUG: Log raw model response
+  console.log("🔍 DEBUG: Raw LLM response:");
+  console.log("🔍 Response length:", modelReply.length);
+  console.log("🔍 Response preview:", modelReply.substring(0, 200) + (modelReply.length > 200 ? "..." : ""));
+  
+  // Review the candidate reply. If it drifts or re-asks about the event, ask the model for a new
+  // reply with the reason added to its instructions; the canned redirect lines are only used
+  // once the attempts run out.
+  const currentAntiLoopState = getConversationState(conversationId);
+  // 🔧 SUMMARY FIX: Skip drift detection for summary requests and summary responses
+  const shouldSkipDriftDetection = (reply) => {
+    // Skip if this is an explicit summary request
+    if (isSummaryRequest) {
+      console.log('✅ Skipping drift detection - explicit summary request');
+      return true;
     }
     
-    const enhancedSystemPrompt = systemPrompt + "\n\n" + stageInstructions;
+    // Also skip if the response appears to be a summary (auto-detection)
+    const hasBulletPoints = reply.includes('•') || reply.includes('*') || reply.includes('-');
+    const hasSummaryKeywords = /(?:summarize|summary|key themes|main points|to summarize|based on our conversation)/i.test(reply);
+    
+    if (hasBulletPoints && hasSummaryKeywords) {
+      console.log('✅ Skipping drift detection - auto-detected summary response');
+      return true;
+    }
     
-    // Construct messages array for model call
-    const messagesForModel = [
-      { role: "system", content: enhancedSystemPrompt },
-      ...historyWithoutSystem,
-      { role: "user", content: userText }
-    ];
-
-    // 🔍 DEBUG: Log conversation context being sent to model
-    console.log("🔍 DEBUG: Messages being sent to LLM:");
-    console.log("🔍 System prompt length:", systemPrompt.length);
-    console.log("🔍 History messages count:", historyWithoutSystem.length);
-    console.log("🔍 Last 3 history messages:", historyWithoutSystem.slice(-3).map(m => ({
-      role: m.role,
-      content: m.content?.substring(0, 100) + (m.content?.length > 100 ? "..." : "")
-    })));
-    console.log("🔍 Current user message:", userText);
-
-    // Call model with fresh system prompt + conversation history + new user message
-    const next = await callModel(messagesForModel);
-    let modelReply = next?.content || "";
-
-    // 🔍 DEBUG: Log raw model response
-    console.log("🔍 DEBUG: Raw LLM response:");
-    console.log("🔍 Response length:", modelReply.length);
-    console.log("🔍 Response preview:", modelReply.substring(0, 200) + (modelReply.length > 200 ? "..." : ""));
+    return false;
+  };
+  
+  const reviewReply = async (reply, isRegeneration) => {
+    // Drift verdicts: the optional LLM classifier decides when it gives a valid answer,
+    // otherwise the regex rules do. Both are logged for comparison.
+    const regexVerdict = getRegexDriftVerdict(reply, currentAntiLoopState);
+    const classification = isSummaryRequest
+      ? { verdict: null, reason: 'summary_request', latencyMs: 0 }
+      : await driftClassifier.classify(reply, { userText, recentMessages: historyWithoutSystem, generate: callModel });
+    modelCalls.push(classification.telemetry);
+    const driftLabel = classification.verdict?.label || regexVerdict.label;
+    console.log(`🧭 Drift verdicts - classifier: ${classification.verdict ? `${classification.verdict.label} (${classification.latencyMs}ms)` : `none (${classification.reason})`}, regex: ${regexVerdict.label}`);
     
-    // ANTI-LOOP INTERVENTION: Check for circular event questioning
-    let interventionApplied = false;
-    const eventQuestionPatterns = [
-      /what.*event/i,
-      /what.*moment/i,
-      /what.*specific.*experience/i,
-      /which.*event/i,
-      /what.*happened/i,
-      /what.*led.*to/i
-    ];
+    // 🔍 DEBUG: Check for various types of drift (rules from the versioned drift ruleset).
+    // Closing replies are handled by the recap step and summaries are kept as written.
+    let offTopicRule = null, politicalRule = null, actionRoleRule = null, beliefRule = null;
+    if (!reply.includes("##INTERVIEW_COMPLETE##") && !shouldSkipDriftDetection(reply)) {
+      // A classifier verdict stands in for the political and action/role rules
+      const classifierRule = (label, category) =>
+        classification.verdict?.label === label ? { id: `classifier.${label}`, category } : null;
+      offTopicRule = findDriftRule('offTopic', reply);
+      politicalRule = classification.verdict ? classifierRule('political_drift', 'political') : findDriftRule('political', reply);
+      actionRoleRule = classification.verdict ? classifierRule('action_role_drift', 'action') : findDriftRule('action', reply);
+      // The belief rule looks at the participant's message, so a regenerated reply can't clear it
+      beliefRule = isRegeneration ? null : findDriftRule('belief', userText);
+      
+      console.log("🔍 DEBUG: Drift detection results:");
+      console.log("🔍 Off-topic:", offTopicRule?.id || false);
+      console.log("🔍 Political drift:", politicalRule?.id || false);
+      console.log("🔍 Action/role drift:", actionRoleRule?.id || false);
+      console.log("🔍 Belief drift (user):", beliefRule?.id || false);
+    }
     
-    const isEventQuestion = eventQuestionPatterns.some(pattern => pattern.test(modelReply));
-    const currentAntiLoopState = getConversationState();
+    // Every detector that fired, by the id of the rule (or true for the anti-loop check)
+    const flags = {
+      anti_loop: driftLabel === 'event_reask',
+      off_topic: offTopicRule?.id || false,
+      political: politicalRule?.id || false,
+      action: actionRoleRule?.id || false,
+      belief: beliefRule?.id || false
+    };
     
-    if (isEventQuestion && (currentAntiLoopState.eventConfirmed || Object.keys(currentAntiLoopState.identifiedEvents).length > 0)) {
+    if (flags.anti_loop) {
       console.log("🚫 ANTI-LOOP: Blocking event question, user has already identified events");
       console.log("🚫 Event status:", {
         eventConfirmed: currentAntiLoopState.eventConfirmed,
         identifiedEvents: currentAntiLoopState.identifiedEvents
       });
-      
-      // Replace with alternative question
-      const alternativeReply = getAlternativeQuestion();
-      console.log("🔄 ANTI-LOOP: Using alternative question:", alternativeReply);
-      modelReply = alternativeReply;
-      interventionApplied = true;
-      
-      // Set question intent to non-event type
-      setQuestionIntent('ask_impact');
-    } else if (isEventQuestion) {
-      // Mark that we're asking an event question
-      setQuestionIntent('ask_event');
-    } else {
-      // Determine and set appropriate question intent based on content
-      if (modelReply.toLowerCase().includes('feel') || modelReply.toLowerCase().includes('emotion')) {
-        setQuestionIntent('ask_emotion');
-      } else if (modelReply.toLowerCase().includes('next') || modelReply.toLowerCase().includes('after')) {
-        setQuestionIntent('ask_timeline');
-      } else if (modelReply.toLowerCase().includes('do') || modelReply.toLowerCase().includes('action')) {
-        setQuestionIntent('ask_action');
-      } else {
-        setQuestionIntent('ask_impact');
-      }
+      return { reply, regexVerdict, classification, flags, rejection: { type: 'event_reask', rule: null, reason: REGENERATION_REASONS.event_reask } };
     }
     
-    console.log("🔍 ANTI-LOOP: Intervention applied:", interventionApplied);
+    const rule = offTopicRule || politicalRule || actionRoleRule || beliefRule;
+    return {
+      reply,
+      regexVerdict,
+      classification,
+      flags,
+      rejection: rule ? { type: 'drift', rule, reason: REGENERATION_REASONS[rule.category] } : null
+    };
+  };
+  
+  const { maxAttempts } = getRegenerationSettings();
+  let review = await reviewReply(modelReply, false);
+  const detectorFlags = review.flags;
+  const interventionType = review.rejection ? interventionTypeFor(review.rejection) : null;
+  const rejections = [];
+  let attempts = 1;
+  while (review.rejection && attempts < maxAttempts) {
+    rejections.push({ type: review.rejection.type, ruleId: review.rejection.rule?.id || null, reason: review.rejection.reason });
+    attempts++;
+    console.log(`🔁 REGENERATE: Attempt ${attempts}/${maxAttempts} - ${review.rejection.reason}`);
+    let retry;
+    try {
+      retry = await callModel(buildRegenerationMessages(messagesForModel, review.reply, review.rejection.reason), { purpose: "chat", params: conditionAssigner.getModelParams(condition, "chat") });
+    } catch (error) {
+      // A missing replay fixture must fail the run rather than silently fall back
+      if (error.code === "LLM_FIXTURE_MISSING") throw error;
+      console.warn("⚠️ Reply regeneration failed:", error.message);
+      break;
+    }
+    modelCalls.push(retry?.telemetry);
+    if (!retry?.content?.trim()) break;
+    review = await reviewReply(retry.content, true);
+  }
+  
+  const { regexVerdict, classification } = review;
+  let safeReply = review.reply;
+  let driftRule = null; // Rule whose canned redirect replaced the reply
+  let regenerationPath = attempts > 1 ? 'regenerated' : 'original';
+  
+  if (review.rejection) {
+    rejections.push({ type: review.rejection.type, ruleId: review.rejection.rule?.id || null, reason: review.rejection.reason });
+    regenerationPath = 'canned_fallback';
+    if (review.rejection.type === 'event_reask') {
+      safeReply = getAlternativeQuestion(conversationState.turnCount);
+      console.log("🔄 ANTI-LOOP: Using alternative question:", safeReply);
+    } else {
+      driftRule = review.rejection.rule;
+      safeReply = redirectLine(DRIFT_TYPES[driftRule.category]);
+      console.log(`🔍 DRIFT: Using ${DRIFT_TYPES[driftRule.category]} redirect`);
+    }
+  }
 
-    // Check for interview completion marker
-    if (modelReply.includes("##INTERVIEW_COMPLETE##")) {
-      // Remove the marker from the visible reply
-      const visibleReply = modelReply.replace("##INTERVIEW_COMPLETE##", "").trim();
-      
-      await appendMessage(conversationId, { role: "user", content: userText });
-      await appendMessage(conversationId, { role: "assistant", content: visibleReply });
-      
-      // Extract userId using robust function
-      const userId = req.user?.id || req.body.userId || await getUserIdFromConversation(conversationId);
-      
-      if (userId) {
-        console.log('✓ Interview complete marker detected, ensuring summary exists for user:', userId);
-        await ensureConversationSummary(conversationId, userId);
-      } else {
-        console.warn('Could not determine userId for summary verification on interview complete');
+  // A recap is only proposed where one was asked for: the timed summary, or a bulleted reply
+  // in the recap stage. Bullets anywhere else are an ordinary reply.
+  const recapProposed = (isSummaryRequest || conversationState.stage === 'recap') &&
+    regenerationPath !== 'canned_fallback' && isRecapReply(safeReply);
+
+  // Summaries, closing replies, recaps and canned redirects are not ordinary interview replies:
+  // they are kept as written and their questions are not classified
+  const interviewReply = !isSummaryRequest && regenerationPath !== 'canned_fallback' && !safeReply.includes(COMPLETION_MARKER) && !recapProposed;
+
+  // Check the reply against the prompt's rules (length, one question, no stock validation
+  // phrases, no marker fragments). A rewrite is kept when it breaks fewer rules and doesn't drift.
+  const ruleCheck = { path: 'skipped', rewrites: 0, violations: [], remaining: [] };
+  if (interviewReply) {
+    let violations = replyRuleChecker.check(safeReply);
+    ruleCheck.violations = violations.map(({ ruleId, type, value }) => ({ ruleId, type, value }));
+    while (violations.length > 0 && ruleCheck.rewrites < replyRuleChecker.maxRewrites) {
+      ruleCheck.rewrites++;
+      console.log(`📐 REWRITE: Attempt ${ruleCheck.rewrites}/${replyRuleChecker.maxRewrites} - ${violations.map(v => v.ruleId).join(', ')}`);
+      let rewrite;
+      try {
+        rewrite = await callModel(buildRegenerationMessages(messagesForModel, safeReply, replyRuleChecker.describe(violations)), { purpose: "chat", params: conditionAssigner.getModelParams(condition, "chat") });
+      } catch (error) {
+        if (error.code === "LLM_FIXTURE_MISSING") throw error;
+        console.warn("⚠️ Reply rewrite failed:", error.message);
+        break;
       }
-      
-      // Return with sessionEnded flag to trigger automatic redirection
-      return res.json({ reply: visibleReply, sessionEnded: true });
+      modelCalls.push(rewrite?.telemetry);
+      if (!rewrite?.content?.trim() || rewrite.content.includes(COMPLETION_MARKER)) continue;
+      const rewriteViolations = replyRuleChecker.check(rewrite.content);
+      if (rewriteViolations.length >= violations.length || (await reviewReply(rewrite.content, true)).rejection) continue;
+      safeReply = rewrite.content;
+      violations = rewriteViolations;
     }
+    // Marker fragments must never be shown, so they are stripped if the rewrites didn't remove them
+    if (violations.some(v => v.type === 'markerFragment')) {
+      safeReply = replyRuleChecker.stripMarkerFragments(safeReply);
+      violations = replyRuleChecker.check(safeReply);
+    }
+    ruleCheck.remaining = violations.map(v => v.ruleId);
+    ruleCheck.path = ruleCheck.violations.length === 0 ? 'passed' : violations.length === 0 ? 'rewritten' : 'unresolved';
+    console.log(`📐 Reply rules: ${ruleCheck.path}${ruleCheck.violations.length ? ` (${ruleCheck.violations.map(v => v.ruleId).join(', ')})` : ''}`);
+  }
 
-    let safeReply = modelReply;
-    let driftType = 'general';
-    let driftDetected = false;
-    
-    // 🔧 SUMMARY FIX: Skip drift detection for summary requests and summary responses
-    const shouldSkipDriftDetection = () => {
-      // Skip if this is an explicit summary request
-      if (isSummaryRequest) {
-        console.log('✅ Skipping drift detection - explicit summary request');
-        return true;
-      }
-      
-      // Also skip if the response appears to be a summary (auto-detection)
-      const hasBulletPoints = modelReply.includes('•') || modelReply.includes('*') || modelReply.includes('-');
-      const hasSummaryKeywords = /(?:summarize|summary|key themes|main points|to summarize|based on our conversation)/i.test(modelReply);
-      
-      if (hasBulletPoints && hasSummaryKeywords) {
-        console.log('✅ Skipping drift detection - auto-detected summary response');
-        return true;
-      }
-      
-      return false;
-    };
+  // Classify the question the shown interview reply asks; the sequence is kept on the
+  // conversation state and the last intent gates event re-asks
+  if (interviewReply) {
+    const questionIntent = questionIntentTracker.record(conversationState, safeReply);
+    setQuestionIntent(conversationId, questionIntent.intent);
+  }
+  
+  console.log(`🔍 Reply review: ${regenerationPath} after ${attempts} attempt(s)`);
+  await saveConversationState(conversationId);
+
+  // Check for interview completion marker
+  if (safeReply.includes("##INTERVIEW_COMPLETE##")) {
+    // Remove the marker from the visible reply
+    const visibleReply = safeReply.replace("##INTERVIEW_COMPLETE##", "").trim();
+    await appendMessage(conversationId, { role: "user", content: userText, topics: conversationState.lastTopics, ...(isSummaryRequest && { summaryRequest: true }) });
     
-    if (shouldSkipDriftDetection()) {
-      console.log("✅ SUMMARY PRESERVED: Using original model response without drift detection");
-      driftDetected = false;
-    } else {
-      // 🔍 DEBUG: Check for various types of drift
-      const isOffTopic = !enforceOnTopic(modelReply);
-      const isPoliticalDrift = detectPoliticalDrift(modelReply);
-      const isActionRoleDrift = detectActionRoleDrift(modelReply);
-      const isBeliefDrift = detectBeliefDrift(userText);
-      
-      console.log("🔍 DEBUG: Drift detection results:");
-      console.log("🔍 Off-topic:", isOffTopic);
-      console.log("🔍 Political drift:", isPoliticalDrift);
-      console.log("🔍 Action/role drift:", isActionRoleDrift);
-      console.log("🔍 Belief drift (user):", isBeliefDrift);
-      
-      if (isOffTopic) {
-        console.log("🔍 DRIFT: Using general redirect - off-topic detected");
-        safeReply = redirectLine();
-        driftDetected = true;
-      } else if (isPoliticalDrift) {
-        console.log("🔍 DRIFT: Using political redirect");
-        driftType = 'political';
-        safeReply = redirectLine(driftType);
-        driftDetected = true;
-      } else if (isActionRoleDrift) {
-        console.log("🔍 DRIFT: Using action/role redirect");
-        // Chatbot is discussing roles/actions rather than belief change narrative
-        driftType = 'action';
-        safeReply = redirectLine(driftType);
-        driftDetected = true;
-      } else if (isBeliefDrift) {
-        console.log("🔍 DRIFT: Using belief redirect (user indicated off-topic)");
-        // User indicated we're off topic from belief change
-        driftType = 'belief';
-        safeReply = redirectLine(driftType);
-        driftDetected = true;
-      } else {
-        console.log("🔍 No drift detected - using original model response");
+    // The model can't end the interview itself; it ends when the participant confirms the
+    // recap. Reuse the model's bullets if it showed them; the recap message carries this turn's model calls.
+    console.log('✓ Interview complete marker detected, offering recap before ending');
+    const bullets = isRecapReply(visibleReply) ? extractRecapBullets(visibleReply) : null;
+    return await offerRecap(req, conversationState, 'interview_complete_marker', { bullets, modelCalls });
+  }
+  
+  // 🔍 DEBUG: Log final response selection
+  console.log("🔍 DEBUG: Final response selection:");
+  console.log("🔍 Drift redirect:", driftRule?.id || false);
+  console.log("🔍 Final response preview:", safeReply.substring(0, 150) + (safeReply.length > 150 ? "..." : ""));
+
+  // A proposed recap (the timed summary, or one the model wrote in the recap stage) awaits confirmation
+  if (recapProposed) {
+    proposeRecap(conversationState, extractRecapBullets(safeReply), isSummaryRequest ? 'timer_summary' : 'model');
+    stageEngine.transitionTo(conversationState, 'recap', 'recap_proposed');
+  }
+
+  // Update conversation state with assistant response for pattern tracking
+  await recordAssistantResponse(conversationId, conversationState, safeReply);
+  
+  // The timed summary request is sent on the participant's behalf, so it is flagged; participant turns carry their topic tags
+  await appendMessage(conversationId, { role: "user", content: userText, topics: conversationState.lastTopics, ...(isSummaryRequest && { summaryRequest: true }) });
+  await appendMessage(conversationId, {
+    role: "assistant",
+    content: safeReply,
+    // The model's first output, kept even when a regenerated or canned reply was shown
+    rawContent: modelReply,
+    interventionType,
+    detectorFlags,
+    // Prompt rules the reply broke, how many rewrites were asked for and which rules still fail
+    replyRules: ruleCheck,
+    // Prompt template version and hash of the rendered system prompt sent for this turn
+    promptVersion: systemPrompt.version,
+    promptHash: systemPrompt.hash,
+    // Which drift ruleset checked this reply and which rule (if any) replaced it
+    drift: {
+      rulesetVersion: getDriftRuleset().version,
+      ruleId: driftRule?.id || null,
+      category: driftRule?.category || null,
+      verdicts: {
+        regex: regexVerdict.label,
+        classifier: classification.verdict?.label || null,
+        classifierStatus: classification.verdict ? 'ok' : classification.reason,
+        classifierLatencyMs: classification.latencyMs
       }
-    }
-    
-    // 🔍 DEBUG: Log final response selection
-    console.log("🔍 DEBUG: Final response selection:");
-    console.log("🔍 Drift detected:", driftDetected);
-    console.log("🔍 Drift type:", driftType);
-    console.log("🔍 Final response preview:", safeReply.substring(0, 150) + (safeReply.length > 150 ? "..." : ""));
-
-    // Update conversation state with assistant response for pattern tracking
-    updateConversationState(conversationId, userText, safeReply);
+    },
+    // How many model attempts the reply took and whether it was the original, a regenerated
+    // reply or the canned fallback
+    regeneration: {
+      attempts,
+      path: regenerationPath,
+      rejections
+    },
+    // Tokens, latency and model settings summed over the calls above
+    telemetry: combineTelemetry(modelCalls),
+    ...(recapProposed && { recap: true })
+  });
+
+  return recapProposed ? { reply: safeReply, recapPending: true } : { reply: safeReply };
+}
+
+const RECAP_CONFIRMED_REPLY = "Thank you for confirming, and for sharing your story with me. I appreciate your time and insights about your belief change experience.";
+const RECAP_DECLINED_REPLY = "Thank you for sharing your story with me. I appreciate your time and insights about your belief change experience.";
+
+const RECAP_REVISION_INSTRUCTIONS = `You revise the recap of a research interview about how a participant's views on climate change changed.
+Apply the participant's correction to the current recap. Keep UP TO FIVE distinct key themes, each addressed to the participant ("You ...").
+Respond with the revised bullet points only, one per line, each starting with "• ".`;
+
+// Show a recap and wait for the participant to confirm it. Uses the given bullets (e.g. from
+// the model's closing message) or the conversation summary's themes. The caller has already
+// stored the participant's message; `modelCalls` is the telemetry of its calls for this turn.
+async function offerRecap(req, state, reason, { bullets = null, modelCalls = [] } = {}) {
+  const { conversationId } = req.body;
+  const recapCalls = [...modelCalls];
+  
+  if (!bullets) {
+    const userId = req.user?.id || req.body.userId || await getUserIdFromConversation(conversationId);
+    const profile = userId ? await getParticipantProfile(userId) : null;
+    const summary = await summaryService.summarize(await loadMessages(conversationId), { profile, generate: callModel });
+    recapCalls.push(summary.telemetry);
+    bullets = summary.themes.map(theme => theme.text);
+  }
+  
+  proposeRecap(state, bullets.slice(0, 5), reason);
+  stageEngine.transitionTo(state, 'recap', reason);
+  
+  const reply = formatRecapMessage(state.recap.bullets);
+  await recordAssistantResponse(conversationId, state, reply);
+  await appendMessage(conversationId, { role: "assistant", content: reply, recap: true, telemetry: combineTelemetry(recapCalls) });
+  return { reply, recapPending: true };
+}
+
+// The participant answered a pending recap: end on confirmation, end with the recap
+// unconfirmed if they ask to stop, otherwise revise the recap with their correction and ask again
+async function handleRecapReply(req, state) {
+  const { conversationId, message: userText } = req.body;
+  // Flagged so recovery doesn't count it as an interview turn
+  await appendMessage(conversationId, { role: "user", content: userText, topics: tagTopics(userText), recapReply: true });
+  
+  if (isRecapConfirmation(userText)) {
+    confirmRecap(state);
+    console.log(`✅ Recap confirmed after ${state.recap.revisions.length} revision(s) for ${conversationId}`);
+    return await endAfterRecap(req, state, RECAP_CONFIRMED_REPLY, 'recap_confirmed');
+  }
+  
+  // Asking to end is not a correction to the recap
+  if (isTerminationRequest(userText)) {
+    markRecapUnconfirmed(state);
+    console.log(`⚠️ Termination requested with the recap unconfirmed for ${conversationId}`);
+    return await endAfterRecap(req, state, RECAP_DECLINED_REPLY, 'termination_request');
+  }
+  
+  console.log(`✏️ Recap correction received for ${conversationId}`);
+  recordRecapCorrection(state, userText);
+  const { bullets: revised, telemetry } = await reviseRecap(state.recap.bullets, userText);
+  // Without a revision the bullets stay as they were; the correction is kept on the revision it answered
+  const bullets = revised || state.recap.bullets;
+  proposeRecap(state, bullets, revised ? 'correction' : 'correction_noted');
+  
+  const reply = formatRecapMessage(bullets, { revised: Boolean(revised), noted: !revised });
+  await recordAssistantResponse(conversationId, state, reply);
+  await appendMessage(conversationId, { role: "assistant", content: reply, recap: true, telemetry: combineTelemetry([telemetry]) });
+  return { reply, recapPending: true };
+}
+
+// Close the conversation after the recap step. The summary is stored first so the closing
+// reply can carry the telemetry of its model call.
+async function endAfterRecap(req, state, reply, reason) {
+  const { conversationId } = req.body;
+  await recordAssistantResponse(conversationId, state, reply);
+  await completeConversationState(conversationId, state, reason);
+  
+  const userId = req.user?.id || req.body.userId || await getUserIdFromConversation(conversationId);
+  let summaryTelemetry = null;
+  if (userId) {
+    summaryTelemetry = await ensureConversationSummary(conversationId, userId);
+  } else {
+    console.warn(`Could not determine userId for summary generation (${reason})`);
+  }
+  await appendMessage(conversationId, { role: "assistant", content: reply, telemetry: combineTelemetry([summaryTelemetry]) });
+  clearConversationState(conversationId);
+  return { reply, sessionEnded: true };
+}
+
+// Regenerate the recap bullets with the participant's correction applied. Resolves to
+// { bullets, telemetry }, with null bullets when the model gave no usable ones.
+async function reviseRecap(bullets, correction) {
+  let telemetry = null;
+  try {
+    const result = await callModel([
+      { role: "system", content: RECAP_REVISION_INSTRUCTIONS },
+      { role: "user", content: `Current recap:\n${bullets.map(bullet => `• ${bullet}`).join("\n")}\n\nParticipant's correction: ${correction}` }
+    ], { purpose: "recap" });
     
-    await appendMessage(conversationId, { role: "user", content: userText });
-    await appendMessage(conversationId, { role: "assistant", content: safeReply });
+    telemetry = result?.telemetry || null;
+    const revised = extractRecapBullets(result?.content);
+    if (revised.length > 0) return { bullets: revised.slice(0, 5), telemetry };
+  } catch (error) {
+    if (error.code === 'LLM_FIXTURE_MISSING') throw error;
+    console.warn('⚠️ Recap revision failed, keeping the current recap:', error.message);
+  }
+  return { bullets: null, telemetry };
+}
 
-    res.json({ reply: safeReply });
+router.post("/reply", async (req, res) => {
+  try {
+    res.json(await processReply(req));
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
     console.error("chat/reply error", err);
     res.status(500).json({ error: "Failed to generate reply" });
   }
 });
 
+// Server-sent-events variant of /reply: streams model tokens, then sends the stored
+// post-processed reply. A "replace" event tells the client to swap out the streamed
+// text when drift/anti-loop handling (or a non-model path) produced a different reply.
+router.post("/reply/stream", async (req, res) => {
+  // Headers go out with the first event, so errors raised before any output (such as
+  // the 410 time limit) can still be sent as a normal status code
+  const sendEvent = (event, data) => {
+    if (!res.headersSent) {
+      res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no" // Disable proxy buffering so tokens arrive immediately
+      });
+      res.flushHeaders();
+    }
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  let streamed = "";
+  const forwardToken = createMarkerFilter((text) => {
+    streamed += text;
+    sendEvent("token", { text });
+  });
+  
+  try {
+    const payload = await processReply(req, (messages, options) => callModelStream(messages, forwardToken, options));
+    if (payload.reply.trim() !== streamed.trim()) {
+      sendEvent("replace", { reply: payload.reply });
+    }
+    sendEvent("done", payload);
+  } catch (err) {
+    if (err.status && !res.headersSent) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error("chat/reply/stream error", err);
+    sendEvent("error", { error: "Failed to generate reply" });
+  }
+  res.end();
+});
+
 export default router;
\ No newline at end of file
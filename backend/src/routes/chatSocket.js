@@ -0,0 +1,109 @@
+// backend/src/routes/chatSocket.js
+// socket.io transport for the /chat protocol. Carries the same start/reply/summary
+// exchange as the HTTP router (and reuses its state handling and server-side timer), and
+// pushes timer ticks, the timed summary and session-ended events to the client.
+import { startConversation, processReply, getChatTimerStatus, callModelStream, createMarkerFilter } from "./chat.js";
+import { chatTimer } from "../utils/chatTimer.js";
+
+// One tick interval per conversation rather than per socket, so a reconnecting client
+// picks up the same countdown
+const tickers = new Map();
+
+function stopTicker(conversationId) {
+  clearInterval(tickers.get(conversationId));
+  tickers.delete(conversationId);
+}
+
+function startTicker(namespace, conversationId, remainingSeconds) {
+  stopTicker(conversationId);
+
+  const endsAt = Date.now() + remainingSeconds * 1000;
+  const interval = setInterval(() => {
+    const remaining = Math.max(0, Math.ceil((endsAt - Date.now()) / 1000));
+    namespace.to(conversationId).emit("chat:timer", { remainingSeconds: remaining });
+    if (remaining === 0) stopTicker(conversationId);
+  }, 1000);
+  interval.unref?.();
+  tickers.set(conversationId, interval);
+}
+
+// Run a handler and answer through the socket.io acknowledgement, mapping errors the
+// same way the HTTP routes do
+function withAck(label, handler) {
+  return async (data, ack) => {
+    const respond = typeof ack === "function" ? ack : () => {};
+    try {
+      respond(await handler(data || {}));
+    } catch (error) {
+      if (error.status) {
+        return respond({ error: error.message, status: error.status });
+      }
+      console.error(`❌ chat socket ${label} error:`, error);
+      respond({ error: label === "start" ? "Failed to start chat" : "Failed to generate reply", status: 500 });
+    }
+  };
+}
+
+export function registerChatSocket(io) {
+  const namespace = io.of("/chat");
+
+  // The router's timer decides when to summarize and when time is up
+  chatTimer.on("warning", ({ conversationId, reply, remainingSeconds }) => {
+    namespace.to(conversationId).emit("chat:warning", { reply, remainingSeconds });
+  });
+  chatTimer.on("expired", ({ conversationId }) => {
+    stopTicker(conversationId);
+    namespace.to(conversationId).emit("chat:ended", { reason: "time_limit" });
+  });
+
+  namespace.on("connection", (socket) => {
+    console.log(`🔌 Chat socket connected: ${socket.id}`);
+
+    socket.on("chat:start", withAck("start", async ({ userId, conversationId }) => {
+      const result = await startConversation({ userId, conversationId });
+      socket.join(result.conversationId);
+      startTicker(namespace, result.conversationId, result.remainingSeconds);
+      return result;
+    }));
+
+    // Re-attach a reconnecting client to its conversation's room and countdown
+    socket.on("chat:join", withAck("join", async ({ conversationId }) => {
+      const status = await getChatTimerStatus(conversationId);
+      if (!status || status.expired) {
+        return { error: "Conversation not found or ended", status: 410 };
+      }
+      socket.join(conversationId);
+      if (!tickers.has(conversationId)) {
+        startTicker(namespace, conversationId, status.remainingSeconds);
+      }
+      return { conversationId, ...status };
+    }));
+
+    socket.on("chat:reply", withAck("reply", async ({ conversationId, message, userId }) => {
+      const forwardToken = createMarkerFilter((text) => socket.emit("chat:token", { conversationId, text }));
+      const payload = await processReply(
+        { body: { conversationId, message, userId } },
+        (messages, options) => callModelStream(messages, forwardToken, options)
+      );
+
+      // The acknowledgement already tells the client the session ended
+      if (payload.sessionEnded) {
+        stopTicker(conversationId);
+      }
+      return payload;
+    }));
+
+    // Explicit summary request; the router's timer also sends one on its own at the
+    // warning offset, and both resolve to the same once-per-conversation summary
+    socket.on("chat:summary", withAck("summary", async ({ conversationId, userId }) => {
+      return await processReply({ body: { conversationId, userId, isSummaryRequest: true } });
+    }));
+
+    socket.on("disconnect", (reason) => {
+      console.log(`🔌 Chat socket disconnected: ${socket.id} (${reason})`);
+    });
+  });
+
+  console.log("✅ Chat socket.io namespace mounted at /chat");
+  return namespace;
+}
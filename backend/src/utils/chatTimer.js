@@ -0,0 +1,109 @@
+// backend/src/utils/chatTimer.js
+// Server-authoritative countdown for /chat router conversations. The timer lives on the
+// conversation state (state.chatTimer) so it survives restarts; this module computes the
+// remaining time and schedules the in-process warning/expiry callbacks. Duration and the
+// warning offset come from the study config's "timer" section.
+//
+// Events (emitted by the router once it has acted on them):
+//   "warning" { conversationId, reply, remainingSeconds } - the timed summary was sent
+//   "expired" { conversationId }                           - the conversation was finalized
+import { EventEmitter } from "node:events";
+import { getStudyConfig } from "./studyConfig.js";
+
+class ChatTimer extends EventEmitter {
+  constructor(timerConfig = {}) {
+    super();
+    this.durationSeconds = timerConfig.durationSeconds ?? 600;
+    this.warningOffsetSeconds = timerConfig.warningOffsetSeconds ?? 60;
+    this.scheduled = new Map(); // conversationId -> { warning, expiry } timeout handles
+  }
+
+  // Begin the countdown for a conversation; durationSeconds overrides the configured length
+  // (e.g. for an experimental condition)
+  start(state, now = Date.now(), durationSeconds = null) {
+    state.chatTimer = {
+      startedAt: new Date(now).toISOString(),
+      durationSeconds: durationSeconds ?? this.durationSeconds,
+      warningOffsetSeconds: this.warningOffsetSeconds,
+      summary: null,
+      summarySentAt: null,
+      expiredAt: null
+    };
+    return state.chatTimer;
+  }
+
+  getRemainingSeconds(state, now = Date.now()) {
+    const timer = state?.chatTimer;
+    if (!timer) return null;
+    const elapsed = Math.floor((now - new Date(timer.startedAt).getTime()) / 1000);
+    return Math.max(0, timer.durationSeconds - elapsed);
+  }
+
+  isExpired(state, now = Date.now()) {
+    return Boolean(state?.chatTimer?.expiredAt) || this.getRemainingSeconds(state, now) === 0;
+  }
+
+  isWarningDue(state, now = Date.now()) {
+    const remaining = this.getRemainingSeconds(state, now);
+    return remaining !== null &&
+      remaining <= state.chatTimer.warningOffsetSeconds &&
+      !state.chatTimer.summarySentAt;
+  }
+
+  markSummarySent(state, summary) {
+    state.chatTimer.summary = summary;
+    state.chatTimer.summarySentAt = new Date().toISOString();
+  }
+
+  markExpired(state) {
+    state.chatTimer.expiredAt = state.chatTimer.expiredAt || new Date().toISOString();
+  }
+
+  // Timer fields included in every start/reply payload
+  snapshot(state, now = Date.now()) {
+    return {
+      remainingSeconds: this.getRemainingSeconds(state, now),
+      durationSeconds: state?.chatTimer?.durationSeconds ?? this.durationSeconds
+    };
+  }
+
+  isScheduled(conversationId) {
+    return this.scheduled.has(conversationId);
+  }
+
+  // Run onWarning at the warning offset and onExpire at the end. Either fires right away
+  // if its moment has already passed (e.g. after a restart).
+  schedule(conversationId, state, { onWarning, onExpire }) {
+    this.cancel(conversationId);
+    const remainingMs = this.getRemainingSeconds(state) * 1000;
+    const warningMs = Math.max(0, remainingMs - state.chatTimer.warningOffsetSeconds * 1000);
+
+    const handles = {
+      warning: state.chatTimer.summarySentAt ? null : setTimeout(onWarning, warningMs),
+      expiry: setTimeout(() => {
+        this.scheduled.delete(conversationId);
+        onExpire();
+      }, remainingMs)
+    };
+    // Don't keep the process alive just for a countdown
+    handles.warning?.unref?.();
+    handles.expiry.unref?.();
+    this.scheduled.set(conversationId, handles);
+  }
+
+  cancel(conversationId) {
+    const handles = this.scheduled.get(conversationId);
+    if (handles) {
+      clearTimeout(handles.warning);
+      clearTimeout(handles.expiry);
+      this.scheduled.delete(conversationId);
+    }
+  }
+}
+
+export function createChatTimer(timerConfig) {
+  return new ChatTimer(timerConfig);
+}
+
+// Export singleton instance built from the study config
+export const chatTimer = createChatTimer(getStudyConfig().timer);
@@ -0,0 +1,129 @@
+// backend/src/utils/conditions.js
+// Experimental conditions from the study config's "conditions" section. Each condition names
+// a system prompt template (see promptTemplates.js), an opening line template (the fallback when
+// the opening line isn't generated, see openingLine.js), a chat duration and per-purpose model
+// settings. Participants are assigned once, at survey submission, by
+// block randomization:
+//   "block"      - one sequence of blocks for everyone
+//   "stratified" - a separate sequence per value of assignment.stratifyBy (a participant field
+//                  path such as "belief_change.mind_change_direction")
+// Each block holds every condition equally often, in an order derived from the study seed, the
+// stratum and the block number, so the next assignment only depends on how many participants
+// the stratum already has and survives restarts.
+import crypto from "node:crypto";
+import { getStudyConfig } from "./studyConfig.js";
+import { hasPromptTemplate, renderPrompt } from "./promptTemplates.js";
+import { openingLineFrom } from "./openingLine.js";
+
+// Opening line templates a condition can name
+export const OPENING_LINE_TEMPLATES = { default: openingLineFrom };
+
+const ASSIGNMENT_METHODS = ["block", "stratified"];
+
+function getPath(object, fieldPath) {
+  return fieldPath.split(".").reduce((value, key) => value?.[key], object);
+}
+
+class ConditionAssigner {
+  constructor(conditionsConfig = {}) {
+    const assignment = conditionsConfig.assignment || {};
+    this.method = assignment.method || "block";
+    this.stratifyBy = assignment.stratifyBy || null;
+    this.seed = assignment.seed || "";
+    this.conditions = (conditionsConfig.arms || []).map((arm) => ({
+      systemPrompt: "default",
+      openingLine: "default",
+      generateOpeningLine: null, // null uses the study config's openingLine.generate
+      chatDurationSeconds: null,
+      llm: {},
+      ...arm
+    }));
+    this.blockSize = assignment.blockSize || this.conditions.length;
+
+    const errors = [];
+    if (this.conditions.length === 0) errors.push("conditions.arms must list at least one condition");
+    if (!ASSIGNMENT_METHODS.includes(this.method)) errors.push(`unknown assignment method "${this.method}"`);
+    if (this.method === "stratified" && !this.stratifyBy) errors.push("stratified assignment needs assignment.stratifyBy");
+    if (this.conditions.length && this.blockSize % this.conditions.length !== 0) {
+      errors.push(`blockSize ${this.blockSize} is not a multiple of the ${this.conditions.length} conditions`);
+    }
+    const ids = new Set();
+    for (const condition of this.conditions) {
+      if (!condition.id || ids.has(condition.id)) errors.push(`condition ids must be present and unique ("${condition.id}")`);
+      ids.add(condition.id);
+      if (!hasPromptTemplate(condition.systemPrompt)) errors.push(`condition "${condition.id}" has unknown systemPrompt "${condition.systemPrompt}"`);
+      if (!OPENING_LINE_TEMPLATES[condition.openingLine]) errors.push(`condition "${condition.id}" has unknown openingLine "${condition.openingLine}"`);
+    }
+    if (errors.length > 0) {
+      throw new Error(`Invalid study conditions: ${errors.join("; ")}`);
+    }
+  }
+
+  // Condition by id; unknown or missing ids (e.g. participants from before conditions existed)
+  // get the first condition
+  getCondition(id) {
+    return this.conditions.find((condition) => condition.id === id) || this.conditions[0];
+  }
+
+  getStratum(participant) {
+    if (this.method !== "stratified") return "all";
+    const value = getPath(participant, this.stratifyBy);
+    return value === undefined || value === null || value === "" ? "unknown" : String(value);
+  }
+
+  // Condition order for one block of a stratum
+  getBlock(stratum, blockIndex) {
+    const repeats = this.blockSize / this.conditions.length;
+    const slots = [];
+    for (let i = 0; i < repeats; i++) {
+      this.conditions.forEach((condition) => slots.push(condition.id));
+    }
+    const rank = (index) => crypto.createHash("sha256")
+      .update(`${this.seed}:${stratum}:${blockIndex}:${index}`)
+      .digest("hex");
+    return slots
+      .map((id, index) => ({ id, rank: rank(index) }))
+      .sort((a, b) => a.rank.localeCompare(b.rank))
+      .map((slot) => slot.id);
+  }
+
+  // Assignment for a new participant, given everyone already assigned
+  assign(participant, assignedParticipants = []) {
+    const stratum = this.getStratum(participant);
+    const position = assignedParticipants.filter((other) =>
+      other?.condition?.id && other.condition.method === this.method && other.condition.stratum === stratum
+    ).length;
+    const blockIndex = Math.floor(position / this.blockSize);
+    const id = this.getBlock(stratum, blockIndex)[position % this.blockSize];
+    return {
+      id,
+      method: this.method,
+      stratum,
+      block: blockIndex,
+      position,
+      assignedAt: new Date().toISOString()
+    };
+  }
+
+  // Rendered system prompt ({ template, version, hash, text }) for a profile and, during the
+  // conversation, its state and whether a summary was requested
+  renderSystemPrompt(condition, profile, conversationState = null, { summaryRequest = false } = {}) {
+    return renderPrompt(condition.systemPrompt, { profile, conversationState, summaryRequest });
+  }
+
+  renderOpeningLine(condition, profile) {
+    return OPENING_LINE_TEMPLATES[condition.openingLine](profile);
+  }
+
+  // Model settings the condition overrides for a purpose ("chat", "recap", ...), if any
+  getModelParams(condition, purpose) {
+    return condition.llm?.[purpose] || undefined;
+  }
+}
+
+export function createConditionAssigner(conditionsConfig) {
+  return new ConditionAssigner(conditionsConfig);
+}
+
+// Export singleton instance built from the study config
+export const conditionAssigner = createConditionAssigner(getStudyConfig().conditions);
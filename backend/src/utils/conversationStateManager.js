@@ -1,5 +1,15 @@
 // backend/src/utils/conversationStateManager.js
-import { PrismaClient } from '@prisma/client';
+// Uses the shared Prisma client exposed on global.db.prisma (see server.js)
+import path from 'node:path';
+import fs from 'node:fs';
+import { stageEngine } from './stageEngine.js';
+import { narrativeFromMessages } from './narrativeExtraction.js';
+import { updateTopicState } from './topicTaxonomy.js';
+import { questionIntentTracker } from './questionIntents.js';
+import { isInterviewTurn, recordResponseSignals } from './responseSignals.js';
+
+// Router-only fields that live in the metadata JSON column
+const METADATA_STATE_FIELDS = ['lastAssistantResponse', 'lastTopics', 'narrativeUnderstanding', 'responsePatterns', 'stageTransitions', 'questionIntents', 'chatTimer', 'conversationSummary', 'recap', 'condition'];
 
 class ConversationStateManager {
   constructor() {
@@ -9,6 +19,13 @@ class ConversationStateManager {
     this.cacheExpiry = 5 * 60 * 1000; // 5 minutes
   }
 
+  // File fallback without a database; CONVERSATION_STATE_DIR moves it (the tests use a temp dir)
+  get statesDir() {
+    return process.env.CONVERSATION_STATE_DIR
+      ? path.resolve(process.env.CONVERSATION_STATE_DIR)
+      : path.join(process.cwd(), 'data', 'conversation-states');
+  }
+
   async initializePrisma() {
     if (!this.prisma && global.db?.prisma) {
       this.prisma = global.db.prisma;
@@ -20,6 +37,20 @@ class ConversationStateManager {
   async getConversationState(conversationId) {
     console.log(`🔍 Getting conversation state for: ${conversationId}`);
     
+    const existing = await this.findConversationState(conversationId);
+    if (existing) {
+      return existing;
+    }
+
+    // Return default state if not found
+    console.log(`🆕 Creating new state for: ${conversationId}`);
+    const defaultState = this.createDefaultState(conversationId);
+    this.updateCache(conversationId, defaultState);
+    return defaultState;
+  }
+
+  // Look up persisted state (cache, then database or file); null when none exists
+  async findConversationState(conversationId) {
     // Check cache first
     const cached = this.cache.get(conversationId);
     if (cached && Date.now() - cached.timestamp < this.cacheExpiry) {
@@ -43,13 +74,19 @@ class ConversationStateManager {
       } catch (error) {
         console.error(`❌ Database error getting state for ${conversationId}:`, error.message);
       }
+      return null;
     }
 
-    // Return default state if not found
-    console.log(`🆕 Creating new state for: ${conversationId}`);
-    const defaultState = this.createDefaultState(conversationId);
-    this.updateCache(conversationId, defaultState);
-    return defaultState;
+    // File fallback when there is no database
+    const fileState = this.readStateFile(conversationId);
+    if (fileState) {
+      const state = this.transformDbToState(fileState);
+      this.updateCache(conversationId, state);
+      console.log(`✅ Retrieved state from file for: ${conversationId}`);
+      return state;
+    }
+
+    return null;
   }
 
   // Save conversation state to database and cache
@@ -77,8 +114,13 @@ class ConversationStateManager {
         return false;
       }
     } else {
-      console.warn(`⚠️ Database unavailable, state only cached for: ${conversationId}`);
-      return false;
+      const saved = this.writeStateFile(conversationId, state);
+      if (saved) {
+        console.log(`✅ State persisted to file for: ${conversationId}`);
+      } else {
+        console.warn(`⚠️ Database unavailable and file write failed, state only cached for: ${conversationId}`);
+      }
+      return saved;
     }
   }
 
@@ -89,42 +131,17 @@ class ConversationStateManager {
     // Update state based on user response
     state.turnCount++;
     
-    // Detect current topic from user response
-    const currentTopic = this.extractTopic(userText);
-    if (currentTopic === state.lastTopic) {
-      state.topicTurnCount++;
-    } else {
-      state.topicTurnCount = 1;
-      state.lastTopic = currentTopic;
-    }
-    
-    // Classify response as minimal or substantive
-    if (this.isMinimalResponse(userText)) {
-      state.minimalResponseCount++;
-      state.substantiveResponseCount = 0;
-    } else {
-      state.substantiveResponseCount++;
-      state.minimalResponseCount = 0;
-    }
+    // Tag the turn's topics and count turns spent on the same topic
+    updateTopicState(state, userText);
     
-    // Track exhaustion signals
-    if (this.isExhaustionSignal(userText)) {
-      state.exhaustionSignals++;
-    } else {
-      state.exhaustionSignals = Math.max(0, state.exhaustionSignals - 1);
-    }
+    // Minimal/substantive responses and exhaustion signals, as in the /chat router
+    recordResponseSignals(state, userText);
     
     state.lastUserResponse = userText;
     state.updatedAt = new Date();
     
     // Auto-advance stages based on conversation progress
-    if (state.stage === 'exploration' && this.shouldAdvanceToElaboration(state)) {
-      state.stage = 'elaboration';
-      console.log(`🔄 Auto-advancing to elaboration stage for: ${conversationId}`);
-    } else if (state.stage === 'elaboration' && this.shouldAdvanceToRecap(state)) {
-      state.stage = 'recap';
-      console.log(`🔄 Auto-advancing to recap stage for: ${conversationId}`);
-    }
+    stageEngine.advance(state);
     
     // Save updated state
     await this.saveConversationState(conversationId, state);
@@ -132,43 +149,74 @@ class ConversationStateManager {
     return state;
   }
 
+  // Read one key from the state's metadata JSON
+  async getMetadata(conversationId, key) {
+    const state = await this.getConversationState(conversationId);
+    return state.metadata?.[key] ?? null;
+  }
+
+  // Merge keys into the state's metadata JSON and persist
+  async updateMetadata(conversationId, patch) {
+    const state = await this.getConversationState(conversationId);
+    // Mutate in place so callers holding this state object see the change
+    state.metadata = Object.assign(state.metadata || {}, patch);
+    state.updatedAt = new Date();
+    return await this.saveConversationState(conversationId, state);
+  }
+
   // Recover state from conversation messages (fallback)
   async recoverStateFromMessages(conversationId, messages) {
     console.log(`🔄 Recovering state from messages for: ${conversationId}`);
     
+    const state = this.rebuildStateFromMessages(conversationId, messages);
+    
+    // Save recovered state
+    await this.saveConversationState(conversationId, state);
+    console.log(`✅ State recovered for: ${conversationId}`);
+    
+    return state;
+  }
+
+  // State as it would be after the given messages, without saving it
+  rebuildStateFromMessages(conversationId, messages) {
     const state = this.createDefaultState(conversationId);
     
-    // Analyze messages to rebuild state
-    const userMessages = messages.filter(msg => msg.role === 'user');
-    state.turnCount = userMessages.length;
+    // Analyze messages to rebuild state. As in the router, recap replies and termination
+    // requests are not interview turns.
+    const userMessages = messages.filter(isInterviewTurn);
+    
+    // Replay each turn as the router counted it: topics, response signals, then the stage machine
+    for (const msg of userMessages) {
+      state.turnCount++;
+      updateTopicState(state, msg.content);
+      recordResponseSignals(state, msg.content);
+      const entry = stageEngine.advance(state);
+      if (entry) entry.recovered = true;
+    }
     
     if (userMessages.length > 0) {
-      const lastUserMessage = userMessages[userMessages.length - 1];
-      state.lastUserResponse = lastUserMessage.content;
-      state.lastTopic = this.extractTopic(lastUserMessage.content);
-      
-      // Count recent minimal responses
-      const recentMessages = userMessages.slice(-3);
-      state.minimalResponseCount = recentMessages.filter(msg => 
-        this.isMinimalResponse(msg.content)
-      ).length;
-      
-      // Count exhaustion signals
-      state.exhaustionSignals = recentMessages.filter(msg => 
-        this.isExhaustionSignal(msg.content)
-      ).length;
-      
-      // Determine stage based on turn count and content
-      if (state.turnCount >= 8) {
-        state.stage = 'recap';
-      } else if (state.turnCount >= 5) {
-        state.stage = 'elaboration';
-      }
+      state.lastUserResponse = userMessages[userMessages.length - 1].content;
+      // Replay the keyword narrative extraction; model extractions aren't repeated on recovery
+      narrativeFromMessages(userMessages, state.narrativeUnderstanding);
     }
     
-    // Save recovered state
-    await this.saveConversationState(conversationId, state);
-    console.log(`✅ State recovered for: ${conversationId}`);
+    // Replay the question intent of each interview reply, numbered by the user turn it answers.
+    // As in the router, summaries, recaps, canned redirects and quick-update acknowledgements
+    // (which follow no stored answer) are not classified.
+    const isInterviewReply = (msg, previous) => msg.role === 'assistant' && !msg.recap &&
+      msg.regeneration?.path !== 'canned_fallback' && isInterviewTurn(previous) && !previous.summaryRequest;
+    let userTurns = 0;
+    let previous = null;
+    for (const msg of messages) {
+      if (isInterviewTurn(msg)) userTurns++;
+      else if (previous && isInterviewReply(msg, previous)) questionIntentTracker.record(state, msg.content, userTurns);
+      previous = msg;
+    }
+    
+    const assistantMessages = messages.filter(msg => msg.role === 'assistant');
+    if (assistantMessages.length > 0) {
+      state.lastAssistantResponse = assistantMessages[assistantMessages.length - 1].content;
+    }
     
     return state;
   }
@@ -199,20 +247,51 @@ class ConversationStateManager {
   createDefaultState(conversationId) {
     return {
       conversationId,
-      stage: 'exploration',
+      stage: stageEngine.initialStage,
       turnCount: 0,
       topicTurnCount: 0,
-      lastTopic: null,
+      lastTopic: null, // Most specific topic of the last user turn (see utils/topicTaxonomy.js)
+      lastTopics: null, // Topic tags of the last user turn: [{ id, label, confidence, terms }]
       minimalResponseCount: 0,
       substantiveResponseCount: 0,
       exhaustionSignals: 0,
       lastUserResponse: null,
+      // Enhanced narrative tracking used by the /chat router
+      exploredTopics: new Set(), // Track what has been asked about
+      lastAssistantResponse: null, // Track AI's last response for pattern detection
+      narrativeUnderstanding: {
+        entities: [], // People, events, sources, emotions and beliefs (see utils/narrativeExtraction.js)
+        links: [], // Causal links between entities, with the turns they were stated in
+        extractions: [], // { turn, tier, entities, links } per user turn
+        misunderstandingFlags: 0 // Track potential comprehension issues
+      },
+      responsePatterns: {
+        lastOpeningPhrase: null, // Track opening phrases to ensure variation
+        consecutiveSimilarResponses: 0, // Consecutive replies that repeat an earlier one (see utils/similarity.js)
+        lastReplySimilarity: 0, // Highest similarity of the last reply to an earlier reply
+        userRepetition: null // { turn, score } when the latest answer repeats an earlier one
+      },
+      stageTransitions: [], // { from, to, turn, reason, at } for each stage change
+      questionIntents: [], // { turn, intent } for each interviewer reply (see utils/questionIntents.js)
+      chatTimer: null, // Server-side countdown, set by chatTimer.start() when the chat begins
+      conversationSummary: null, // { themes, tier, generatedAt } from summaryService when the chat ends
+      recap: null, // Recap confirmation status, bullets and revisions (see utils/recap.js)
+      condition: null, // Experimental condition id the conversation runs under (see utils/conditions.js)
+      metadata: {},
       createdAt: new Date(),
       updatedAt: new Date()
     };
   }
 
   transformDbToState(dbState) {
+    const { exploredTopics, ...metadata } = dbState.metadata || {};
+    const defaults = this.createDefaultState(dbState.conversationId);
+    const routerFields = {};
+    for (const field of METADATA_STATE_FIELDS) {
+      routerFields[field] = metadata[field] ?? defaults[field];
+      delete metadata[field];
+    }
+
     return {
       conversationId: dbState.conversationId,
       stage: dbState.stage,
@@ -223,7 +302,9 @@ class ConversationStateManager {
       substantiveResponseCount: dbState.substantiveResponseCount,
       exhaustionSignals: dbState.exhaustionSignals,
       lastUserResponse: dbState.lastUserResponse,
-      metadata: dbState.metadata,
+      exploredTopics: new Set(exploredTopics || []),
+      ...routerFields,
+      metadata,
       createdAt: dbState.createdAt,
       updatedAt: dbState.updatedAt
     };
@@ -239,11 +320,62 @@ class ConversationStateManager {
       substantiveResponseCount: state.substantiveResponseCount,
       exhaustionSignals: state.exhaustionSignals,
       lastUserResponse: state.lastUserResponse,
-      metadata: state.metadata || null,
+      metadata: this.serializeMetadata(state),
       updatedAt: new Date()
     };
   }
 
+  // Fold router-only fields into the metadata JSON (Sets become arrays)
+  serializeMetadata(state) {
+    const metadata = { ...(state.metadata || {}) };
+    if (state.exploredTopics) {
+      metadata.exploredTopics = Array.from(state.exploredTopics);
+    }
+    for (const field of METADATA_STATE_FIELDS) {
+      if (state[field] !== undefined) {
+        metadata[field] = state[field];
+      }
+    }
+    return metadata;
+  }
+
+  stateFilePath(conversationId) {
+    // Conversation IDs come from clients, so keep them inside statesDir
+    const safeId = String(conversationId).replace(/[^\w-]/g, '_');
+    return path.join(this.statesDir, `${safeId}.json`);
+  }
+
+  readStateFile(conversationId) {
+    try {
+      const filePath = this.stateFilePath(conversationId);
+      if (!fs.existsSync(filePath)) {
+        return null;
+      }
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      console.error(`❌ Error reading state file for ${conversationId}:`, error.message);
+      return null;
+    }
+  }
+
+  writeStateFile(conversationId, state) {
+    try {
+      if (!fs.existsSync(this.statesDir)) {
+        fs.mkdirSync(this.statesDir, { recursive: true });
+      }
+      const record = {
+        conversationId,
+        ...this.transformStateToDb(conversationId, state),
+        createdAt: state.createdAt || new Date()
+      };
+      fs.writeFileSync(this.stateFilePath(conversationId), JSON.stringify(record, null, 2));
+      return true;
+    } catch (error) {
+      console.error(`❌ Error writing state file for ${conversationId}:`, error.message);
+      return false;
+    }
+  }
+
   updateCache(conversationId, state) {
     // Implement LRU cache eviction
     if (this.cache.size >= this.cacheMaxSize) {
@@ -251,79 +383,35 @@ class ConversationStateManager {
       this.cache.delete(oldestKey);
     }
     
+    // Cache the live object so the router and onTopic share one state per conversation
     this.cache.set(conversationId, {
-      state: { ...state },
+      state,
       timestamp: Date.now()
     });
   }
 
-  // Topic extraction
-  extractTopic(userText) {
-    const text = userText.toLowerCase();
-    if (text.includes('bushfire') || text.includes('fire')) return 'bushfires';
-    if (text.includes('news') || text.includes('media')) return 'news';
-    if (text.includes('evidence') || text.includes('research')) return 'evidence';
-    if (text.includes('people') || text.includes('family') || text.includes('friend')) return 'social';
-    return 'general';
-  }
-
-  // Response classification
-  isMinimalResponse(userText) {
-    const text = userText.trim().toLowerCase();
-    const wordCount = text.split(/\s+/).length;
-    
-    const minimalPatterns = [
-      /^(yeah|yes|no|nah|ok|okay|sure|maybe|i guess|dunno|don't know)$/i,
-      /^(that's all|nothing else|no more|can't think of anything)$/i,
-      /^(i've said everything|that's it|finished|done)$/i
-    ];
-    
-    return wordCount <= 3 || minimalPatterns.some(pattern => pattern.test(text));
-  }
-
-  isExhaustionSignal(userText) {
-    const text = userText.trim().toLowerCase();
-    const exhaustionPatterns = [
-      /that's all i've got/i,
-      /nothing else to say/i,
-      /can't think of anything/i,
-      /i've said everything/i,
-      /^no$/i,
-      /^nah$/i,
-      /^finish$/i,
-      /^done$/i,
-      /^finished$/i
-    ];
-    
-    return exhaustionPatterns.some(pattern => pattern.test(text));
-  }
-
-  // Stage progression logic
+  // Stage progression logic (shared with the /chat router via stageEngine)
   shouldAdvanceToElaboration(state) {
-    // Increased thresholds to allow more natural conversation development
-    return (state.substantiveResponseCount >= 3 && state.turnCount >= 8) ||
-           (state.minimalResponseCount >= 5 && state.turnCount >= 8);
+    return stageEngine.canTransition(state, 'exploration', 'elaboration');
   }
 
   shouldAdvanceToRecap(state) {
-    // Increased thresholds to allow more natural conversation development
-    return state.exhaustionSignals >= 4 ||
-           state.minimalResponseCount >= 6 ||
-           (state.turnCount >= 15 && state.substantiveResponseCount >= 3);
+    return stageEngine.canTransition(state, 'elaboration', 'recap');
   }
 
   shouldTriggerSummary(state) {
-    // Increased thresholds to allow more natural conversation development
-    return state.stage === 'recap' ||
-           state.exhaustionSignals >= 5 ||
-           state.minimalResponseCount >= 8 ||
-           (state.topicTurnCount >= 8 && state.stage !== 'exploration');
+    return stageEngine.shouldTriggerSummary(state);
   }
 
   // Delete conversation state
   async deleteConversationState(conversationId) {
     this.cache.delete(conversationId);
     
+    const filePath = this.stateFilePath(conversationId);
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+    
     if (await this.initializePrisma()) {
       try {
         await this.prisma.conversationState.delete({
@@ -0,0 +1,85 @@
+// backend/src/utils/driftClassifier.js
+// Optional model-graded drift check for candidate /chat replies. Asks the configured LLM
+// provider (purpose "driftClassifier") to label the reply and expects JSON back:
+//   { "label": "on_topic" | "political_drift" | "action_role_drift" | "event_reask", "reason": "..." }
+// Settings come from the study config's "driftClassifier" section. classify() never throws for
+// model problems: when the classifier is disabled, times out or answers with something
+// invalid, it returns no verdict and the router falls back to the regex detectors.
+import { getStudyConfig } from "./studyConfig.js";
+
+export const DRIFT_LABELS = ["on_topic", "political_drift", "action_role_drift", "event_reask"];
+
+const CLASSIFIER_INSTRUCTIONS = `You review replies written by an interviewer in a research study about how a participant's views on climate change changed. The interviewer should keep the participant talking about their own belief change story.
+Label the candidate reply with exactly one of:
+- "on_topic": it stays on the participant's belief change story
+- "political_drift": it steers into party politics, elections, campaigns or policy positions
+- "action_role_drift": it steers into what people or society should do about climate change, or the participant's role or responsibility
+- "event_reask": it asks again about an event or moment the participant has already described
+Respond with JSON only: {"label": "<label>", "reason": "<a few words>"}`;
+
+class DriftClassifier {
+  constructor(config = {}) {
+    this.enabled = config.enabled ?? false;
+    this.timeoutMs = config.timeoutMs ?? 4000;
+    this.purpose = config.purpose ?? "driftClassifier";
+  }
+
+  // Returns { verdict: { label, reason } | null, reason?, latencyMs, telemetry }, where telemetry
+  // is that of the model call (null when there was none or it did not finish)
+  async classify(reply, { userText = "", recentMessages = [], generate }) {
+    if (!this.enabled) {
+      return { verdict: null, reason: "disabled", latencyMs: 0, telemetry: null };
+    }
+
+    const context = recentMessages
+      .slice(-6)
+      .map(msg => `${msg.role === "user" ? "Participant" : "Interviewer"}: ${msg.content}`)
+      .join("\n");
+    const messages = [
+      { role: "system", content: CLASSIFIER_INSTRUCTIONS },
+      { role: "user", content: `Recent conversation:\n${context}\nParticipant: ${userText}\n\nCandidate reply:\n${reply}` }
+    ];
+
+    const startedAt = Date.now();
+    let timeout;
+    try {
+      const result = await Promise.race([
+        generate(messages, { purpose: this.purpose }),
+        new Promise((_, reject) => {
+          timeout = setTimeout(() => reject(Object.assign(new Error("Drift classifier timed out"), { code: "CLASSIFIER_TIMEOUT" })), this.timeoutMs);
+        })
+      ]);
+      const latencyMs = Date.now() - startedAt;
+      const verdict = this.parseVerdict(result?.content);
+      const telemetry = result?.telemetry || null;
+      return verdict ? { verdict, latencyMs, telemetry } : { verdict: null, reason: "invalid", latencyMs, telemetry };
+    } catch (error) {
+      // A missing replay fixture must fail the run rather than silently fall back
+      if (error.code === "LLM_FIXTURE_MISSING") throw error;
+      const reason = error.code === "CLASSIFIER_TIMEOUT" ? "timeout" : "error";
+      console.warn(`⚠️ Drift classifier ${reason}:`, error.message);
+      return { verdict: null, reason, latencyMs: Date.now() - startedAt, telemetry: null };
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  // Accept the JSON verdict (optionally inside a code fence) if its label is known
+  parseVerdict(content) {
+    if (typeof content !== "string") return null;
+    try {
+      const parsed = JSON.parse(content.replace(/^\s*```(?:json)?/i, "").replace(/```\s*$/, "").trim());
+      if (!DRIFT_LABELS.includes(parsed?.label)) return null;
+      return { label: parsed.label, reason: typeof parsed.reason === "string" ? parsed.reason : null };
+    } catch {
+      return null;
+    }
+  }
+}
+
+export function createDriftClassifier(config) {
+  return new DriftClassifier(config);
+}
+
+// Export singleton instance built from the study config
+export const driftClassifier = createDriftClassifier(getStudyConfig().driftClassifier);
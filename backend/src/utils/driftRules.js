@@ -0,0 +1,97 @@
+// backend/src/utils/driftRules.js
+// Versioned drift-detection ruleset for the /chat router. The study config's "driftRules.path"
+// names a JSON file (relative to the study config) with a version, one redirect text per
+// category, and an ordered list of { id, category, pattern, flags } regex rules. The ruleset is
+// validated when it is loaded; a reload that fails validation keeps the current ruleset.
+import path from "node:path";
+import fs from "node:fs";
+import { getStudyConfig, getStudyConfigPath } from "./studyConfig.js";
+
+export const DRIFT_CATEGORIES = ["offTopic", "political", "belief", "action"];
+
+let activeRuleset = null;
+
+export function getDriftRulesetPath() {
+  const rulesetFile = getStudyConfig().driftRules?.path || "drift-rules.json";
+  return path.resolve(path.dirname(getStudyConfigPath()), rulesetFile);
+}
+
+// Check a parsed ruleset and compile its patterns. Throws an Error whose `errors` lists every
+// problem found.
+export function validateDriftRuleset(ruleset) {
+  const errors = [];
+
+  if (typeof ruleset?.version !== "string" || !ruleset.version.trim()) {
+    errors.push("version must be a non-empty string");
+  }
+  for (const category of DRIFT_CATEGORIES) {
+    if (typeof ruleset?.categories?.[category]?.redirect !== "string" || !ruleset.categories[category].redirect.trim()) {
+      errors.push(`categories.${category}.redirect must be a non-empty string`);
+    }
+  }
+  if (!Array.isArray(ruleset?.rules)) {
+    errors.push("rules must be an array");
+  }
+
+  const seenIds = new Set();
+  const rules = (Array.isArray(ruleset?.rules) ? ruleset.rules : []).map((rule, index) => {
+    const label = rule?.id ? `rule "${rule.id}"` : `rules[${index}]`;
+    if (typeof rule?.id !== "string" || !rule.id) {
+      errors.push(`${label} needs an id`);
+    } else if (seenIds.has(rule.id)) {
+      errors.push(`${label} is defined more than once`);
+    }
+    seenIds.add(rule?.id);
+    if (!DRIFT_CATEGORIES.includes(rule?.category)) {
+      errors.push(`${label} has unknown category "${rule?.category}"`);
+    }
+
+    let regex = null;
+    try {
+      regex = new RegExp(rule?.pattern, rule?.flags || "");
+      if (typeof rule?.pattern !== "string" || !rule.pattern) throw new Error("pattern must be a non-empty string");
+      if (regex.global || regex.sticky) throw new Error("the g and y flags are not supported");
+    } catch (error) {
+      errors.push(`${label}: ${error.message}`);
+    }
+    return { ...rule, regex };
+  });
+
+  if (errors.length > 0) {
+    const error = new Error(`Invalid drift ruleset: ${errors.join("; ")}`);
+    error.errors = errors;
+    throw error;
+  }
+  return { version: ruleset.version, categories: ruleset.categories, rules };
+}
+
+function loadDriftRuleset() {
+  const rulesetPath = getDriftRulesetPath();
+  const ruleset = validateDriftRuleset(JSON.parse(fs.readFileSync(rulesetPath, "utf8")));
+  console.log(`✅ Loaded drift ruleset v${ruleset.version} (${ruleset.rules.length} rules) from ${rulesetPath}`);
+  return ruleset;
+}
+
+// Active ruleset, loaded on first use; throws if the file is missing or invalid
+export function getDriftRuleset() {
+  if (!activeRuleset) {
+    activeRuleset = loadDriftRuleset();
+  }
+  return activeRuleset;
+}
+
+// Re-read the ruleset file. The new ruleset only replaces the active one if it validates.
+export function reloadDriftRuleset() {
+  activeRuleset = loadDriftRuleset();
+  return activeRuleset;
+}
+
+// First rule of a category that matches the text, or null
+export function findDriftRule(category, text) {
+  if (!text) return null;
+  return getDriftRuleset().rules.find((rule) => rule.category === category && rule.regex.test(text)) || null;
+}
+
+export function getRedirectText(category) {
+  return getDriftRuleset().categories[category].redirect;
+}
@@ -0,0 +1,101 @@
+// backend/src/utils/llmFixtures.js
+// Record-and-replay layer for model calls made through the /chat router's callModel.
+//   LLM_FIXTURE_MODE=record  - call the model as usual and save each request/response pair
+//   LLM_FIXTURE_MODE=replay  - serve saved responses only; a missing fixture is an error,
+//                              so replayed runs never reach the network
+// Fixtures live in LLM_FIXTURE_DIR (default fixtures/llm), one JSON file per request,
+// named by a hash of the purpose, the resolved provider, model and sampling settings, and the
+// messages' roles and contents, so changing the model or a condition's temperature never
+// replays a reply recorded under other settings.
+import path from "node:path";
+import fs from "node:fs";
+import crypto from "node:crypto";
+
+const DEFAULT_FIXTURE_DIR = path.join(process.cwd(), "fixtures", "llm");
+
+export function getFixtureMode() {
+  const mode = (process.env.LLM_FIXTURE_MODE || "").toLowerCase();
+  return mode === "record" || mode === "replay" ? mode : null;
+}
+
+export function getFixtureDir() {
+  return process.env.LLM_FIXTURE_DIR
+    ? path.resolve(process.env.LLM_FIXTURE_DIR)
+    : DEFAULT_FIXTURE_DIR;
+}
+
+// Only role and content reach the model; extra fields (e.g. userId on the system
+// message) are left out so they don't change the key
+function normalizeMessages(messages) {
+  return messages.map(({ role, content }) => ({ role, content }));
+}
+
+export function fixtureKey(messages, purpose = "chat", settings = {}) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify({ purpose, settings, messages: normalizeMessages(messages) }))
+    .digest("hex");
+}
+
+function fixturePath(key) {
+  return path.join(getFixtureDir(), `${key}.json`);
+}
+
+export function readFixture(key) {
+  const filePath = fixturePath(key);
+  if (!fs.existsSync(filePath)) return null;
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+export function writeFixture(key, messages, purpose, response, settings = {}) {
+  fs.mkdirSync(getFixtureDir(), { recursive: true });
+  const fixture = {
+    key,
+    purpose,
+    recordedAt: new Date().toISOString(),
+    request: { purpose, settings, messages: normalizeMessages(messages) },
+    response: { content: response.content }
+  };
+  fs.writeFileSync(fixturePath(key), JSON.stringify(fixture, null, 2));
+  return fixture;
+}
+
+// Provider, model and sampling settings the call will be made with: the purpose's settings
+// from the study config with the call's params (e.g. the participant's condition) merged in.
+// When they can't be resolved (unknown purpose or provider) the params alone are used.
+async function resolveSettings(purpose, params = {}) {
+  const { llm } = await import("./llmProviders.js");
+  try {
+    return llm.describeRequest(purpose, params);
+  } catch {
+    return { ...params };
+  }
+}
+
+// Wrap a model call. `call` performs the real request and resolves to { content };
+// `onToken`, when given, receives replayed content so streaming callers still see text.
+export async function withFixtures(messages, options = {}, call, onToken = null) {
+  const mode = getFixtureMode();
+  if (!mode) return await call();
+
+  const purpose = options.purpose || "chat";
+  const settings = await resolveSettings(purpose, options.params);
+  const key = fixtureKey(messages, purpose, settings);
+
+  if (mode === "replay") {
+    const fixture = readFixture(key);
+    if (!fixture) {
+      const error = new Error(`No LLM fixture for ${purpose} request ${key} in ${getFixtureDir()}`);
+      error.code = "LLM_FIXTURE_MISSING";
+      throw error;
+    }
+    console.log(`📼 Replaying LLM fixture ${key.slice(0, 12)} (${purpose})`);
+    if (onToken) onToken(fixture.response.content);
+    return { content: fixture.response.content };
+  }
+
+  const response = await call();
+  writeFixture(key, messages, purpose, response, settings);
+  console.log(`📼 Recorded LLM fixture ${key.slice(0, 12)} (${purpose})`);
+  return response;
+}
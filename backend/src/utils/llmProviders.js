@@ -0,0 +1,245 @@
+// backend/src/utils/llmProviders.js
+// Provider registry behind global.llm and generateAIResponse. Every provider exposes
+// the same interface:
+//   isConfigured()                    -> whether it can serve requests (e.g. has an API key)
+//   complete(params)                  -> { content, usage }
+//   stream(params, onToken)           -> { content, usage }, calling onToken per text delta
+// where params are OpenAI chat-completion parameters ({ model, messages, temperature, max_tokens, ... }).
+// Which provider serves a request, and the model/temperature/max_tokens for each purpose
+// (chat reply, survey summary, recap), come from the study config's "llm" section.
+import OpenAI from "openai";
+import { getStudyConfig } from "./studyConfig.js";
+
+// Any server speaking the OpenAI chat-completions API: OpenAI itself, OpenRouter, or a
+// local llama.cpp / Ollama server. A provider-level model (e.g. the local model name)
+// replaces the purpose's model.
+class OpenAICompatibleProvider {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.baseURL = (options.baseURLEnv && process.env[options.baseURLEnv]) || options.baseURL;
+    this.model = (options.modelEnv && process.env[options.modelEnv]) || options.model || null;
+    this.requiresApiKey = options.requiresApiKey !== false;
+    this.apiKey = [].concat(options.apiKeyEnv || [])
+      .map((envName) => process.env[envName])
+      .find(Boolean);
+    this.client = null;
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey) || !this.requiresApiKey;
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({
+        apiKey: this.apiKey || "not-needed", // Local servers ignore the key, but the SDK requires one
+        baseURL: this.baseURL
+      });
+    }
+    return this.client;
+  }
+
+  withModel(params) {
+    return this.model ? { ...params, model: this.model } : params;
+  }
+
+  async complete(params) {
+    const completion = await this.getClient().chat.completions.create(this.withModel(params));
+    return {
+      content: completion.choices[0]?.message?.content?.trim() || "",
+      usage: completion.usage || null
+    };
+  }
+
+  async stream(params, onToken) {
+    const stream = await this.getClient().chat.completions.create({
+      ...this.withModel(params),
+      stream: true,
+      stream_options: { include_usage: true }
+    });
+
+    let content = "";
+    let usage = null;
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta?.content;
+      if (delta) {
+        content += delta;
+        onToken(delta);
+      }
+      if (chunk.usage) usage = chunk.usage;
+    }
+    return { content: content.trim(), usage };
+  }
+}
+
+// Deterministic provider for offline tests: cycles through a fixed list of replies,
+// ignoring the model parameters
+class ScriptedProvider {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.responses = options.responses?.length
+      ? options.responses
+      : ["Could you tell me more about that?"];
+    this.callCount = 0;
+    this.calls = [];
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async complete(params) {
+    this.calls.push(params);
+    const content = this.responses[this.callCount % this.responses.length];
+    this.callCount++;
+    return { content, usage: null };
+  }
+
+  async stream(params, onToken) {
+    const result = await this.complete(params);
+    // Emit word by word so streaming clients see more than one delta
+    for (const token of result.content.match(/\S+\s*/g) || []) {
+      onToken(token);
+    }
+    return result;
+  }
+
+  reset() {
+    this.callCount = 0;
+    this.calls = [];
+  }
+}
+
+const providerTypes = new Map([
+  ["openai-compatible", (name, options) => new OpenAICompatibleProvider(name, options)],
+  ["scripted", (name, options) => new ScriptedProvider(name, options)]
+]);
+
+export function registerProviderType(type, factory) {
+  providerTypes.set(type, factory);
+}
+
+export function createProvider(name, options = {}) {
+  const factory = providerTypes.get(options.type);
+  if (!factory) {
+    throw new Error(`Unknown LLM provider type "${options.type}" for provider "${name}"`);
+  }
+  return factory(name, options);
+}
+
+class LLMClient {
+  constructor(llmConfig) {
+    if (!llmConfig || !llmConfig.providers || !llmConfig.purposes) {
+      throw new Error("Study config is missing llm.providers or llm.purposes");
+    }
+
+    this.config = llmConfig;
+    this.providers = new Map();
+    for (const [name, options] of Object.entries(llmConfig.providers)) {
+      this.providers.set(name, createProvider(name, options));
+    }
+  }
+
+  // LLM_PROVIDER wins over the config; "auto" keeps the old behaviour of picking
+  // OpenRouter when OPENAI_API_KEY holds an OpenRouter (sk-or-) key
+  defaultProviderName() {
+    const configured = process.env.LLM_PROVIDER || this.config.provider || "auto";
+    if (configured !== "auto") return configured;
+    return process.env.OPENAI_API_KEY?.startsWith("sk-or-") ? "openrouter" : "openai";
+  }
+
+  getProvider(purpose) {
+    const settings = this.getPurposeSettings(purpose);
+    // An explicit LLM_PROVIDER also overrides per-purpose providers, so offline runs
+    // never reach a hosted API
+    const name = process.env.LLM_PROVIDER || settings.provider || this.defaultProviderName();
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw new Error(`Unknown LLM provider "${name}" for purpose "${purpose}"`);
+    }
+    return provider;
+  }
+
+  getPurposeSettings(purpose) {
+    const settings = this.config.purposes[purpose];
+    if (!settings) {
+      throw new Error(`No LLM settings configured for purpose "${purpose}"`);
+    }
+    return settings;
+  }
+
+  isConfigured(purpose) {
+    return this.getProvider(purpose).isConfigured();
+  }
+
+  // Chat-completion parameters for a purpose, with call-site extras (e.g. top_p) merged in
+  buildParams(purpose, messages, extra = {}) {
+    const { model, temperature, max_tokens } = this.getPurposeSettings(purpose);
+    return { model, messages, temperature, max_tokens, ...extra };
+  }
+
+  // Both return { content, usage, telemetry }; see describeCall for the telemetry fields
+  async complete(purpose, messages, extra) {
+    const provider = this.getProvider(purpose);
+    const params = this.buildParams(purpose, messages, extra);
+    const startedAt = Date.now();
+    const result = await provider.complete(params);
+    return { ...result, telemetry: this.describeCall(provider, params, result.usage, startedAt) };
+  }
+
+  async stream(purpose, messages, onToken, extra) {
+    const provider = this.getProvider(purpose);
+    const params = this.buildParams(purpose, messages, extra);
+    const startedAt = Date.now();
+    const result = await provider.stream(params, onToken);
+    return { ...result, telemetry: this.describeCall(provider, params, result.usage, startedAt) };
+  }
+
+  // Provider, model, sampling settings, token counts and latency of one call. Token counts
+  // are null when the provider reports no usage (e.g. the scripted provider).
+  describeCall(provider, params, usage, startedAt) {
+    return {
+      provider: provider.name,
+      model: provider.model || params.model,
+      temperature: params.temperature ?? null,
+      max_tokens: params.max_tokens ?? null,
+      promptTokens: usage?.prompt_tokens ?? null,
+      completionTokens: usage?.completion_tokens ?? null,
+      latencyMs: Date.now() - startedAt,
+      fallback: false
+    };
+  }
+
+  // Provider, model and sampling settings a call for this purpose would be made with,
+  // call-site extras included
+  describeRequest(purpose, extra) {
+    const provider = this.getProvider(purpose);
+    const { messages, ...params } = this.buildParams(purpose, [], extra);
+    return { provider: provider.name, ...params, model: provider.model || params.model };
+  }
+
+  // Telemetry for a reply that was not produced by the model (unconfigured provider or an
+  // error), so fallback replies can be told apart in the data
+  describeFallback(purpose, startedAt, extra) {
+    let provider = null;
+    let params = {};
+    try {
+      provider = this.getProvider(purpose);
+      params = this.buildParams(purpose, [], extra);
+    } catch {
+      // Unknown provider or purpose - record what we can
+    }
+    return {
+      ...this.describeCall(provider || { name: null }, params, null, startedAt),
+      model: provider?.model || params.model || null,
+      fallback: true
+    };
+  }
+}
+
+export function createLLMClient(llmConfig) {
+  return new LLMClient(llmConfig);
+}
+
+// Export singleton instance built from the study config
+export const llm = createLLMClient(getStudyConfig().llm);
@@ -0,0 +1,84 @@
+// backend/src/utils/llmTelemetry.js
+// Per-message LLM telemetry. Each model call reports
+//   { provider, model, temperature, max_tokens, promptTokens, completionTokens, latencyMs, fallback }
+// (see LLMClient.describeCall). A stored reply can take several calls (e.g. regenerations), so
+// the calls are combined into one record for the message. Token costs use the per-model prices
+// in the study config's "llm.pricing.models" section (USD per million tokens).
+import { getStudyConfig } from "./studyConfig.js";
+
+// Sum a numeric field across calls; null when no call reported it
+function sumField(calls, field) {
+  const reported = calls.filter(call => typeof call[field] === "number");
+  return reported.length ? reported.reduce((total, call) => total + call[field], 0) : null;
+}
+
+// One telemetry record for the calls behind a stored reply, or null if none reported any.
+// Model settings come from the first call; tokens and latency are totals.
+export function combineTelemetry(calls) {
+  const recorded = calls.filter(Boolean);
+  if (recorded.length === 0) return null;
+  const [first] = recorded;
+  return {
+    provider: first.provider,
+    model: first.model,
+    temperature: first.temperature,
+    max_tokens: first.max_tokens,
+    promptTokens: sumField(recorded, "promptTokens"),
+    completionTokens: sumField(recorded, "completionTokens"),
+    latencyMs: sumField(recorded, "latencyMs"),
+    fallback: recorded.some(call => call.fallback),
+    calls: recorded.length
+  };
+}
+
+export function getModelPricing() {
+  return getStudyConfig().llm?.pricing?.models || {};
+}
+
+// Cost in USD of the given token counts, or null when the model has no configured price
+export function estimateCost(model, promptTokens, completionTokens, pricing = getModelPricing()) {
+  const price = pricing[model];
+  if (!price) return null;
+  return ((promptTokens || 0) * price.inputPerMillionTokens + (completionTokens || 0) * price.outputPerMillionTokens) / 1e6;
+}
+
+// Token and cost totals per participant from exported message rows
+// ({ participant_id, role, tokens_in, tokens_out, llm_model }, see database.getAllMessages)
+export function summarizeTokenUsage(messages, pricing = getModelPricing()) {
+  const byParticipant = new Map();
+  for (const message of messages) {
+    if (message.role !== "assistant" || (message.tokens_in == null && message.tokens_out == null)) continue;
+    const participantId = message.participant_id || null;
+    const totals = byParticipant.get(participantId) || {
+      participant_id: participantId,
+      messages: 0,
+      prompt_tokens: 0,
+      completion_tokens: 0,
+      total_tokens: 0,
+      cost_usd: 0,
+      unpriced_messages: 0
+    };
+    totals.messages++;
+    totals.prompt_tokens += message.tokens_in || 0;
+    totals.completion_tokens += message.tokens_out || 0;
+    totals.total_tokens = totals.prompt_tokens + totals.completion_tokens;
+    const cost = estimateCost(message.llm_model, message.tokens_in, message.tokens_out, pricing);
+    if (cost === null) {
+      totals.unpriced_messages++;
+    } else {
+      totals.cost_usd += cost;
+    }
+    byParticipant.set(participantId, totals);
+  }
+
+  const participants = [...byParticipant.values()];
+  return {
+    participants,
+    totals: {
+      participants: participants.length,
+      prompt_tokens: participants.reduce((sum, p) => sum + p.prompt_tokens, 0),
+      completion_tokens: participants.reduce((sum, p) => sum + p.completion_tokens, 0),
+      cost_usd: participants.reduce((sum, p) => sum + p.cost_usd, 0)
+    }
+  };
+}
@@ -0,0 +1,333 @@
+// backend/src/utils/narrativeExtraction.js
+// Structured narrative extraction for /chat conversations. Each participant turn is turned into
+// entities and the causal links between them:
+//   entities: { type: "person" | "event" | "source" | "emotion" | "belief", label,
+//               stance: "before" | "after" (beliefs), direction: "toward" | "away_from" (people) }
+//   links:    { from, to, relation: "influenced" | "evoked" | "changed_to", direction }
+// The keyword extractor always works; with "narrativeExtraction.useModel" in the study config the
+// model (purpose "narrativeExtraction") is asked first and the keywords are the fallback.
+// Extractions are folded into the conversation state's narrativeUnderstanding, where every entity
+// and link keeps the turns it came from; buildNarrativeGraph() turns them into nodes and edges.
+import { getStudyConfig } from "./studyConfig.js";
+
+export const NARRATIVE_ENTITY_TYPES = ["person", "event", "source", "emotion", "belief"];
+export const NARRATIVE_RELATIONS = ["influenced", "evoked", "changed_to"];
+
+// Node every influence points at when the turn doesn't say what the participant now believes
+const BELIEF_CHANGE_LABEL = "belief change";
+const MAX_BELIEF_LENGTH = 120;
+const MAX_EVIDENCE_LENGTH = 160;
+
+// [canonical label, pattern] per entity type, checked in order
+const PEOPLE = [
+  ["uncle", /\buncles?\b/i], ["aunt", /\baunts?\b/i],
+  ["mother", /\b(?:mum|mom|mother)s?\b/i], ["father", /\b(?:dad|father)s?\b/i], ["parents", /\bparents\b/i],
+  ["brother", /\bbrothers?\b/i], ["sister", /\bsisters?\b/i], ["cousin", /\bcousins?\b/i],
+  ["grandparent", /\b(?:grandma|grandmother|grandpa|grandfather|grandparents?|nan|nana)\b/i],
+  ["partner", /\b(?:wife|husband|partner|boyfriend|girlfriend)\b/i],
+  ["children", /\b(?:kids|children|son|daughter)\b/i],
+  ["friend", /\b(?:friends?|mates?)\b/i], ["colleague", /\b(?:colleagues?|co-?workers?|boss)\b/i],
+  ["teacher", /\b(?:teachers?|professors?|lecturers?)\b/i], ["scientist", /\b(?:scientists?|researchers?|experts?)\b/i],
+  ["neighbour", /\bneighbou?rs?\b/i], ["doctor", /\bdoctors?\b/i], ["family", /\bfamily\b/i]
+];
+const EVENTS = [
+  ["bushfires", /\bbush ?fires?\b/i], ["wildfires", /\bwild ?fires?\b/i], ["fires", /(?<!bush ?|wild ?)\bfires?\b/i],
+  ["floods", /\bflood(?:s|ing|ed)?\b/i], ["drought", /\bdroughts?\b/i], ["heatwave", /\bheat ?waves?\b/i],
+  ["hurricane", /\bhurricanes?\b/i], ["cyclone", /\bcyclones?\b/i], ["typhoon", /\btyphoons?\b/i],
+  ["storms", /\bstorms?\b/i], ["tornado", /\btornado(?:e?s)?\b/i],
+  ["coral bleaching", /\bcoral\b.*\bbleach|\bbleach\w*\b.*\bcoral/i], ["melting ice", /\b(?:melting (?:ice|glaciers?)|(?:ice|glaciers?) (?:is |are )?melting)\b/i],
+  ["sea level rise", /\bsea levels? ris/i], ["extinction", /\bextinct(?:ion)?\b/i]
+];
+const SOURCES = [
+  ["news", /\b(?:news|newspapers?|headlines?)\b/i], ["documentary", /\bdocumentar(?:y|ies)\b/i],
+  ["article", /\barticles?\b/i], ["book", /\bbooks?\b/i], ["podcast", /\bpodcasts?\b/i],
+  ["youtube", /\byoutube\b/i], ["social media", /\b(?:social media|facebook|instagram|tiktok|twitter|reddit)\b/i],
+  ["research", /\b(?:research|stud(?:y|ies)|data|reports?|papers?|ipcc)\b/i], ["film", /\b(?:films?|movies?)\b/i],
+  ["tv", /\b(?:tv|television)\b/i], ["radio", /\bradio\b/i], ["education", /\b(?:lectures?|class(?:es)?|courses?|university|school)\b/i]
+];
+const EMOTIONS = [
+  ["fear", /\b(?:scared|afraid|frightened|terrified|fear(?:ful)?)\b/i], ["worry", /\b(?:worried|anxious|anxiety|worry|concerned)\b/i],
+  ["anger", /\b(?:angry|anger|furious|frustrat(?:ed|ion))\b/i], ["sadness", /\b(?:sad(?:ness)?|grief|grieving|heartbroken|depressed)\b/i],
+  ["guilt", /\b(?:guilt(?:y)?|ashamed)\b/i], ["hope", /\b(?:hopeful|optimistic)\b/i],
+  ["shock", /\b(?:shock(?:ed)?|stunned)\b/i], ["helplessness", /\b(?:helpless|powerless|overwhelmed)\b/i],
+  ["confusion", /\b(?:confused|confusing)\b/i], ["relief", /\b(?:relie(?:f|ved))\b/i]
+];
+
+// What the participant believed before and believes now, captured up to the end of the clause
+const BELIEF_BEFORE_PATTERNS = [
+  /\b(?:i|we) (?:used to|once|previously|originally) (?:think|believe|thought|believed|feel|felt|be|was|were)\s+(?:that\s+)?([^.!?;]+)/i,
+  /\bbefore(?: that| then)?,? (?:i|we) (?:thought|believed|was|were|felt)\s+(?:that\s+)?([^.!?;]+)/i,
+  /\b(?:i|we) (?:always )?(?:thought|believed)\s+(?:that\s+)?([^.!?;]+?)\s+(?:until|but)\b/i
+];
+const BELIEF_AFTER_PATTERNS = [
+  /\b(?:now|these days|today|nowadays),? (?:i|we) (?:think|believe|feel|know|accept|see)\s+(?:that\s+)?([^.!?;]+)/i,
+  /\b(?:i|we) (?:now|have come to|came to|started to|began to) (?:think|believe|accept|see|realise|realize|feel)\s+(?:that\s+)?([^.!?;]+)/i,
+  /\b(?:i|we) (?:realised|realized)\s+(?:that\s+)?([^.!?;]+)/i,
+  /\b(?:i|we) no longer ([^.!?;]+)/i
+];
+// Where a belief statement stops and the story of what changed it starts
+const BELIEF_CLAUSE_END = /,?\s+(?:but|until|because|after|when|and then|so)\b/i;
+
+// Phrases that tie the turn's people, events and sources to the belief change
+const CAUSAL_CUES = /\b(?:made me|makes me|convinced me|changed my (?:mind|view|views|thinking)|opened my eyes|led me to|got me to|helped me (?:see|believe|understand)|pushed me|turned me off|because of|after (?:seeing|watching|reading|hearing)|when (?:i|we) (?:saw|watched|read|heard)|that's (?:when|why)|so (?:i|we) (?:started|began|stopped))\b/i;
+const TOWARD_CUES = /\b(?:convinced me|helped me (?:see|believe|understand)|made me (?:think|realise|realize|take it seriously|believe)|opened my eyes)\b/i;
+const AWAY_CUES = /\b(?:made me reject|got sick of|turned me off|started believing the opposite|made me doubt|made me (?:skeptical|sceptical))\b/i;
+
+const EXTRACTION_INSTRUCTIONS = `You extract the structure of one turn of a research interview about how a participant's views on climate change changed.
+List only what the PARTICIPANT states in this turn:
+- entities: people (e.g. "uncle"), events (e.g. "floods"), information sources (e.g. "news"), emotions (e.g. "fear"), and beliefs with stance "before" (what they used to believe) or "after" (what they believe now). People may have a direction: "toward" (moved them toward their current view) or "away_from".
+- links: causal links the participant states, from one entity label to another, with relation "influenced" (something changed a belief), "evoked" (something caused an emotion) or "changed_to" (a before belief became an after belief).
+Respond with JSON only: {"entities": [{"type": "person", "label": "uncle", "direction": "toward"}, {"type": "belief", "stance": "after", "label": "..."}], "links": [{"from": "uncle", "to": "...", "relation": "influenced"}]}`;
+
+function clip(text, length) {
+  const trimmed = (text || "").replace(/\s+/g, " ").trim();
+  return trimmed.length > length ? `${trimmed.slice(0, length - 1)}…` : trimmed;
+}
+
+function slug(label) {
+  return label.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "");
+}
+
+function matchLexicon(lexicon, text) {
+  return lexicon.filter(([, pattern]) => pattern.test(text)).map(([label]) => label);
+}
+
+function matchBelief(patterns, text) {
+  for (const pattern of patterns) {
+    const match = text.match(pattern);
+    if (match?.[1]?.trim()) return clip(match[0].split(BELIEF_CLAUSE_END)[0], MAX_BELIEF_LENGTH);
+  }
+  return null;
+}
+
+// Keyword extraction of one participant turn: { entities, links }
+export function extractNarrativeFromText(text) {
+  const entities = [];
+  const links = [];
+  if (!text) return { entities, links };
+
+  const direction = AWAY_CUES.test(text) ? "away_from" : TOWARD_CUES.test(text) ? "toward" : null;
+  const causes = [
+    ...matchLexicon(PEOPLE, text).map((label) => ({ type: "person", label, direction })),
+    ...matchLexicon(EVENTS, text).map((label) => ({ type: "event", label })),
+    ...matchLexicon(SOURCES, text).map((label) => ({ type: "source", label }))
+  ];
+  const emotions = matchLexicon(EMOTIONS, text).map((label) => ({ type: "emotion", label }));
+  const before = matchBelief(BELIEF_BEFORE_PATTERNS, text);
+  const after = matchBelief(BELIEF_AFTER_PATTERNS, text);
+  entities.push(...causes, ...emotions);
+  if (before) entities.push({ type: "belief", stance: "before", label: before });
+  if (after) entities.push({ type: "belief", stance: "after", label: after });
+
+  const causal = CAUSAL_CUES.test(text) || Boolean(direction);
+  if (causal && causes.length > 0) {
+    // Without a stated current belief, influences point at the belief change as a whole
+    const target = after ? { type: "belief", stance: "after", label: after } : { type: "belief", stance: "change", label: BELIEF_CHANGE_LABEL };
+    for (const cause of causes) links.push({ from: cause, to: target, relation: "influenced", direction });
+  }
+  for (const cause of causes.filter((entity) => entity.type !== "person")) {
+    for (const emotion of emotions) links.push({ from: cause, to: emotion, relation: "evoked", direction: null });
+  }
+  if (before && after) {
+    links.push({ from: { type: "belief", stance: "before", label: before }, to: { type: "belief", stance: "after", label: after }, relation: "changed_to", direction: null });
+  }
+  return { entities, links };
+}
+
+// Node id of an entity. Beliefs are statements, so each one is kept per turn; the other types
+// are merged across turns by label.
+function entityId(entity, turn) {
+  if (entity.type !== "belief") return `${entity.type}:${slug(entity.label)}`;
+  return entity.stance === "change" ? "belief:change" : `belief:${entity.stance}:${turn}`;
+}
+
+// Normalize state from before structured extraction (influences/mainStory) to the entity shape
+export function ensureNarrative(narrativeUnderstanding) {
+  const narrative = narrativeUnderstanding || {};
+  narrative.entities = Array.isArray(narrative.entities) ? narrative.entities : [];
+  narrative.links = Array.isArray(narrative.links) ? narrative.links : [];
+  narrative.extractions = Array.isArray(narrative.extractions) ? narrative.extractions : [];
+  narrative.misunderstandingFlags = narrative.misunderstandingFlags || 0;
+  return narrative;
+}
+
+// Fold one turn's extraction into the narrative; every entity and link records its turns
+export function applyNarrativeExtraction(narrativeUnderstanding, extraction, turn, { text = "", tier = "heuristic" } = {}) {
+  const narrative = ensureNarrative(narrativeUnderstanding);
+  const upsertEntity = (entity) => {
+    const id = entityId(entity, turn);
+    let node = narrative.entities.find((existing) => existing.id === id);
+    if (!node) {
+      node = { id, type: entity.type, label: entity.label, turns: [] };
+      if (entity.stance) node.stance = entity.stance;
+      narrative.entities.push(node);
+    }
+    if (!node.turns.includes(turn)) node.turns.push(turn);
+    if (entity.type === "person" && entity.direction) node.direction = entity.direction;
+    return id;
+  };
+
+  extraction.entities.forEach(upsertEntity);
+  for (const link of extraction.links) {
+    const from = upsertEntity(link.from);
+    const to = upsertEntity(link.to);
+    let edge = narrative.links.find((existing) => existing.from === from && existing.to === to && existing.relation === link.relation);
+    if (!edge) {
+      edge = { from, to, relation: link.relation, direction: link.direction || null, turns: [], evidence: [] };
+      narrative.links.push(edge);
+    }
+    if (!edge.turns.includes(turn)) {
+      edge.turns.push(turn);
+      edge.evidence.push({ turn, text: clip(text, MAX_EVIDENCE_LENGTH) });
+    }
+  }
+  narrative.extractions.push({ turn, tier, entities: extraction.entities.length, links: extraction.links.length });
+  return narrative;
+}
+
+// Keyword narrative of a stored conversation, for recovered state and conversations without one
+export function narrativeFromMessages(messages, narrativeUnderstanding = null) {
+  const narrative = ensureNarrative(narrativeUnderstanding);
+  messages.filter((message) => message.role === "user").forEach((message, index) => {
+    applyNarrativeExtraction(narrative, extractNarrativeFromText(message.content), index + 1, { text: message.content, tier: "heuristic" });
+  });
+  return narrative;
+}
+
+// Narrative summary for the stage guidance in the system prompt
+export function describeNarrative(narrativeUnderstanding) {
+  const narrative = ensureNarrative(narrativeUnderstanding);
+  const labelsOf = (type) => narrative.entities
+    .filter((entity) => entity.type === type)
+    .map((entity) => `${entity.label}${entity.direction ? ` (${entity.direction === "toward" ? "moved them toward their current view" : "pushed them away"})` : ""}`)
+    .join(", ");
+  const latestBelief = (stance) => narrative.entities.filter((entity) => entity.type === "belief" && entity.stance === stance).at(-1)?.label || "";
+  const labelFor = (id) => narrative.entities.find((entity) => entity.id === id)?.label || id;
+  return {
+    entityCount: narrative.entities.length,
+    people: labelsOf("person"),
+    events: labelsOf("event"),
+    sources: labelsOf("source"),
+    emotions: labelsOf("emotion"),
+    beliefBefore: latestBelief("before"),
+    beliefAfter: latestBelief("after"),
+    causalLinks: narrative.links
+      .filter((link) => link.relation !== "changed_to")
+      .slice(-6)
+      .map((link) => `${labelFor(link.from)} ${link.relation} ${labelFor(link.to)} (turn ${link.turns.join(", ")})`)
+      .join("; ")
+  };
+}
+
+// Nodes/edges graph of a participant's narrative across their conversations. `conversations`
+// is a list of { conversationId, narrative }; mentions record the conversation and turn.
+export function buildNarrativeGraph(participantId, conversations) {
+  const nodes = new Map();
+  const edges = new Map();
+  for (const { conversationId, narrative: narrativeUnderstanding } of conversations) {
+    const narrative = ensureNarrative(narrativeUnderstanding);
+    for (const entity of narrative.entities) {
+      const node = nodes.get(entity.id) || { id: entity.id, type: entity.type, label: entity.label, mentions: [] };
+      if (entity.stance) node.stance = entity.stance;
+      if (entity.direction) node.direction = entity.direction;
+      node.mentions.push(...entity.turns.map((turn) => ({ conversationId, turn })));
+      nodes.set(entity.id, node);
+    }
+    for (const link of narrative.links) {
+      const key = `${link.from}|${link.relation}|${link.to}`;
+      const edge = edges.get(key) || { source: link.from, target: link.to, relation: link.relation, direction: link.direction, mentions: [] };
+      edge.mentions.push(...link.evidence.map(({ turn, text }) => ({ conversationId, turn, text })));
+      edges.set(key, edge);
+    }
+  }
+  return {
+    participantId,
+    conversationIds: conversations.map((conversation) => conversation.conversationId),
+    generatedAt: new Date().toISOString(),
+    nodes: [...nodes.values()],
+    edges: [...edges.values()]
+  };
+}
+
+// Default model call; the router passes its own so calls go through the fixture layer
+async function defaultGenerate(messages, options) {
+  return await global.llm.chat(messages, options);
+}
+
+class NarrativeExtractor {
+  constructor(config = {}) {
+    this.useModel = config.useModel ?? false;
+    this.timeoutMs = config.timeoutMs ?? 4000;
+    this.purpose = config.purpose ?? "narrativeExtraction";
+  }
+
+  // Returns { entities, links, tier: "llm" | "heuristic", telemetry }, where telemetry is that of
+  // the model call (null when there was none). Model problems never throw: the keyword
+  // extraction is used instead.
+  async extract(text, { generate = defaultGenerate } = {}) {
+    let telemetry = null;
+    if (this.useModel && text?.trim()) {
+      let timeout;
+      try {
+        const result = await Promise.race([
+          generate([
+            { role: "system", content: EXTRACTION_INSTRUCTIONS },
+            { role: "user", content: `Participant's turn:\n${text}` }
+          ], { purpose: this.purpose }),
+          new Promise((_, reject) => {
+            timeout = setTimeout(() => reject(new Error("Narrative extraction timed out")), this.timeoutMs);
+          })
+        ]);
+        telemetry = result?.telemetry || null;
+        const extraction = this.parseExtraction(result?.content);
+        if (extraction) return { ...extraction, tier: "llm", telemetry };
+        console.warn("⚠️ Narrative extraction output was unusable, using keyword extraction");
+      } catch (error) {
+        // A missing replay fixture must fail the run rather than silently fall back
+        if (error.code === "LLM_FIXTURE_MISSING") throw error;
+        console.warn("⚠️ Narrative extraction failed, using keyword extraction:", error.message);
+      } finally {
+        clearTimeout(timeout);
+      }
+    }
+    return { ...extractNarrativeFromText(text), tier: "heuristic", telemetry };
+  }
+
+  // Accept the model's JSON (optionally inside a code fence); unknown types, relations and links
+  // to labels that aren't entities are dropped
+  parseExtraction(content) {
+    if (typeof content !== "string") return null;
+    let parsed;
+    try {
+      parsed = JSON.parse(content.replace(/^\s*```(?:json)?/i, "").replace(/```\s*$/, "").trim());
+    } catch {
+      return null;
+    }
+    if (!Array.isArray(parsed?.entities)) return null;
+
+    const entities = parsed.entities
+      .filter((entity) => NARRATIVE_ENTITY_TYPES.includes(entity?.type) && typeof entity.label === "string" && entity.label.trim())
+      .filter((entity) => entity.type !== "belief" || ["before", "after"].includes(entity.stance))
+      .map((entity) => ({
+        type: entity.type,
+        label: entity.type === "belief" ? clip(entity.label, MAX_BELIEF_LENGTH) : entity.label.trim().toLowerCase(),
+        ...(entity.type === "belief" && { stance: entity.stance }),
+        ...(entity.type === "person" && { direction: ["toward", "away_from"].includes(entity.direction) ? entity.direction : null })
+      }));
+    const byLabel = (label) => typeof label === "string"
+      ? entities.find((entity) => entity.label.toLowerCase() === clip(label, MAX_BELIEF_LENGTH).toLowerCase())
+      : null;
+    const links = (Array.isArray(parsed.links) ? parsed.links : [])
+      .filter((link) => NARRATIVE_RELATIONS.includes(link?.relation))
+      .map((link) => ({ from: byLabel(link.from), to: byLabel(link.to), relation: link.relation, direction: byLabel(link.from)?.direction || null }))
+      .filter((link) => link.from && link.to && link.from !== link.to);
+    return { entities, links };
+  }
+}
+
+export function createNarrativeExtractor(config) {
+  return new NarrativeExtractor(config);
+}
+
+// Export singleton instance built from the study config
+export const narrativeExtractor = createNarrativeExtractor(getStudyConfig().narrativeExtraction);
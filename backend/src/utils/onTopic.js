@@ -1,95 +1,60 @@
 // backend/src/utils/onTopic.js
+import { conversationStateManager } from "./conversationStateManager.js";
+import { findDriftRule, getRedirectText } from "./driftRules.js";
+import { isInterviewTurn } from "./responseSignals.js";
+import { similarityEngine } from "./similarity.js";
+
+// State management for repetition detection and question gating, keyed by conversationId
+// so concurrent participants never share anti-loop state
+const conversationStates = new Map();
+
+function createConversationState() {
+  return {
+    userAnswers: [], // Track last 5 user messages
+    lastQuestionIntent: null, // Track the type of last question asked
+    eventConfirmed: false, // Flag when user has identified an event 2+ times
+    identifiedEvents: {}, // Track events mentioned and their count
+  };
+}
 
-// State management for repetition detection and question gating
-let conversationState = {
-  userAnswers: [], // Track last 5 user messages
-  lastQuestionIntent: null, // Track the type of last question asked
-  eventConfirmed: false, // Flag when user has identified an event 2+ times
-  identifiedEvents: {}, // Track events mentioned and their count
-};
-
-const OFF_TOPIC_PATTERNS = [
-  /talk about something else/i,
-  /another topic/i,
-  /what would you like to discuss/i,
-  /anything you want/i,
-  /change the subject/i,
-  /different topic/i,
-];
-
-// Patterns that indicate drift into political specifics rather than belief change narrative
-const POLITICAL_DRIFT_PATTERNS = [
-  /what political activities/i,
-  /specific political/i,
-  /party's stance/i,
-  /party platform/i,
-  /democratic party.*position/i,
-  /republican party.*position/i,
-  /political involvement/i,
-  /campaign/i,
-  /election/i,
-  /candidate.*policies/i,
-  /voting.*issues/i,
-];
-
-// Patterns that indicate drift away from personal belief change story
-const BELIEF_DRIFT_PATTERNS = [
-  /getting.*off topic/i,
-  /bit off topic/i,
-  /not about.*belief/i,
-  /away from.*change/i,
-];
+function stateFor(conversationId) {
+  if (!conversationStates.has(conversationId)) {
+    conversationStates.set(conversationId, createConversationState());
+  }
+  return conversationStates.get(conversationId);
+}
 
-// Patterns that indicate drift into roles/actions rather than belief change narrative
-const ACTION_ROLE_DRIFT_PATTERNS = [
-  /your role.*in.*addressing/i,
-  /role.*of.*others.*in.*making.*difference/i,
-  /what.*you.*can.*do/i,
-  /what.*should.*people.*do/i,
-  /how.*can.*you.*help/i,
-  /your.*responsibility/i,
-  /society.*role.*in.*addressing/i,
-  /role.*in.*making.*difference/i,
-  /what.*actions.*should/i,
-  /how.*to.*solve.*climate/i,
-  /what.*needs.*to.*be.*done/i,
-  /making.*a.*difference/i,
-  /addressing.*these.*problems/i,
-  /how.*can.*society.*make.*difference/i,
-  /society.*make.*difference/i,
-];
+// Drift patterns and redirect texts come from the versioned ruleset (see driftRules.js)
+// Redirect type used by the router -> ruleset category
+const REDIRECT_CATEGORIES = {
+  general: 'offTopic',
+  political: 'political',
+  belief: 'belief',
+  action: 'action',
+};
 
 export function enforceOnTopic(text) {
   if (!text) return false;
-  return !OFF_TOPIC_PATTERNS.some((re) => re.test(text));
+  return !findDriftRule('offTopic', text);
 }
 
+// Drift into political specifics rather than belief change narrative
 export function detectPoliticalDrift(text) {
-  if (!text) return false;
-  return POLITICAL_DRIFT_PATTERNS.some((re) => re.test(text));
+  return Boolean(findDriftRule('political', text));
 }
 
+// Drift away from personal belief change story
 export function detectBeliefDrift(text) {
-  if (!text) return false;
-  return BELIEF_DRIFT_PATTERNS.some((re) => re.test(text));
+  return Boolean(findDriftRule('belief', text));
 }
 
+// Drift into roles/actions rather than belief change narrative
 export function detectActionRoleDrift(text) {
-  if (!text) return false;
-  return ACTION_ROLE_DRIFT_PATTERNS.some((re) => re.test(text));
+  return Boolean(findDriftRule('action', text));
 }
 
 export function redirectLine(driftType = 'general') {
-  switch (driftType) {
-    case 'political':
-      return "I understand political engagement is part of your story. Let's focus on how your personal experience with climate change shaped your beliefs rather than the specific political details. What was it about your experience that most influenced your thinking?";
-    case 'belief':
-      return "You're right, let's refocus on your belief change. What stands out most to you about how your understanding of climate change evolved?";
-    case 'action':
-      return "I can see you're thinking about what should be done about climate change. For this interview, I'd like to stay focused on your personal belief change story rather than discussing actions or roles. What specific moment or experience was most significant in changing your views?";
-    default:
-      return "I can see that's important to you. For this interview, I'd like to stay focused on understanding how and why your beliefs about climate change changed. How did that experience influence your thinking about climate change specifically?";
-  }
+  return getRedirectText(REDIRECT_CATEGORIES[driftType] || 'offTopic');
 }
 
 // Normalize text for comparison
@@ -115,9 +80,10 @@ const EVENT_PATTERNS = [
 ];
 
 // Track user responses and detect repetition
-export function trackUserResponse(userMessage) {
+export function trackUserResponse(conversationId, userMessage) {
   if (!userMessage) return;
   
+  const conversationState = stateFor(conversationId);
   const normalized = normalizeText(userMessage);
   
   // Add to user answers history (keep last 5)
@@ -140,48 +106,46 @@ export function trackUserResponse(userMessage) {
   });
 }
 
-// Detect if user is repeating the same answer
-export function detectRepetition(currentMessage) {
-  if (!currentMessage || conversationState.userAnswers.length < 2) return false;
-  
-  const currentNormalized = normalizeText(currentMessage);
-  const recent = conversationState.userAnswers.slice(-2); // Last 2 messages
-  
-  // Check if current message is very similar to recent ones
-  return recent.some(prev => {
-    if (!prev || prev.length === 0) return false;
-    
-    // Simple similarity check - if 70% of words match
-    const currentWords = currentNormalized.split(' ');
-    const prevWords = prev.split(' ');
-    
-    if (currentWords.length === 0 || prevWords.length === 0) return false;
-    
-    const matches = currentWords.filter(word =>
-      word.length > 2 && prevWords.includes(word)
-    ).length;
-    
-    return matches / Math.max(currentWords.length, prevWords.length) > 0.7;
-  });
+// Detect if the user is repeating one of their earlier answers. The answer is scored against
+// every earlier interview answer in `history` (the stored messages, without the current one;
+// recap replies, termination and summary requests are skipped so `turn` counts answers), or
+// against the tracked recent answers when no history is given, using similarity.js.
+// Returns { repeated, score, turn } with the participant turn it repeats (null if none).
+export function detectRepetition(conversationId, currentMessage, history = null) {
+  if (!currentMessage) return { repeated: false, score: 0, turn: null };
+
+  let earlierAnswers;
+  if (history) {
+    earlierAnswers = history.filter(msg => isInterviewTurn(msg) && !msg.summaryRequest).map(msg => msg.content);
+  } else {
+    // trackUserResponse may already have recorded the current answer
+    earlierAnswers = [...stateFor(conversationId).userAnswers];
+    if (earlierAnswers[earlierAnswers.length - 1] === normalizeText(currentMessage)) earlierAnswers.pop();
+  }
+
+  const { repeated, score, index } = similarityEngine.check(currentMessage, earlierAnswers, 'userRepetition');
+  return { repeated, score, turn: repeated ? index + 1 : null };
 }
 
-// Question intent types
+// Question intent types (classified by questionIntents.js)
 const QUESTION_INTENTS = {
   ASK_EVENT: 'ask_event',
   ASK_IMPACT: 'ask_impact',
-  ASK_TIMELINE: 'ask_timeline_next',
-  ASK_ACTION: 'ask_action_change',
+  ASK_BELIEF_CHANGE: 'ask_belief_change',
+  ASK_TIMELINE: 'ask_timeline',
+  ASK_ACTION: 'ask_action',
   ASK_SOCIAL: 'ask_social_context',
   ASK_EMOTION: 'ask_emotion'
 };
 
 // Track the last question intent
-export function setQuestionIntent(intent) {
-  conversationState.lastQuestionIntent = intent;
+export function setQuestionIntent(conversationId, intent) {
+  stateFor(conversationId).lastQuestionIntent = intent;
 }
 
 // Check if a question type should be blocked
-export function isQuestionBlocked(intent) {
+export function isQuestionBlocked(conversationId, intent) {
+  const conversationState = stateFor(conversationId);
   // Block event questions if event is confirmed or if last question was also event-seeking
   if (intent === QUESTION_INTENTS.ASK_EVENT) {
     return conversationState.eventConfirmed ||
@@ -192,8 +156,9 @@ export function isQuestionBlocked(intent) {
   return false;
 }
 
-// Get alternative question when blocked
-export function getAlternativeQuestion() {
+// Get alternative question when blocked. Pass a seed (e.g. the turn number) for a
+// deterministic pick, so replayed transcripts produce the same history.
+export function getAlternativeQuestion(seed = null) {
   const alternatives = [
     "What about that made it convincing for you?",
     "How did it change what you believed humans were doing?",
@@ -202,20 +167,57 @@ export function getAlternativeQuestion() {
     "What did you do differently afterward?"
   ];
   
-  return alternatives[Math.floor(Math.random() * alternatives.length)];
+  const index = seed === null
+    ? Math.floor(Math.random() * alternatives.length)
+    : Math.abs(seed) % alternatives.length;
+  return alternatives[index];
 }
 
 // Reset state for new conversation
-export function resetConversationState() {
-  conversationState = {
-    userAnswers: [],
-    lastQuestionIntent: null,
-    eventConfirmed: false,
-    identifiedEvents: {},
+export function resetConversationState(conversationId) {
+  conversationStates.set(conversationId, createConversationState());
+}
+
+// Drop in-memory state once a conversation has ended
+export function clearConversationState(conversationId) {
+  conversationStates.delete(conversationId);
+}
+
+// Get current state (for debugging/monitoring and persistence)
+export function getConversationState(conversationId) {
+  const conversationState = stateFor(conversationId);
+  return {
+    ...conversationState,
+    userAnswers: [...conversationState.userAnswers],
+    identifiedEvents: { ...conversationState.identifiedEvents }
   };
 }
 
-// Get current state (for debugging/monitoring)
-export function getConversationState() {
-  return { ...conversationState };
-}
\ No newline at end of file
+// Restore state from a persisted snapshot (e.g. after a server restart)
+export function restoreConversationState(conversationId, snapshot) {
+  conversationStates.set(conversationId, {
+    ...createConversationState(),
+    ...(snapshot || {})
+  });
+}
+
+// Load persisted anti-loop state if this process has not seen the conversation yet
+export async function loadConversationState(conversationId) {
+  if (conversationStates.has(conversationId)) {
+    return getConversationState(conversationId);
+  }
+
+  const snapshot = await conversationStateManager.getMetadata(conversationId, 'antiLoop');
+  if (snapshot) {
+    console.log(`🔄 Restored anti-loop state for: ${conversationId}`);
+  }
+  restoreConversationState(conversationId, snapshot);
+  return getConversationState(conversationId);
+}
+
+// Persist anti-loop state alongside the conversation flow state
+export async function saveConversationState(conversationId) {
+  return await conversationStateManager.updateMetadata(conversationId, {
+    antiLoop: getConversationState(conversationId)
+  });
+}
@@ -1,39 +1,59 @@
 // backend/src/utils/openingLine.js
+// Opening turn of a /chat conversation. The model writes it from the participant's own survey
+// answers (the belief change they selected, their current views and their elaboration), using
+// the study config's "openingLine" settings and the LLM purpose "openingLine". A generated line
+// is only used when it passes the guardrails below; otherwise, or when the participant gave no
+// free text, the deterministic template is used. Both are kept so the choice can be analysed:
+//   { text, source: "llm" | "template", template, templateText, generatedText, problems, reason, generatedAt }
+import { getStudyConfig } from "./studyConfig.js";
 
-function generateSummary(text) {
-  if (!text || text.trim().length === 0) {
-    return null;
-  }
-  
-  // Simple summarization logic - extract key themes and create 1-2 sentences
-  const words = text.toLowerCase().split(/\s+/);
-  const commonWords = ['the', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 'from', 'up', 'about', 'into', 'through', 'during', 'before', 'after', 'above', 'below', 'between', 'among', 'within', 'without', 'under', 'over', 'around', 'near', 'far', 'beyond', 'across', 'along', 'through', 'throughout', 'within', 'onto', 'upon', 'off', 'down', 'out', 'away', 'back', 'around', 'towards', 'against', 'beside', 'beneath', 'behind', 'ahead', 'inside', 'outside', 'upward', 'downward', 'forward', 'backward', 'inward', 'outward', 'sideways', 'clockwise', 'counterclockwise', 'is', 'was', 'are', 'were', 'be', 'been', 'being', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should', 'may', 'might', 'can', 'must', 'shall', 'a', 'an', 'this', 'that', 'these', 'those', 'my', 'your', 'his', 'her', 'its', 'our', 'their', 'i', 'me', 'we', 'us', 'you', 'he', 'him', 'she', 'it', 'they', 'them'];
-  
-  // Get key phrases and words
-  const keyWords = words.filter(word =>
-    word.length > 3 &&
-    !commonWords.includes(word) &&
-    !word.match(/^\d+$/)
-  );
-  
-  // Simple summary based on text length and key themes
-  const textLength = text.trim().length;
-  
-  if (textLength < 50) {
-    return `You mentioned ${text.toLowerCase().replace(/\.$/, '')}.`;
-  } else if (textLength < 150) {
-    return `You described how ${text.toLowerCase().charAt(0) + text.slice(1, -1).replace(/\.$/, '')}.`;
-  } else {
-    // For longer texts, try to extract main theme
-    const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
-    if (sentences.length > 0) {
-      const firstSentence = sentences[0].trim();
-      return `You shared that ${firstSentence.toLowerCase().charAt(0) + firstSentence.slice(1)}.`;
-    }
-    return `You provided a detailed account of your experience changing your mind about climate change.`;
-  }
+const COMPLETION_MARKER = "##INTERVIEW_COMPLETE##";
+
+// Longest stretch of each survey answer passed to the model
+const MAX_SURVEY_TEXT_LENGTH = 1200;
+
+// Phrasing that presumes something about the participant's story
+const LEADING_PATTERNS = [
+  /\b(?:must have|surely|obviously|clearly|of course|no doubt|i bet|i'm sure|i am sure)\b/i,
+  /\b(?:didn't|don't|wasn't|weren't|isn't|aren't|wouldn't|haven't) (?:you|it|that|they)\?/i,
+  /\b(?:wouldn't you agree|don't you think|isn't it true)\b/i
+];
+
+const STOP_WORDS = new Set(["that", "this", "with", "from", "have", "been", "about", "what", "when", "they", "them", "their", "there", "were", "would", "could", "because", "thinking", "think", "climate", "change"]);
+
+const OPENING_LINE_INSTRUCTIONS = ({ minWords, maxWords }) => `You write the first message of a research interview about how a participant's views on climate change changed.
+Greet the participant, show that you read their survey answers by reflecting a short phrase in their own words, and ask ONE open question that invites them to tell the story of how their views changed.
+Rules:
+- ${minWords}–${maxWords} words in total, ending with the single question.
+- Only refer to what the participant wrote. Do not assume causes, events, people, emotions or how strongly they feel.
+- Do not suggest an answer or ask a leading or yes/no question.
+- Do not mention politics, policy or what anyone should do about climate change.
+Respond with the message only.`;
+
+function wordCount(text) {
+  return text.split(/\s+/).filter(Boolean).length;
 }
 
+function contentWords(text) {
+  return new Set((text || "").toLowerCase().replace(/[^a-z0-9\s']/g, " ").split(/\s+/)
+    .filter((word) => word.length > 3 && !STOP_WORDS.has(word)));
+}
+
+function clip(text) {
+  const trimmed = (text || "").trim();
+  return trimmed.length > MAX_SURVEY_TEXT_LENGTH ? `${trimmed.slice(0, MAX_SURVEY_TEXT_LENGTH)}…` : trimmed;
+}
+
+// The participant's free-text survey answers; the opening line is only generated from these
+export function getSurveyNarrative(profile) {
+  return {
+    currentView: clip(profile?.current_view),
+    elaboration: clip(profile?.elaboration),
+    otherChange: clip(profile?.mind_change_other_text)
+  };
+}
+
+// Deterministic opening line, used when no generated line is available
 export function openingLineFrom(profile) {
   const { views_changed, change_description, mind_change_direction } = profile || {};
 
@@ -46,4 +66,99 @@ export function openingLineFrom(profile) {
   } else {
     return "Hello! I'm here to learn about your thoughts and experiences with climate change. Let's start by talking about your perspective - can you tell me how you currently think about climate change?";
   }
-}
\ No newline at end of file
+}
+
+// Problems with a generated opening line; an empty list means it can be shown
+export function checkOpeningLine(text, narrative, { minWords, maxWords }) {
+  const problems = [];
+  const words = wordCount(text);
+  if (words < minWords || words > maxWords) problems.push(`length: ${words} words (allowed ${minWords}-${maxWords})`);
+  const questions = (text.match(/\?/g) || []).length;
+  if (questions !== 1 || !text.trim().endsWith("?")) problems.push(`questions: must end with exactly one question (found ${questions})`);
+  if (text.includes(COMPLETION_MARKER) || /#{2,}/.test(text)) problems.push("marker: contains the completion marker");
+  if (/^\s*(?:[•*-]|\d+[.)])\s+/m.test(text)) problems.push("format: contains a list");
+  const leading = LEADING_PATTERNS.find((pattern) => pattern.test(text));
+  if (leading) problems.push(`leading: "${text.match(leading)[0]}"`);
+
+  const surveyWords = contentWords(Object.values(narrative).join(" "));
+  if (![...contentWords(text)].some((word) => surveyWords.has(word))) problems.push("grounding: does not use any of the participant's words");
+  return problems;
+}
+
+// Default model call; the router passes its own so calls go through the fixture layer
+async function defaultGenerate(messages, options) {
+  return await global.llm.chat(messages, options);
+}
+
+class OpeningLineGenerator {
+  constructor(openingLineConfig = {}) {
+    this.enabled = openingLineConfig.generate ?? true;
+    this.minWords = openingLineConfig.minWords ?? 12;
+    this.maxWords = openingLineConfig.maxWords ?? 60;
+    this.purpose = openingLineConfig.purpose ?? "openingLine";
+
+    if (!Number.isInteger(this.minWords) || !Number.isInteger(this.maxWords) || this.minWords < 1 || this.minWords > this.maxWords) {
+      throw new Error(`Invalid opening line settings: minWords ${this.minWords} and maxWords ${this.maxWords} must be integers with 1 <= minWords <= maxWords`);
+    }
+  }
+
+  buildMessages(profile, narrative) {
+    const answers = [
+      `Said their views changed: ${profile?.views_changed || "unspecified"}`,
+      profile?.change_description && `Change they selected: ${profile.change_description}`,
+      narrative.otherChange && `Their own description of the change: "${narrative.otherChange}"`,
+      narrative.currentView && `Their current views, in their words: "${narrative.currentView}"`,
+      narrative.elaboration && `What they added, in their words: "${narrative.elaboration}"`
+    ].filter(Boolean);
+    return [
+      { role: "system", content: OPENING_LINE_INSTRUCTIONS(this) },
+      { role: "user", content: `Participant's survey answers:\n${answers.join("\n")}` }
+    ];
+  }
+
+  // Opening line for a participant. `template` names the fallback template and `templateText`
+  // is its text; `enabled` lets a condition turn generation on or off.
+  async generate(profile, { template, templateText, enabled = this.enabled, generate = defaultGenerate, params } = {}) {
+    const result = {
+      text: templateText,
+      source: "template",
+      template,
+      templateText,
+      generatedText: null,
+      problems: [],
+      reason: null,
+      generatedAt: new Date().toISOString(),
+      telemetry: null // The model call's, kept when its text is rejected too
+    };
+
+    const narrative = getSurveyNarrative(profile);
+    if (!enabled) return { ...result, reason: "disabled" };
+    if (!narrative.currentView && !narrative.elaboration && !narrative.otherChange) return { ...result, reason: "no_survey_text" };
+
+    try {
+      const response = await generate(this.buildMessages(profile, narrative), { purpose: this.purpose, params });
+      result.generatedText = response?.content?.trim() || "";
+      result.telemetry = response?.telemetry || null;
+    } catch (error) {
+      // A missing replay fixture must fail the run rather than silently fall back
+      if (error.code === "LLM_FIXTURE_MISSING") throw error;
+      console.warn("⚠️ Opening line generation failed, using the template:", error.message);
+      return { ...result, reason: "error" };
+    }
+
+    result.problems = result.generatedText
+      ? checkOpeningLine(result.generatedText, narrative, this)
+      : ["empty: the model returned no text"];
+    if (result.problems.length > 0) {
+      console.warn(`⚠️ Generated opening line rejected (${result.problems.join("; ")}), using the template`);
+      return { ...result, reason: "guardrail" };
+    }
+    return { ...result, text: result.generatedText, source: "llm" };
+  }
+}
+
+export function createOpeningLineGenerator(openingLineConfig) {
+  return new OpeningLineGenerator(openingLineConfig);
+}
+
+export const openingLineGenerator = createOpeningLineGenerator(getStudyConfig().openingLine);
@@ -0,0 +1,180 @@
+// backend/src/utils/promptRegression.js
+// Offline prompt regression. Saved conversations are cut at every user turn, the assistant
+// reply to that turn is generated again under a candidate prompt version, and the original
+// and candidate replies are compared on:
+//   - reply length (characters and words)
+//   - question count
+//   - drift rule hits (offTopic, political and action rules from the drift ruleset)
+//   - repeated questions (a question that closely matches one the assistant already asked)
+// The conversation state for each turn is rebuilt from the messages before it, the same way
+// the state manager recovers state for conversations it has no record of.
+import { findDriftRule } from "./driftRules.js";
+import { renderPrompt } from "./promptTemplates.js";
+import { conversationStateManager } from "./conversationStateManager.js";
+
+// Drift categories that look at the assistant's reply (the belief rule checks the participant)
+export const REPLY_DRIFT_CATEGORIES = ["offTopic", "political", "action"];
+
+// Share of a question's words that must also be in an earlier question to count as a repeat
+const REPEATED_QUESTION_OVERLAP = 0.6;
+
+const STOP_WORDS = new Set(["a", "an", "the", "and", "or", "to", "of", "in", "on", "for", "about", "that", "this", "it", "you", "your", "do", "did", "does", "is", "was", "what", "how", "me", "i"]);
+
+// One case per user turn: the messages before it, the user's text and the reply that followed
+export function buildReplayCases(conversation) {
+  const messages = (conversation.messages || []).filter((msg) => msg.role === "user" || msg.role === "assistant");
+  const cases = [];
+  messages.forEach((message, index) => {
+    if (message.role !== "user") return;
+    const next = messages[index + 1];
+    cases.push({
+      conversationId: conversation.id,
+      participantId: conversation.participantId || null,
+      turn: cases.length + 1,
+      history: messages.slice(0, index),
+      userText: message.content,
+      original: next?.role === "assistant" ? next : null
+    });
+  });
+  return cases;
+}
+
+export function extractQuestions(text) {
+  return (text || "").match(/[^.!?\n]*\?/g)?.map((question) => question.trim()).filter(Boolean) || [];
+}
+
+function questionWords(question) {
+  return new Set(question.toLowerCase().replace(/[^a-z0-9\s']/g, " ").split(/\s+/).filter((word) => word && !STOP_WORDS.has(word)));
+}
+
+// True when the question shares most of its words with one of the earlier questions
+export function isRepeatedQuestion(question, earlierQuestions) {
+  const words = questionWords(question);
+  if (words.size === 0) return false;
+  return earlierQuestions.some((earlier) => {
+    const earlierWords = questionWords(earlier);
+    const shared = [...words].filter((word) => earlierWords.has(word)).length;
+    return shared / Math.min(words.size, earlierWords.size || 1) >= REPEATED_QUESTION_OVERLAP;
+  });
+}
+
+export function replyMetrics(reply, history = []) {
+  const text = reply || "";
+  const questions = extractQuestions(text);
+  const earlierQuestions = history.filter((msg) => msg.role === "assistant").flatMap((msg) => extractQuestions(msg.content));
+  return {
+    characters: text.length,
+    words: text.split(/\s+/).filter(Boolean).length,
+    questions: questions.length,
+    driftHits: REPLY_DRIFT_CATEGORIES.map((category) => findDriftRule(category, text)?.id).filter(Boolean),
+    repeatedQuestion: questions.some((question) => isRepeatedQuestion(question, earlierQuestions))
+  };
+}
+
+// Averages and rates over the metrics of one side of the report
+export function summarizeMetrics(metrics) {
+  const count = metrics.length;
+  const mean = (field) => count ? metrics.reduce((sum, m) => sum + m[field], 0) / count : 0;
+  const driftHitsByRule = {};
+  for (const m of metrics) {
+    for (const ruleId of m.driftHits) driftHitsByRule[ruleId] = (driftHitsByRule[ruleId] || 0) + 1;
+  }
+  return {
+    replies: count,
+    meanCharacters: mean("characters"),
+    meanWords: mean("words"),
+    meanQuestions: mean("questions"),
+    driftHitRate: count ? metrics.filter((m) => m.driftHits.length > 0).length / count : 0,
+    driftHitsByRule,
+    repeatedQuestionRate: count ? metrics.filter((m) => m.repeatedQuestion).length / count : 0
+  };
+}
+
+// Regenerate every user turn of the conversations under the candidate prompt templates.
+// `generate(messages)` calls the model and resolves to { content }; `getProfile(participantId)`
+// resolves to the participant profile the prompt is rendered with.
+export async function runPromptRegression({ conversations, promptTemplates, templateName = "default", getProfile, generate, onCase = () => {} }) {
+  const cases = [];
+  for (const conversation of conversations) {
+    const profile = (await getProfile(conversation.participantId)) || {};
+    for (const replayCase of buildReplayCases(conversation)) {
+      const state = conversationStateManager.rebuildStateFromMessages(conversation.id, [
+        ...replayCase.history,
+        { role: "user", content: replayCase.userText }
+      ]);
+      const prompt = renderPrompt(templateName, { profile, conversationState: state }, promptTemplates);
+      const response = await generate([
+        { role: "system", content: prompt.text },
+        ...replayCase.history.map(({ role, content }) => ({ role, content })),
+        { role: "user", content: replayCase.userText }
+      ]);
+      const result = {
+        conversationId: replayCase.conversationId,
+        participantId: replayCase.participantId,
+        turn: replayCase.turn,
+        userText: replayCase.userText,
+        original: replayCase.original && {
+          content: replayCase.original.content,
+          promptVersion: replayCase.original.promptVersion || null,
+          metrics: replyMetrics(replayCase.original.content, replayCase.history)
+        },
+        candidate: {
+          content: response?.content || "",
+          promptHash: prompt.hash,
+          metrics: replyMetrics(response?.content, replayCase.history)
+        }
+      };
+      cases.push(result);
+      onCase(result);
+    }
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    candidate: { template: templateName, version: promptTemplates.version },
+    conversations: conversations.length,
+    summary: {
+      original: summarizeMetrics(cases.filter((c) => c.original).map((c) => c.original.metrics)),
+      candidate: summarizeMetrics(cases.map((c) => c.candidate.metrics))
+    },
+    cases
+  };
+}
+
+function formatNumber(value, percent = false) {
+  return percent ? `${(value * 100).toFixed(1)}%` : value.toFixed(1);
+}
+
+// Markdown report: the summary table, then each turn's replies side by side
+export function formatRegressionReport(report) {
+  const { original, candidate } = report.summary;
+  const rows = [
+    ["Replies", original.replies, candidate.replies],
+    ["Mean characters", formatNumber(original.meanCharacters), formatNumber(candidate.meanCharacters)],
+    ["Mean words", formatNumber(original.meanWords), formatNumber(candidate.meanWords)],
+    ["Mean questions", formatNumber(original.meanQuestions), formatNumber(candidate.meanQuestions)],
+    ["Drift hit rate", formatNumber(original.driftHitRate, true), formatNumber(candidate.driftHitRate, true)],
+    ["Repeated-question rate", formatNumber(original.repeatedQuestionRate, true), formatNumber(candidate.repeatedQuestionRate, true)]
+  ];
+  const cell = (text) => String(text ?? "").replace(/\|/g, "\\|").replace(/\n+/g, " ");
+  const flags = (metrics) => [
+    `${metrics.questions}?`,
+    ...metrics.driftHits,
+    metrics.repeatedQuestion ? "repeat" : null
+  ].filter(Boolean).join(", ");
+
+  const lines = [
+    `# Prompt regression: ${report.candidate.template} v${report.candidate.version}`,
+    "",
+    `Generated ${report.generatedAt} from ${report.conversations} conversations (${report.cases.length} user turns).`,
+    "",
+    "| Metric | Original | Candidate |",
+    "| --- | --- | --- |",
+    ...rows.map((row) => `| ${row.join(" | ")} |`),
+    "",
+    "| Conversation | Turn | User | Original | Candidate |",
+    "| --- | --- | --- | --- | --- |",
+    ...report.cases.map((c) => `| ${cell(c.conversationId)} | ${c.turn} | ${cell(c.userText)} | ${c.original ? `${cell(c.original.content)} (${flags(c.original.metrics)})` : ""} | ${cell(c.candidate.content)} (${flags(c.candidate.metrics)}) |`)
+  ];
+  return lines.join("\n") + "\n";
+}
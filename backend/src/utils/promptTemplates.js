@@ -0,0 +1,248 @@
+// backend/src/utils/promptTemplates.js
+// Interviewer prompts as versioned template files. The study config's "prompts.path" names a
+// manifest (relative to the study config) with a version, the top-level templates a condition
+// can use as its systemPrompt, and the partials they include. Templates use a small
+// mustache-style syntax:
+//   {{name}} / {{a.b}}          value from the view ("" when missing)
+//   {{#name}} ... {{/name}}     block rendered when the value is truthy
+//   {{^name}} ... {{/name}}     block rendered when the value is falsy
+//   {{> partial}}               another template from the manifest's partials
+// A tag alone on its line takes the whole line with it. Every template is parsed and checked
+// when the manifest is loaded; a reload that fails validation keeps the current templates.
+// Rendered prompts carry a sha256 content hash, so a stored turn can be matched to its prompt.
+import path from "node:path";
+import fs from "node:fs";
+import crypto from "node:crypto";
+import { getStudyConfig, getStudyConfigPath } from "./studyConfig.js";
+import { describeNarrative } from "./narrativeExtraction.js";
+import { questionIntentTracker } from "./questionIntents.js";
+
+const TAG_PATTERN = /\{\{\s*([#^\/>]?)\s*([\w.\-]+)\s*\}\}/g;
+const STANDALONE_TAG_PATTERN = /^[ \t]*(\{\{\s*[#^\/>]\s*[\w.\-]+\s*\}\})[ \t]*(?:\r?\n|$)/gm;
+const MAX_PARTIAL_DEPTH = 10;
+
+let activeTemplates = null;
+
+export function getPromptManifestPath() {
+  const manifestFile = getStudyConfig().prompts?.path || "prompts/prompts.json";
+  return path.resolve(path.dirname(getStudyConfigPath()), manifestFile);
+}
+
+// Parse template source into nodes: { type: "text" | "value" | "section" | "inverted" | "partial" }
+export function parseTemplate(source) {
+  const text = source.replace(STANDALONE_TAG_PATTERN, "$1");
+  const root = { children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(TAG_PATTERN)) {
+    const [tag, sigil, name] = match;
+    const current = stack[stack.length - 1];
+    if (match.index > lastIndex) {
+      current.children.push({ type: "text", text: text.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + tag.length;
+
+    if (sigil === "#" || sigil === "^") {
+      const block = { type: sigil === "#" ? "section" : "inverted", name, children: [] };
+      current.children.push(block);
+      stack.push(block);
+    } else if (sigil === "/") {
+      if (stack.length === 1 || current.name !== name) {
+        throw new Error(`unexpected {{/${name}}}`);
+      }
+      stack.pop();
+    } else if (sigil === ">") {
+      current.children.push({ type: "partial", name });
+    } else {
+      current.children.push({ type: "value", name });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`unclosed {{#${stack[stack.length - 1].name}}}`);
+  }
+  if (lastIndex < text.length) {
+    root.children.push({ type: "text", text: text.slice(lastIndex) });
+  }
+  return root.children;
+}
+
+function lookup(view, name) {
+  return name.split(".").reduce((value, key) => value?.[key], view);
+}
+
+function partialNames(nodes) {
+  return nodes.flatMap((node) =>
+    node.type === "partial" ? [node.name] : node.children ? partialNames(node.children) : []
+  );
+}
+
+function renderNodes(nodes, view, partials, depth = 0) {
+  if (depth > MAX_PARTIAL_DEPTH) {
+    throw new Error("partials are nested too deeply");
+  }
+  return nodes.map((node) => {
+    switch (node.type) {
+      case "text":
+        return node.text;
+      case "value": {
+        const value = lookup(view, node.name);
+        return value === undefined || value === null ? "" : String(value);
+      }
+      case "section":
+        return lookup(view, node.name) ? renderNodes(node.children, view, partials, depth) : "";
+      case "inverted":
+        return lookup(view, node.name) ? "" : renderNodes(node.children, view, partials, depth);
+      case "partial":
+        return renderNodes(partials[node.name], view, partials, depth + 1);
+      default:
+        return "";
+    }
+  }).join("");
+}
+
+// Read, parse and check the manifest and every file it names. Throws an Error whose `errors`
+// lists every problem found.
+export function loadPromptTemplates(manifestPath = getPromptManifestPath()) {
+  const errors = [];
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+  const baseDir = path.dirname(manifestPath);
+
+  if (typeof manifest?.version !== "string" || !manifest.version.trim()) {
+    errors.push("version must be a non-empty string");
+  }
+  if (!manifest?.templates || Object.keys(manifest.templates).length === 0) {
+    errors.push("templates must name at least one template");
+  }
+
+  const parseFiles = (files, kind) => Object.fromEntries(Object.entries(files || {}).map(([name, file]) => {
+    try {
+      return [name, parseTemplate(fs.readFileSync(path.resolve(baseDir, file), "utf8"))];
+    } catch (error) {
+      errors.push(`${kind} "${name}" (${file}): ${error.code === "ENOENT" ? "file not found" : error.message}`);
+      return [name, []];
+    }
+  }));
+  const templates = parseFiles(manifest?.templates, "template");
+  const partials = parseFiles(manifest?.partials, "partial");
+
+  for (const [kind, entries] of [["template", templates], ["partial", partials]]) {
+    for (const [name, nodes] of Object.entries(entries)) {
+      for (const partial of partialNames(nodes)) {
+        if (!partials[partial]) errors.push(`${kind} "${name}" includes unknown partial "${partial}"`);
+      }
+    }
+  }
+  if (errors.length === 0) {
+    for (const [name, nodes] of Object.entries(templates)) {
+      try {
+        renderNodes(nodes, {}, partials);
+      } catch (error) {
+        errors.push(`template "${name}": ${error.message}`);
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    const error = new Error(`Invalid prompt templates: ${errors.join("; ")}`);
+    error.errors = errors;
+    throw error;
+  }
+  console.log(`✅ Loaded prompt templates v${manifest.version} (${Object.keys(templates).join(", ")}) from ${manifestPath}`);
+  return { version: manifest.version, templates, partials };
+}
+
+// Active templates, loaded on first use; throws if the manifest or a template is invalid
+export function getPromptTemplates() {
+  if (!activeTemplates) {
+    activeTemplates = loadPromptTemplates();
+  }
+  return activeTemplates;
+}
+
+// Re-read the template files. The new set only replaces the active one if it validates.
+export function reloadPromptTemplates() {
+  activeTemplates = loadPromptTemplates();
+  return activeTemplates;
+}
+
+export function hasPromptTemplate(name) {
+  return Boolean(getPromptTemplates().templates[name]);
+}
+
+export function hashPrompt(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+// Template values for a participant profile and (optionally) the current conversation state
+export function buildPromptView(profile, conversationState = null, { summaryRequest = false } = {}) {
+  const {
+    views_changed = "unspecified",
+    change_description = null,
+    change_confidence = null
+  } = profile || {};
+
+  const view = {
+    profile: {
+      ...profile,
+      views_changed,
+      change_description: change_description || "Not provided",
+      change_confidence: change_confidence !== null ? `${change_confidence}/10` : "Not provided"
+    },
+    state: null,
+    summaryRequest
+  };
+
+  if (conversationState) {
+    const {
+      stage,
+      turnCount,
+      topicTurnCount,
+      minimalResponseCount,
+      exhaustionSignals,
+      exploredTopics,
+      narrativeUnderstanding,
+      questionIntents,
+      responsePatterns
+    } = conversationState;
+    const knownStages = ["exploration", "elaboration", "recap"];
+    view.state = {
+      stage,
+      turnCount,
+      topicTurnCount,
+      minimalResponseCount,
+      exhaustionSignals,
+      exploredTopics: Array.from(exploredTopics || new Set()).join(", "),
+      narrative: describeNarrative(narrativeUnderstanding),
+      progression: questionIntentTracker.describeCoverage(questionIntents || []),
+      consecutiveSimilarResponses: responsePatterns?.consecutiveSimilarResponses || 0,
+      lastOpeningPhrase: responsePatterns?.lastOpeningPhrase,
+      lastReplySimilarity: responsePatterns?.lastReplySimilarity || 0,
+      userRepetition: responsePatterns?.userRepetition || null,
+      stageIs: {
+        ...Object.fromEntries(knownStages.map((name) => [name, stage === name])),
+        other: !knownStages.includes(stage)
+      },
+      warnings: {
+        repetition: topicTurnCount >= 3,
+        responsePattern: responsePatterns?.consecutiveSimilarResponses >= 1,
+        userRepetition: Boolean(responsePatterns?.userRepetition),
+        fatigue: minimalResponseCount >= 2,
+        exhaustion: exhaustionSignals >= 2
+      }
+    };
+  }
+  return view;
+}
+
+// Render a top-level template. Returns { template, version, hash, text }. `promptTemplates`
+// defaults to the active set; pass one from loadPromptTemplates() to render a candidate version.
+export function renderPrompt(templateName, { profile, conversationState = null, summaryRequest = false } = {}, promptTemplates = getPromptTemplates()) {
+  const { version, templates, partials } = promptTemplates;
+  if (!templates[templateName]) {
+    throw new Error(`Unknown prompt template "${templateName}"`);
+  }
+  const text = renderNodes(templates[templateName], buildPromptView(profile, conversationState, { summaryRequest }), partials).trim();
+  return { template: templateName, version, hash: hashPrompt(text), text };
+}
@@ -0,0 +1,105 @@
+// backend/src/utils/qualityMetrics.js
+// Conversation quality metrics, computed once a /chat conversation is finished and stored on
+// its session. They measure how well the interviewer followed the system prompt's rules:
+//   - reply length within the study config's "qualityMetrics.replyWords" range (15-25 words)
+//   - questions per reply (the prompt asks for one forward-moving question)
+//   - replies that reuse an earlier reply's opening phrase
+//   - event re-asks and drift interventions (from the detector flags stored on each reply)
+//   - coverage of the post-event question progression (see questionIntents.js)
+// and how much the participant wrote per turn. Interviewer replies are the assistant messages
+// after the participant's first turn and before the first recap (or generated summary); what
+// follows is recap confirmation rather than interviewing.
+import { getStudyConfig } from "./studyConfig.js";
+import { questionIntentTracker } from "./questionIntents.js";
+
+export const QUALITY_METRICS_VERSION = "2";
+
+// First sentence of a reply (up to 50 characters), used to spot repetitive openings
+export function extractOpeningPhrase(response) {
+  const match = response.match(/^([^.!?]*[.!?])/);
+  return match ? match[1].trim().substring(0, 50) : null;
+}
+
+function wordCount(text) {
+  return (text || "").split(/\s+/).filter(Boolean).length;
+}
+
+function questionCount(text) {
+  return ((text || "").match(/\?/g) || []).length;
+}
+
+function mean(values) {
+  return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+function getReplyWordRange() {
+  return { min: 15, max: 25, ...getStudyConfig().qualityMetrics?.replyWords };
+}
+
+export function computeQualityMetrics(messages, replyWords = getReplyWordRange()) {
+  const firstUserIndex = messages.findIndex((msg) => msg.role === "user");
+  const isRecap = (msg) => msg.role === "assistant" && (msg.recap || msg.generated_summary);
+  const recapIndex = messages.findIndex(isRecap);
+  const participantTurns = messages.filter((msg) => msg.role === "user" && !msg.summaryRequest);
+  const replies = firstUserIndex === -1 ? [] : messages
+    .slice(firstUserIndex, recapIndex === -1 ? undefined : recapIndex)
+    .filter((msg) => msg.role === "assistant");
+
+  const replyWordCounts = replies.map((msg) => wordCount(msg.content));
+  const seenOpenings = new Set();
+  let repeatedOpenings = 0;
+  for (const reply of replies) {
+    const opening = extractOpeningPhrase(reply.content || "")?.toLowerCase();
+    if (!opening) continue;
+    if (seenOpenings.has(opening)) repeatedOpenings++;
+    seenOpenings.add(opening);
+  }
+
+  const interventionsByType = {};
+  for (const reply of replies) {
+    if (reply.interventionType) {
+      interventionsByType[reply.interventionType] = (interventionsByType[reply.interventionType] || 0) + 1;
+    }
+  }
+
+  const questionIntents = replies.map((msg) => questionIntentTracker.classify(msg.content));
+  const progression = questionIntentTracker.coverage(questionIntents);
+
+  return {
+    version: QUALITY_METRICS_VERSION,
+    computedAt: new Date().toISOString(),
+    replies: replies.length,
+    meanReplyWords: mean(replyWordCounts),
+    replyWordRange: [replyWords.min, replyWords.max],
+    wordCountCompliance: replies.length
+      ? replyWordCounts.filter((count) => count >= replyWords.min && count <= replyWords.max).length / replies.length
+      : null,
+    questionsPerReply: mean(replies.map((msg) => questionCount(msg.content))),
+    repeatedOpeningPhraseRate: replies.length ? repeatedOpenings / replies.length : null,
+    eventReasks: replies.filter((msg) => msg.detectorFlags?.anti_loop).length,
+    driftInterventions: Object.values(interventionsByType).reduce((sum, count) => sum + count, 0),
+    interventionsByType,
+    questionIntents,
+    progressionCoverage: replies.length ? progression.score : null,
+    progressionMissing: progression.missing,
+    participantTurns: participantTurns.length,
+    participantWordsPerTurn: mean(participantTurns.map((msg) => wordCount(msg.content)))
+  };
+}
+
+// Averages over the sessions that have metrics, for the admin stats and exports
+export function summarizeQualityMetrics(sessions) {
+  const metrics = sessions.map((session) => session.qualityMetrics).filter(Boolean);
+  const average = (field) => mean(metrics.map((m) => m[field]).filter((value) => typeof value === "number"));
+  return {
+    sessions: metrics.length,
+    meanReplyWords: average("meanReplyWords"),
+    wordCountCompliance: average("wordCountCompliance"),
+    questionsPerReply: average("questionsPerReply"),
+    repeatedOpeningPhraseRate: average("repeatedOpeningPhraseRate"),
+    eventReasksPerSession: average("eventReasks"),
+    driftInterventionsPerSession: average("driftInterventions"),
+    progressionCoverage: average("progressionCoverage"),
+    participantWordsPerTurn: average("participantWordsPerTurn")
+  };
+}
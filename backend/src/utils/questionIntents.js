@@ -0,0 +1,126 @@
+// backend/src/utils/questionIntents.js
+// Question intent of each /chat interviewer reply, in the vocabulary of the system prompt's
+// post-event progression (impact -> belief change -> timeline -> actions -> social context) plus
+// ask_event, ask_emotion, other (a question outside the vocabulary) and none (no question).
+// The study config's "questionIntents.progression" lists the steps in order. The router stores
+// the sequence on the conversation state as questionIntents: [{ turn, intent }], the stage
+// guidance names the steps not yet covered, and the quality metrics report the coverage.
+import { getStudyConfig } from "./studyConfig.js";
+
+export const QUESTION_INTENTS = ["ask_event", "ask_impact", "ask_belief_change", "ask_timeline", "ask_action", "ask_social_context", "ask_emotion", "other", "none"];
+
+// Checked in order on the reply's question; the first intent with a matching pattern wins
+const INTENT_PATTERNS = [
+  ["ask_social_context", [
+    /\b(?:did|has|had|was) (?:anyone|someone|anybody)\b/i,
+    /\bwho (?:else|around you|in your life)\b/i,
+    /\b(?:family|friends?|people around you|others|partner|colleagues?)\b.*\b(?:react|respond|influence|talk|say|said|think|thought|share|discuss)/i,
+    /\b(?:influence|react|respond|talk|say|said|share|discuss)\w*\b.*\b(?:family|friends?|people around you|others|partner|colleagues?)\b/i
+  ]],
+  ["ask_action", [
+    /\b(?:do|did|doing|done) (?:anything |things )?differently\b/i,
+    /\bwhat (?:did|do|have) you (?:do|done|start doing|stop doing)\b/i,
+    /\b(?:habits|behaviou?r|lifestyle|day-to-day|daily life)\b/i,
+    /\b(?:act|acted|actions?|steps) (?:you )?(?:took|take|on it)\b/i
+  ]],
+  ["ask_timeline", [
+    /\bwhat happened (?:next|after|then)\b/i,
+    /\b(?:after that|since then|over time|from there|how long|gradual\w*|sudden\w*|where did that lead)\b/i,
+    /\b(?:what|how) (?:came|happened) next\b/i
+  ]],
+  ["ask_event", [
+    /\b(?:what|which)\b.*\b(?:event|moment)\b/i,
+    /\bwhat (?:specific|particular) (?:experience|thing)\b/i,
+    /\bwhat (?:first )?(?:led|got|prompted) you\b/i
+  ]],
+  ["ask_belief_change", [
+    /\b(?:change|shift|alter)\w*\b.*\b(?:believ\w*|belief\w*|think\w*|thought|views?|understanding|mind)\b/i,
+    /\b(?:believ\w*|belief\w*|think\w*|thought|views?|understanding|mind)\b.*\b(?:change|shift|alter)\w*\b/i,
+    /\bwhat did you (?:start to |come to |begin to )?(?:believe|think|realise|realize)\b/i
+  ]],
+  ["ask_emotion", [
+    /\b(?:feel|felt|feeling|feelings|emotion\w*|scared|worried|afraid|upset)\b/i
+  ]],
+  ["ask_impact", [
+    /\bwhat about (?:that|it|this|those)\b/i,
+    /\b(?:convinc\w*|stood out|stand out|meant to you|mean to you|significan\w*|impact\w*|affect\w*|struck you|stick with you|stayed with you)\b/i,
+    /\bwhy (?:did|was) (?:that|it)\b/i
+  ]]
+];
+
+// Prompt-view wording of each progression step
+const STEP_DESCRIPTIONS = {
+  ask_event: "which event or experience started the change",
+  ask_impact: "what about it was convincing or meaningful",
+  ask_belief_change: "how it changed what they believed",
+  ask_timeline: "what happened next, and over what time",
+  ask_action: "what they did differently afterward",
+  ask_social_context: "whether anyone influenced them around that time",
+  ask_emotion: "how they felt about it"
+};
+
+// The question part of a reply: its sentences that end with "?"
+function questionText(reply) {
+  return (reply.match(/[^.!?]*\?/g) || []).join(" ");
+}
+
+class QuestionIntentTracker {
+  constructor(questionIntentConfig = {}) {
+    this.progression = questionIntentConfig.progression ?? ["ask_impact", "ask_belief_change", "ask_timeline", "ask_action", "ask_social_context"];
+
+    const errors = [];
+    if (!Array.isArray(this.progression) || this.progression.length === 0) {
+      errors.push("progression must be a non-empty array");
+    } else {
+      for (const step of this.progression) {
+        if (!STEP_DESCRIPTIONS[step]) errors.push(`progression step "${step}" is not a question intent (${Object.keys(STEP_DESCRIPTIONS).join(", ")})`);
+      }
+      if (new Set(this.progression).size !== this.progression.length) errors.push("progression lists a step more than once");
+    }
+    if (errors.length > 0) {
+      throw new Error(`Invalid question intent settings: ${errors.join("; ")}`);
+    }
+  }
+
+  classify(reply) {
+    const question = questionText(reply || "");
+    if (!question.trim()) return "none";
+    const match = INTENT_PATTERNS.find(([, patterns]) => patterns.some((pattern) => pattern.test(question)));
+    return match ? match[0] : "other";
+  }
+
+  // Classify the reply shown for a turn and append it to the state's sequence
+  record(state, reply, turn = state.turnCount) {
+    const entry = { turn, intent: this.classify(reply) };
+    state.questionIntents = [...(state.questionIntents || []), entry];
+    return entry;
+  }
+
+  // Progression steps asked about so far: { covered, missing, score, next }
+  coverage(intents) {
+    const asked = new Set(intents.map((entry) => (typeof entry === "string" ? entry : entry.intent)));
+    const covered = this.progression.filter((step) => asked.has(step));
+    const missing = this.progression.filter((step) => !asked.has(step));
+    return { covered, missing, score: covered.length / this.progression.length, next: missing[0] || null };
+  }
+
+  // Coverage in the stage guidance's wording
+  describeCoverage(intents) {
+    const { covered, missing, score, next } = this.coverage(intents);
+    return {
+      asked: intents.length > 0,
+      score: `${covered.length}/${this.progression.length}`,
+      complete: score === 1,
+      covered: covered.map((step) => STEP_DESCRIPTIONS[step]).join("; "),
+      missing: missing.map((step) => STEP_DESCRIPTIONS[step]).join("; "),
+      next: next ? STEP_DESCRIPTIONS[next] : ""
+    };
+  }
+}
+
+export function createQuestionIntentTracker(questionIntentConfig) {
+  return new QuestionIntentTracker(questionIntentConfig);
+}
+
+// Export singleton instance built from the study config
+export const questionIntentTracker = createQuestionIntentTracker(getStudyConfig().questionIntents);
@@ -0,0 +1,88 @@
+// backend/src/utils/recap.js
+// Recap confirmation state for /chat router conversations. Before a conversation can end on
+// its own, the participant is shown a bullet recap and either confirms it or corrects it; each
+// correction produces a new revision. Stored on the conversation state as state.recap:
+//   { status: "pending" | "confirmed" | "unconfirmed", bullets, revisions, proposedAt, confirmedAt }
+// where each revision is { bullets, source, proposedAt, correction, correctedAt }.
+
+const BULLET_PATTERN = /^\s*(?:[•*-]|\d+[.)])\s+(.+)$/;
+
+// Replies that accept the recap as it stands. The whole reply must be a confirmation: an
+// optional "yes"/"ok" and an optional closing phrase, so "yes, but it was my sister" or
+// "nothing about that is right" are corrections
+const CONFIRMATION_LEAD = "(?:yes|yeah|yep|yup|ok(?:ay)?|sure|confirm(?:ed)?|correct|exactly|perfect|accurate|great)";
+const CONFIRMATION_CLOSING = "(?:that(?:'?s| is) (?:right|correct|accurate|it|fine|all)|(?:it )?looks (?:good|right)(?: to me)?|sounds (?:good|right)|all good|it does|it is|that captures it|no changes?|nothing(?: else| more)?(?: to (?:add|change))?|thanks|thank you)";
+const CONFIRMATION_PATTERN = new RegExp(`^(?=\\S)(?:${CONFIRMATION_LEAD} ?)*(?:${CONFIRMATION_CLOSING} ?)*$`);
+// Negations and correction markers; "no changes" is a confirmation, so it is removed first
+const CORRECTION_WORDS = /\b(?:not|no|but|though|although|however|except|also|actually|instead|missed|missing|off|wrong|isn'?t|wasn'?t|didn'?t|don'?t)\b/;
+
+// Bullet lines of a recap reply, without their bullet characters
+export function extractRecapBullets(text = "") {
+  return text
+    .split("\n")
+    .map(line => line.match(BULLET_PATTERN)?.[1]?.trim())
+    .filter(Boolean);
+}
+
+// Whether a reply shows a recap (at least two bullet points). Only replies that were asked to
+// be a recap are checked; stored recaps carry a `recap` flag instead.
+export function isRecapReply(text = "") {
+  return extractRecapBullets(text).length >= 2;
+}
+
+export function isRecapConfirmation(text = "") {
+  if (text.includes("?")) return false;
+  const normalized = text.toLowerCase().replace(/[’‘]/g, "'").replace(/[^\w\s']/g, " ").replace(/\s+/g, " ").trim();
+  return normalized.split(" ").length <= 8 &&
+    CONFIRMATION_PATTERN.test(normalized) &&
+    !CORRECTION_WORDS.test(normalized.replace(/\bno changes?\b/g, ""));
+}
+
+export function isRecapPending(state) {
+  return state?.recap?.status === "pending";
+}
+
+// Record a newly shown recap (first proposal or a revision after a correction)
+export function proposeRecap(state, bullets, source) {
+  const now = new Date().toISOString();
+  const recap = state.recap || { status: "pending", bullets: [], revisions: [], proposedAt: now, confirmedAt: null };
+  recap.status = "pending";
+  recap.bullets = bullets;
+  recap.revisions = [...recap.revisions, { bullets, source, proposedAt: now, correction: null, correctedAt: null }];
+  state.recap = recap;
+  return recap;
+}
+
+// Attach the participant's correction to the revision it responds to
+export function recordRecapCorrection(state, correction) {
+  const revision = state.recap.revisions[state.recap.revisions.length - 1];
+  revision.correction = correction;
+  revision.correctedAt = new Date().toISOString();
+}
+
+export function confirmRecap(state) {
+  state.recap.status = "confirmed";
+  state.recap.confirmedAt = new Date().toISOString();
+}
+
+// The conversation ended (time limit, or the participant asked to stop) while the recap was
+// still awaiting confirmation
+export function markRecapUnconfirmed(state) {
+  if (isRecapPending(state)) {
+    state.recap.status = "unconfirmed";
+  }
+}
+
+// `noted` is for a correction that could not be applied to the bullets
+export function formatRecapMessage(bullets, { revised = false, noted = false } = {}) {
+  const intro = revised
+    ? "Thanks for clarifying. Here's the updated recap of your story:"
+    : noted
+      ? "Thanks, I've noted your correction. Here's the recap of your story so far:"
+      : "Before we finish, here's a recap of the key themes you shared:";
+  return `${intro}
+
+${bullets.map(bullet => `• ${bullet}`).join("\n\n")}
+
+Does this capture your story? Reply "confirm" if it does, or tell me what to change.`;
+}
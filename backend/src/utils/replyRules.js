@@ -0,0 +1,130 @@
+// backend/src/utils/replyRules.js
+// Post-generation checks for the rules the system prompt gives the interviewer, from the study
+// config's "replyRules" section. Each rule is { id, type, enabled, ...settings }:
+//   "wordCount"      - the reply has between min and max words
+//   "questionCount"  - the reply asks between min and max questions
+//   "bannedPhrases"  - none of the phrases appear (case-insensitive)
+//   "markerFragment" - no visible piece of the completion marker is left once the exact marker
+//                      is removed (e.g. "##INTERVIEW_COMPLET" or "INTERVIEW_COMPLETE##")
+// The router checks every interviewer reply, asks the model for up to maxRewrites rewrites
+// when a rule is broken, and stores the violations on the message.
+import { getStudyConfig } from "./studyConfig.js";
+
+const COMPLETION_MARKER = "##INTERVIEW_COMPLETE##";
+// "##" runs, or INTERVIEW_/_COMPLETE words, left over from a truncated or mangled marker
+const MARKER_FRAGMENT_PATTERN = /#{2,}\w*#*|\bINTERVIEW_\w*#*|\w*_COMPLETE\b#*/g;
+
+function wordCount(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+function questionCount(text) {
+  return (text.match(/\?/g) || []).length;
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function describeRange(min, max, unit) {
+  if (min === max) return `exactly ${min} ${unit}`;
+  if (max === undefined || max === null) return `at least ${min} ${unit}`;
+  return `${min ?? 0}–${max} ${unit}`;
+}
+
+// One checker per rule type: validate(rule) returns its config errors, check(reply, rule)
+// returns the violation detail or null
+const RULE_TYPES = {
+  wordCount: {
+    validate: (rule) => Number.isInteger(rule.min) && Number.isInteger(rule.max) && rule.min <= rule.max
+      ? [] : ["needs integer min and max with min <= max"],
+    check: (reply, rule) => {
+      const count = wordCount(reply);
+      return count < rule.min || count > rule.max
+        ? { reason: `It is ${count} words long; replies must be ${describeRange(rule.min, rule.max, "words")}.`, value: count }
+        : null;
+    }
+  },
+  questionCount: {
+    validate: (rule) => Number.isInteger(rule.min) && (rule.max === undefined || (Number.isInteger(rule.max) && rule.min <= rule.max))
+      ? [] : ["needs an integer min (and an integer max >= min if set)"],
+    check: (reply, rule) => {
+      const count = questionCount(reply);
+      return count < rule.min || (rule.max !== undefined && count > rule.max)
+        ? { reason: `It asks ${count} questions; replies must ask ${describeRange(rule.min, rule.max, rule.max === 1 ? "question" : "questions")}.`, value: count }
+        : null;
+    }
+  },
+  bannedPhrases: {
+    validate: (rule) => Array.isArray(rule.phrases) && rule.phrases.length > 0 && rule.phrases.every((phrase) => typeof phrase === "string" && phrase.trim())
+      ? [] : ["needs a non-empty phrases list"],
+    check: (reply, rule) => {
+      const found = rule.phrases.filter((phrase) => new RegExp(`\\b${escapeRegex(phrase.trim())}\\b`, "i").test(reply.replace(/[’‘]/g, "'")));
+      return found.length
+        ? { reason: `It uses the validation phrase${found.length > 1 ? "s" : ""} ${found.map((phrase) => `"${phrase}"`).join(", ")}. Respond to what they said without stock validation.`, value: found }
+        : null;
+    }
+  },
+  markerFragment: {
+    validate: () => [],
+    check: (reply) => {
+      const fragments = reply.replace(COMPLETION_MARKER, "").match(MARKER_FRAGMENT_PATTERN);
+      return fragments
+        ? { reason: `It contains part of the completion marker (${fragments.map((fragment) => `"${fragment.trim()}"`).join(", ")}), which the participant would see.`, value: fragments.map((fragment) => fragment.trim()) }
+        : null;
+    }
+  }
+};
+
+class ReplyRuleChecker {
+  constructor(replyRulesConfig = {}) {
+    this.maxRewrites = replyRulesConfig.maxRewrites ?? 1;
+    this.rules = (replyRulesConfig.rules || []).map((rule) => ({ enabled: true, ...rule }));
+
+    const errors = [];
+    if (!Number.isInteger(this.maxRewrites) || this.maxRewrites < 0) errors.push("maxRewrites must be a non-negative integer");
+    const ids = new Set();
+    for (const [index, rule] of this.rules.entries()) {
+      const label = rule.id ? `rule "${rule.id}"` : `rules[${index}]`;
+      if (!rule.id || ids.has(rule.id)) errors.push(`${label} needs a unique id`);
+      ids.add(rule.id);
+      if (!RULE_TYPES[rule.type]) {
+        errors.push(`${label} has unknown type "${rule.type}"`);
+        continue;
+      }
+      errors.push(...RULE_TYPES[rule.type].validate(rule).map((error) => `${label} ${error}`));
+    }
+    if (errors.length > 0) {
+      throw new Error(`Invalid reply rules: ${errors.join("; ")}`);
+    }
+  }
+
+  // Every enabled rule the reply breaks, as { ruleId, type, reason, value }
+  check(reply) {
+    const text = reply || "";
+    return this.rules
+      .filter((rule) => rule.enabled)
+      .map((rule) => {
+        const violation = RULE_TYPES[rule.type].check(text, rule);
+        return violation && { ruleId: rule.id, type: rule.type, ...violation };
+      })
+      .filter(Boolean);
+  }
+
+  // Rejection reason for the rewrite request: the reasons of every broken rule
+  describe(violations) {
+    return violations.map((violation) => violation.reason).join(" ");
+  }
+
+  // Remove leftover completion marker fragments, the one rule that can be fixed without the
+  // model; used when the rewrites run out
+  stripMarkerFragments(reply) {
+    return reply.replace(MARKER_FRAGMENT_PATTERN, " ").replace(/[ \t]{2,}/g, " ").trim();
+  }
+}
+
+export function createReplyRuleChecker(replyRulesConfig) {
+  return new ReplyRuleChecker(replyRulesConfig);
+}
+
+export const replyRuleChecker = createReplyRuleChecker(getStudyConfig().replyRules);
@@ -0,0 +1,66 @@
+// backend/src/utils/responseSignals.js
+// Classification of participant turns into minimal responses and exhaustion signals, shared by
+// the /chat router and ConversationStateManager so a live conversation and one rebuilt from its
+// stored messages get the same counters (and so the same stage from the stage engine).
+
+// Whether a stored message is a participant's interview answer. Recap replies and termination
+// requests are flagged on the message; quick updates ("update: ...") are never stored.
+export function isInterviewTurn(msg) {
+  return msg.role === 'user' && !msg.recapReply && !msg.terminationRequest;
+}
+
+export function isMinimalResponse(userText) {
+  const text = userText.trim().toLowerCase();
+  const wordCount = text.split(/\s+/).length;
+
+  // Only treat responses as minimal if they're very short AND lack substance
+  // Don't penalize normal conversational responses like "no" or "yes" unless they're truly minimal
+  const minimalPatterns = [
+    /^(that's all|nothing else|no more|can't think of anything)$/i,
+    /^(i've said everything|that's it|finished|done)$/i,
+    /^(don't know|dunno)$/i
+  ];
+
+  // Much stricter criteria: only 1-2 word responses that are clearly minimal
+  return (wordCount <= 2 && minimalPatterns.some(pattern => pattern.test(text))) ||
+         wordCount === 1;
+}
+
+export function isExhaustionSignal(userText) {
+  const text = userText.trim().toLowerCase();
+  const exhaustionPatterns = [
+    /that's all i've got/i,
+    /nothing else to say/i,
+    /can't think of anything/i,
+    /i've said everything/i,
+    /that's about it/i,
+    /that's all/i,
+    /nothing more/i,
+    /^finish$/i,
+    /^done$/i,
+    /^finished$/i,
+    /wrap up/i,
+    /end this/i
+  ];
+
+  // Don't treat simple "no" or "nah" as exhaustion - these are normal conversation responses
+  return exhaustionPatterns.some(pattern => pattern.test(text));
+}
+
+// Update the response counters for one participant turn: minimal and substantive responses
+// count consecutive turns, and exhaustion signals decay by one on every other turn
+export function recordResponseSignals(state, userText) {
+  if (isMinimalResponse(userText)) {
+    state.minimalResponseCount++;
+    state.substantiveResponseCount = 0;
+  } else {
+    state.substantiveResponseCount++;
+    state.minimalResponseCount = 0;
+  }
+
+  if (isExhaustionSignal(userText)) {
+    state.exhaustionSignals++;
+  } else {
+    state.exhaustionSignals = Math.max(0, state.exhaustionSignals - 1);
+  }
+}
@@ -0,0 +1,99 @@
+// backend/src/utils/similarity.js
+// Local text similarity for repetition detection, without external dependencies. Texts become
+// TF-IDF vectors of character n-grams (or of words, with "similarity.features": "words") with the
+// IDF taken over the text and the history it is compared against, and are compared by cosine
+// similarity. The study config's "similarity" section sets the features and the thresholds:
+//   userRepetition: a participant answer that repeats one of their earlier answers
+//   botRepetition:  an interviewer reply that repeats one of the earlier replies
+// Texts shorter than a check's minWords are never flagged, so "yes" twice is not a repetition.
+import { getStudyConfig } from "./studyConfig.js";
+
+const FEATURE_TYPES = ["charNgrams", "words"];
+
+const STOP_WORDS = new Set(["a", "an", "and", "the", "i", "it", "to", "of", "in", "on", "at", "is", "was", "that", "this", "my", "me", "you", "your", "so", "um", "umm", "uh", "like", "just", "really", "yeah"]);
+
+export function normalizeForSimilarity(text) {
+  return (text || "").toLowerCase().replace(/[^\w\s']/g, " ").replace(/\s+/g, " ").trim();
+}
+
+function contentWords(text) {
+  return normalizeForSimilarity(text).split(" ").filter((word) => word && !STOP_WORDS.has(word));
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (const [term, weight] of a) {
+    normA += weight * weight;
+    if (b.has(term)) dot += weight * b.get(term);
+  }
+  for (const weight of b.values()) normB += weight * weight;
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+class SimilarityEngine {
+  constructor(similarityConfig = {}) {
+    this.features = similarityConfig.features ?? "charNgrams";
+    this.ngramSize = similarityConfig.ngramSize ?? 3;
+    this.userRepetition = { threshold: 0.6, minWords: 4, ...similarityConfig.userRepetition };
+    this.botRepetition = { threshold: 0.6, minWords: 4, ...similarityConfig.botRepetition };
+
+    const errors = [];
+    if (!FEATURE_TYPES.includes(this.features)) errors.push(`features must be one of ${FEATURE_TYPES.join(", ")}`);
+    if (!Number.isInteger(this.ngramSize) || this.ngramSize < 2) errors.push("ngramSize must be an integer >= 2");
+    for (const [name, check] of [["userRepetition", this.userRepetition], ["botRepetition", this.botRepetition]]) {
+      if (typeof check.threshold !== "number" || check.threshold <= 0 || check.threshold > 1) errors.push(`${name}.threshold must be a number in (0, 1]`);
+      if (!Number.isInteger(check.minWords) || check.minWords < 1) errors.push(`${name}.minWords must be a positive integer`);
+    }
+    if (errors.length > 0) {
+      throw new Error(`Invalid similarity settings: ${errors.join("; ")}`);
+    }
+  }
+
+  // Term counts of a text: character n-grams within and across its content words, or the words
+  terms(text) {
+    const words = contentWords(text);
+    const counts = new Map();
+    const add = (term) => counts.set(term, (counts.get(term) || 0) + 1);
+    if (this.features === "words") {
+      words.forEach(add);
+    } else {
+      const padded = ` ${words.join(" ")} `;
+      for (let i = 0; i + this.ngramSize <= padded.length; i++) add(padded.slice(i, i + this.ngramSize));
+    }
+    return counts;
+  }
+
+  // Cosine similarity of the text to each history text, with IDF over all of them:
+  // { scores, maxScore, index } where index is the most similar history entry (-1 if none)
+  score(text, history) {
+    const documents = [text, ...history].map((entry) => this.terms(entry));
+    const documentFrequency = new Map();
+    for (const counts of documents) {
+      for (const term of counts.keys()) documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+    const vectors = documents.map((counts) => new Map([...counts].map(([term, count]) => [
+      term,
+      count * (Math.log((1 + documents.length) / (1 + documentFrequency.get(term))) + 1)
+    ])));
+    const scores = vectors.slice(1).map((vector) => Math.round(cosine(vectors[0], vector) * 1000) / 1000);
+    const maxScore = scores.length ? Math.max(...scores) : 0;
+    return { scores, maxScore, index: scores.indexOf(maxScore) };
+  }
+
+  // { repeated, score, index } for a text against earlier texts, using the named check's settings
+  check(text, history, checkName) {
+    const { threshold, minWords } = this[checkName];
+    if (contentWords(text).length < minWords || history.length === 0) return { repeated: false, score: 0, index: -1 };
+    const { maxScore, index } = this.score(text, history);
+    return { repeated: maxScore >= threshold, score: maxScore, index };
+  }
+}
+
+export function createSimilarityEngine(similarityConfig) {
+  return new SimilarityEngine(similarityConfig);
+}
+
+// Export singleton instance built from the study config
+export const similarityEngine = createSimilarityEngine(getStudyConfig().similarity);
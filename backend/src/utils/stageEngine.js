@@ -0,0 +1,109 @@
+// backend/src/utils/stageEngine.js
+// Single stage state machine (exploration -> elaboration -> recap -> complete) shared by
+// the /chat router and ConversationStateManager. Stages, thresholds and transition
+// conditions come from the study config's "stageMachine" section.
+import { getStudyConfig } from "./studyConfig.js";
+
+const COMPARATORS = {
+  ">=": (a, b) => a >= b,
+  ">": (a, b) => a > b,
+  "<=": (a, b) => a <= b,
+  "<": (a, b) => a < b,
+  "==": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+};
+
+// Evaluate a condition tree: { all: [...] }, { any: [...] } or { field, op, value }
+export function evaluateCondition(condition, state) {
+  if (!condition) return false;
+  if (Array.isArray(condition.all)) {
+    return condition.all.every((child) => evaluateCondition(child, state));
+  }
+  if (Array.isArray(condition.any)) {
+    return condition.any.some((child) => evaluateCondition(child, state));
+  }
+
+  const compare = COMPARATORS[condition.op];
+  if (!compare) {
+    throw new Error(`Unknown stage condition operator: ${condition.op}`);
+  }
+  return compare(state?.[condition.field], condition.value);
+}
+
+class StageEngine {
+  constructor(stageConfig) {
+    if (!stageConfig || !Array.isArray(stageConfig.stages) || stageConfig.stages.length === 0) {
+      throw new Error("Study config is missing stageMachine.stages");
+    }
+
+    this.stages = stageConfig.stages;
+    this.initialStage = stageConfig.initialStage || this.stages[0];
+    this.transitions = stageConfig.transitions || [];
+    this.summaryTrigger = stageConfig.summaryTrigger || null;
+
+    for (const transition of this.transitions) {
+      if (!this.stages.includes(transition.from) || !this.stages.includes(transition.to)) {
+        throw new Error(`Stage transition ${transition.from} -> ${transition.to} references an unknown stage`);
+      }
+    }
+  }
+
+  // First enabled transition out of the current stage whose condition holds
+  findTransition(state) {
+    return this.transitions.find((transition) =>
+      transition.enabled !== false &&
+      transition.from === state.stage &&
+      evaluateCondition(transition.when, state)
+    ) || null;
+  }
+
+  // Whether the state would move from `from` to `to` on this turn
+  canTransition(state, from, to) {
+    if (state.stage !== from) return false;
+    return this.transitions.some((transition) =>
+      transition.enabled !== false &&
+      transition.from === from &&
+      transition.to === to &&
+      evaluateCondition(transition.when, state)
+    );
+  }
+
+  shouldTriggerSummary(state) {
+    if (!this.summaryTrigger || this.summaryTrigger.enabled === false) return false;
+    return evaluateCondition(this.summaryTrigger.when, state);
+  }
+
+  // Move to a stage and record the turn number and reason on state.stageTransitions
+  transitionTo(state, to, reason) {
+    if (!this.stages.includes(to)) {
+      throw new Error(`Unknown stage: ${to}`);
+    }
+    if (state.stage === to) return null;
+
+    const entry = {
+      from: state.stage,
+      to,
+      turn: state.turnCount,
+      reason,
+      at: new Date().toISOString(),
+    };
+    state.stage = to;
+    state.stageTransitions = [...(state.stageTransitions || []), entry];
+    console.log(`🔄 Stage transition ${entry.from} -> ${entry.to} at turn ${entry.turn} (${reason})`);
+    return entry;
+  }
+
+  // Apply at most one automatic transition per turn, mirroring the previous if/else-if chain
+  advance(state) {
+    const transition = this.findTransition(state);
+    if (!transition) return null;
+    return this.transitionTo(state, transition.to, transition.reason);
+  }
+}
+
+export function createStageEngine(stageConfig) {
+  return new StageEngine(stageConfig);
+}
+
+// Export singleton instance built from the study config
+export const stageEngine = createStageEngine(getStudyConfig().stageMachine);
@@ -0,0 +1,33 @@
+// backend/src/utils/studyConfig.js
+import path from "node:path";
+import fs from "node:fs";
+import { fileURLToPath } from "node:url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Each study ships its own JSON config; STUDY_CONFIG_PATH selects a different one
+const DEFAULT_CONFIG_PATH = path.join(__dirname, "..", "config", "study.json");
+
+let cachedConfig = null;
+
+export function getStudyConfigPath() {
+  return process.env.STUDY_CONFIG_PATH
+    ? path.resolve(process.env.STUDY_CONFIG_PATH)
+    : DEFAULT_CONFIG_PATH;
+}
+
+// Load (and cache) the study config; throws if the file is missing or not valid JSON
+export function getStudyConfig() {
+  if (!cachedConfig) {
+    const configPath = getStudyConfigPath();
+    cachedConfig = JSON.parse(fs.readFileSync(configPath, "utf8"));
+    console.log(`✅ Loaded study config ${cachedConfig.studyId || "unnamed"} v${cachedConfig.version || "?"} from ${configPath}`);
+  }
+  return cachedConfig;
+}
+
+// Drop the cached config so the next getStudyConfig() re-reads it
+export function reloadStudyConfig() {
+  cachedConfig = null;
+  return getStudyConfig();
+}
@@ -0,0 +1,172 @@
+// backend/src/utils/summaryService.js
+// One summary service for every end-of-chat path (router, legacy endpoints, validation page).
+// Produces up to five themes, each with the participant turns that support it. The LLM is
+// tried first; if it is unavailable or returns something unusable, a keyword heuristic takes
+// over. The result records which tier produced it:
+//   { themes: [{ text, turns: [1, 3] }], tier: "llm" | "heuristic", generatedAt, telemetry }
+// where telemetry is that of the model call (null when the model was not reached).
+// Turns are 1-based positions among the participant's messages, not counting summary requests.
+
+const MAX_THEMES = 5;
+
+// Keyword themes for the heuristic tier, in the order they are listed
+const HEURISTIC_THEMES = [
+  { text: 'You discussed the role of evidence and research in shaping your views', keywords: ['evidence', 'research', 'study', 'data'] },
+  { text: 'You shared personal experiences that influenced your thinking', keywords: ['experience', 'personal', 'saw', 'noticed', 'felt'] },
+  { text: 'You talked about how other people influenced your perspective', keywords: ['people', 'family', 'friend', 'others'] },
+  { text: 'You mentioned media sources that affected your views', keywords: ['media', 'news', 'article', 'tv'] },
+  { text: 'You described the process of how your beliefs evolved', keywords: ['change', 'shift', 'different', 'realized'] }
+];
+
+const SUMMARY_INSTRUCTIONS = `You summarize research interviews about how a participant's views on climate change changed.
+Identify up to ${MAX_THEMES} key themes in what the PARTICIPANT said. Each theme is one sentence addressed to the participant ("You ...").
+For each theme, list the numbers of the participant turns that support it.
+Respond with JSON only, in this shape: {"themes": [{"text": "You ...", "turns": [1, 2]}]}`;
+
+// Default model call; the router passes its own so calls go through the fixture layer
+async function defaultGenerate(messages, options) {
+  return await global.llm.chat(messages, options);
+}
+
+class SummaryService {
+  constructor(options = {}) {
+    this.maxThemes = options.maxThemes ?? MAX_THEMES;
+    this.purpose = options.purpose ?? 'conversationSummary';
+  }
+
+  // Participant messages worth summarizing, numbered as turns. Summary requests (sent for
+  // the participant by the timer or the summary button) are not things they said.
+  getParticipantTurns(messages = []) {
+    return messages
+      .filter(msg => msg.role === 'user' && !msg.summaryRequest && typeof msg.content === 'string')
+      .map((msg, index) => ({ turn: index + 1, content: msg.content.trim() }))
+      .filter(({ content }) => content.length > 10 && !content.toLowerCase().includes('end the chat'));
+  }
+
+  // Whether the interviewer already gave its own bullet summary in the conversation
+  hasModelSummary(messages = []) {
+    const assistantMessages = messages.filter(msg => msg.role === 'assistant');
+
+    return assistantMessages.slice(-5).some(msg => {
+      const content = (msg.content || '').toLowerCase();
+      // Bullets start a line; hyphens and asterisks inside a sentence don't count
+      const bulletMatches = content.match(/^\s*[•*-]\s/gm);
+      return (bulletMatches && bulletMatches.length >= 2) ||
+        content.includes('summarize') ||
+        content.includes('summary') ||
+        content.includes('key themes') ||
+        content.includes('based on our conversation');
+    });
+  }
+
+  async summarize(messages, { profile = null, generate = defaultGenerate } = {}) {
+    const turns = this.getParticipantTurns(messages);
+    let telemetry = null;
+
+    if (turns.length > 0) {
+      try {
+        const model = await this.summarizeWithModel(turns, generate);
+        telemetry = model.telemetry;
+        if (model.themes.length > 0) {
+          console.log(`📝 Conversation summary from LLM (${model.themes.length} themes)`);
+          return this.buildResult(model.themes, 'llm', telemetry);
+        }
+        console.warn('⚠️ LLM summary was unusable, falling back to heuristic summary');
+      } catch (error) {
+        // A missing replay fixture must fail the run rather than silently change tiers
+        if (error.code === 'LLM_FIXTURE_MISSING') throw error;
+        console.warn('⚠️ LLM summary failed, falling back to heuristic summary:', error.message);
+      }
+    }
+
+    const themes = this.summarizeWithHeuristics(turns, profile);
+    console.log(`📝 Conversation summary from heuristics (${themes.length} themes)`);
+    return this.buildResult(themes, 'heuristic', telemetry);
+  }
+
+  async summarizeWithModel(turns, generate) {
+    const transcript = turns.map(({ turn, content }) => `[${turn}] ${content}`).join('\n');
+    const result = await generate([
+      { role: 'system', content: SUMMARY_INSTRUCTIONS },
+      { role: 'user', content: `Participant turns:\n${transcript}` }
+    ], { purpose: this.purpose });
+
+    return { themes: this.parseModelThemes(result?.content, turns), telemetry: result?.telemetry || null };
+  }
+
+  // Accept the model's JSON (optionally inside a code fence); drop themes without text and
+  // turn numbers that don't exist
+  parseModelThemes(content, turns) {
+    if (typeof content !== 'string') return [];
+    const json = content.replace(/^\s*```(?:json)?/i, '').replace(/```\s*$/, '').trim();
+
+    let parsed;
+    try {
+      parsed = JSON.parse(json);
+    } catch {
+      return [];
+    }
+
+    const validTurns = new Set(turns.map(({ turn }) => turn));
+    const themes = Array.isArray(parsed?.themes) ? parsed.themes : [];
+    return themes
+      .filter(theme => typeof theme?.text === 'string' && theme.text.trim())
+      .map(theme => ({
+        text: theme.text.trim(),
+        turns: (Array.isArray(theme.turns) ? theme.turns : []).map(Number).filter(turn => validTurns.has(turn))
+      }))
+      .slice(0, this.maxThemes);
+  }
+
+  summarizeWithHeuristics(turns, profile) {
+    const themes = [];
+
+    if (profile?.change_description) {
+      themes.push({ text: `You described how your climate change views changed: "${profile.change_description}"`, turns: [] });
+    }
+
+    for (const { text, keywords } of HEURISTIC_THEMES) {
+      const supporting = turns
+        .filter(({ content }) => keywords.some(keyword => content.toLowerCase().includes(keyword)))
+        .map(({ turn }) => turn);
+      if (supporting.length > 0) {
+        themes.push({ text, turns: supporting });
+      }
+    }
+
+    // Always give the validation page at least two points
+    if (themes.length < 2) {
+      themes.push({ text: 'You engaged in a conversation about your climate change belief journey', turns: turns.map(({ turn }) => turn) });
+    }
+    if (themes.length < 2) {
+      themes.push({ text: 'You shared your perspective on what influences belief change', turns: [] });
+    }
+
+    return themes.slice(0, this.maxThemes);
+  }
+
+  buildResult(themes, tier, telemetry = null) {
+    return { themes, tier, generatedAt: new Date().toISOString(), telemetry };
+  }
+
+  // Plain-text form of the themes, one bullet per line, for the participant record and exports
+  formatSummaryText(summary) {
+    return summary.themes.map(theme => `• ${theme.text}`).join('\n');
+  }
+
+  // Closing assistant message for conversations where the interviewer never summarized
+  formatSummaryMessage(summary) {
+    return `Thank you for sharing your story with me. Let me summarize the key themes from our conversation:
+
+${summary.themes.map(theme => `• ${theme.text}`).join('\n\n')}
+
+This covers the main points we discussed about your belief change journey.`;
+  }
+}
+
+export function createSummaryService(options) {
+  return new SummaryService(options);
+}
+
+// Export singleton instance
+export const summaryService = createSummaryService();
@@ -0,0 +1,155 @@
+// backend/src/utils/topicTaxonomy.js
+// Configurable topic lexicon for tagging participant turns. The study config's "topics.path"
+// names a JSON file (relative to the study config) with a version, a minConfidence and a tree of
+// { id, label, terms, children } topics. A turn gets every topic whose terms it mentions, as
+// { id, label, confidence, terms } tags with dotted-path ids (e.g. "extreme_weather.bushfire");
+// a child match also tags its parents. The taxonomy is validated when it is loaded; a reload that
+// fails validation keeps the current one.
+import path from "node:path";
+import fs from "node:fs";
+import { getStudyConfig, getStudyConfigPath } from "./studyConfig.js";
+
+// Label of a turn that matches no topic
+export const GENERAL_TOPIC = "general";
+
+let activeTaxonomy = null;
+
+export function getTopicTaxonomyPath() {
+  const taxonomyFile = getStudyConfig().topics?.path || "topic-taxonomy.json";
+  return path.resolve(path.dirname(getStudyConfigPath()), taxonomyFile);
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// "fire*" matches fire, fires and firefighters; other terms match the whole word or phrase
+function compileTerm(term) {
+  const stem = term.endsWith("*") ? term.slice(0, -1) : term;
+  return new RegExp(`\\b${escapeRegex(stem).replace(/\s+/g, "\\s+")}${term.endsWith("*") ? "\\w*" : "\\b"}`, "i");
+}
+
+// Check a parsed taxonomy and compile its terms into a flat list of topics, parents first.
+// Throws an Error whose `errors` lists every problem found.
+export function validateTopicTaxonomy(taxonomy) {
+  const errors = [];
+
+  if (typeof taxonomy?.version !== "string" || !taxonomy.version.trim()) {
+    errors.push("version must be a non-empty string");
+  }
+  const minConfidence = taxonomy?.minConfidence ?? 0.5;
+  if (typeof minConfidence !== "number" || minConfidence < 0 || minConfidence > 1) {
+    errors.push("minConfidence must be a number from 0 to 1");
+  }
+  if (!Array.isArray(taxonomy?.topics) || taxonomy.topics.length === 0) {
+    errors.push("topics must be a non-empty array");
+  }
+
+  const topics = [];
+  const walk = (entries, parentId) => {
+    entries.forEach((topic, index) => {
+      const id = parentId ? `${parentId}.${topic?.id}` : topic?.id;
+      const label = typeof topic?.id === "string" && topic.id ? `topic "${id}"` : `${parentId ? `"${parentId}" children` : "topics"}[${index}]`;
+      if (typeof topic?.id !== "string" || !/^[a-z0-9_]+$/.test(topic.id)) {
+        errors.push(`${label} needs an id of lowercase letters, digits and underscores`);
+      } else if (topics.some((existing) => existing.id === id)) {
+        errors.push(`${label} is defined more than once`);
+      }
+      const children = topic?.children ?? [];
+      if (!Array.isArray(children)) errors.push(`${label}: children must be an array`);
+      const terms = topic?.terms ?? [];
+      if (!Array.isArray(terms) || terms.some((term) => typeof term !== "string" || !term.replace("*", "").trim())) {
+        errors.push(`${label}: terms must be non-empty strings`);
+      } else if (terms.length === 0 && (!Array.isArray(children) || children.length === 0)) {
+        errors.push(`${label} needs terms or children`);
+      }
+      topics.push({
+        id,
+        label: topic?.label || topic?.id,
+        parentId: parentId || null,
+        terms: Array.isArray(terms) ? terms.filter((term) => typeof term === "string" && term.trim()).map((term) => ({ term, regex: compileTerm(term.trim()) })) : []
+      });
+      if (Array.isArray(children)) walk(children, id);
+    });
+  };
+  walk(Array.isArray(taxonomy?.topics) ? taxonomy.topics : [], null);
+
+  if (errors.length > 0) {
+    const error = new Error(`Invalid topic taxonomy: ${errors.join("; ")}`);
+    error.errors = errors;
+    throw error;
+  }
+  return { version: taxonomy.version, minConfidence, topics };
+}
+
+function loadTopicTaxonomy() {
+  const taxonomyPath = getTopicTaxonomyPath();
+  const taxonomy = validateTopicTaxonomy(JSON.parse(fs.readFileSync(taxonomyPath, "utf8")));
+  console.log(`✅ Loaded topic taxonomy v${taxonomy.version} (${taxonomy.topics.length} topics) from ${taxonomyPath}`);
+  return taxonomy;
+}
+
+// Active taxonomy, loaded on first use; throws if the file is missing or invalid
+export function getTopicTaxonomy() {
+  if (!activeTaxonomy) {
+    activeTaxonomy = loadTopicTaxonomy();
+  }
+  return activeTaxonomy;
+}
+
+// Re-read the taxonomy file. The new taxonomy only replaces the active one if it validates.
+export function reloadTopicTaxonomy() {
+  activeTaxonomy = loadTopicTaxonomy();
+  return activeTaxonomy;
+}
+
+// Topic tags of a turn, most confident first. Confidence grows with the number of distinct
+// terms matched in the topic and its children: 1 term 0.5, 2 terms 0.75, 3 terms 0.88.
+export function tagTopics(text, taxonomy = getTopicTaxonomy()) {
+  if (!text) return [];
+  const matched = new Map(taxonomy.topics.map((topic) => [
+    topic.id,
+    topic.terms.filter(({ regex }) => regex.test(text)).map(({ term }) => term)
+  ]));
+  // Children come after their parents, so walk backwards to roll terms up the tree
+  for (const topic of [...taxonomy.topics].reverse()) {
+    if (topic.parentId && matched.get(topic.id).length > 0) {
+      matched.set(topic.parentId, [...new Set([...matched.get(topic.parentId), ...matched.get(topic.id)])]);
+    }
+  }
+  return taxonomy.topics
+    .map((topic) => ({
+      id: topic.id,
+      label: topic.label,
+      confidence: Math.round((1 - 0.5 ** matched.get(topic.id).length) * 100) / 100,
+      terms: matched.get(topic.id)
+    }))
+    .filter((tag) => tag.terms.length > 0 && tag.confidence >= taxonomy.minConfidence)
+    .sort((a, b) => b.confidence - a.confidence || b.id.split(".").length - a.id.split(".").length);
+}
+
+// Most specific tags: those without a tagged child. Topic continuity is judged on these, so
+// moving from bushfires to floods is a new topic although both are extreme weather.
+export function specificTopics(tags) {
+  const ids = tags.map((tag) => tag.id);
+  const specific = ids.filter((id) => !ids.some((other) => other.startsWith(`${id}.`)));
+  return specific.length > 0 ? specific : [GENERAL_TOPIC];
+}
+
+// Tag a user turn and update the topic counters on the conversation state: topicTurnCount keeps
+// counting while the turn shares a specific topic with the previous one. Returns the tags.
+export function updateTopicState(state, userText) {
+  const tags = tagTopics(userText);
+  const current = specificTopics(tags);
+  const previous = state.lastTopics ? specificTopics(state.lastTopics) : [state.lastTopic];
+  if (current.some((id) => previous.includes(id))) {
+    state.topicTurnCount++;
+  } else {
+    state.topicTurnCount = 1;
+  }
+  state.lastTopic = current[0];
+  state.lastTopics = tags;
+  // Track explored topics to prevent repetition
+  current.forEach((id) => state.exploredTopics?.add(id));
+  return tags;
+}
@@ -80,6 +80,8 @@ function transformParticipantData(participant) {
         belief_ai_confidence_slider: safeGet(participant, 'belief_change.ai_confidence_slider'),
         belief_ai_summary_accuracy: safeGet(participant, 'belief_change.ai_summary_accuracy'),
         belief_chatbot_summary: safeGet(participant, 'belief_change.chatbot_summary'),
+        belief_chatbot_summary_tier: safeGet(participant, 'belief_change.chatbot_summary_details.tier'),
+        belief_chatbot_summary_theme_count: safeGet(participant, 'belief_change.chatbot_summary_details.themes.length'),
         belief_chatbot_summary_validation: safeGet(participant, 'belief_change.chatbot_summary_validation'),
         belief_chatbot_summary_bullets: safeGet(participant, 'belief_change.chatbot_summary_bullets'),
         
@@ -263,7 +265,9 @@ function createROptimizedExport() {
                     belief_current_view: "Current view on climate change (text)",
                     belief_elaboration: "Elaboration on belief change (text)",
                     belief_ai_summary: "AI-generated summary of beliefs",
-                    belief_chatbot_summary: "Chatbot summary of conversation",
+                    belief_chatbot_summary: "Chatbot summary of conversation (one bullet per theme)",
+                    belief_chatbot_summary_tier: "How the summary was produced (llm or heuristic)",
+                    belief_chatbot_summary_theme_count: "Number of themes in the chatbot summary",
                     ccs_01_raw: "Climate Change Scale item 1 raw score (1-100)",
                     ccs_mean_scored: "Mean of all scored CCS items",
                     political_economic_issues: "Economic political orientation (1-10)",
@@ -10,6 +10,7 @@ let isInitialized = false;
 const dataDir = path.join(__dirname, 'data');
 const participantsDir = path.join(dataDir, 'participants');
 const conversationsDir = path.join(dataDir, 'conversations');
+const conversationStatesDir = path.join(dataDir, 'conversation-states');
 
 // Initialize Prisma client
 function initializePrisma() {
@@ -130,6 +131,7 @@ function transformPrismaToParticipant(individualDiff) {
         },
         post_chat: raw.post_chat,
         timestamps: raw.timestamps,
+        condition: raw.condition || null,
         // Legacy compatibility
         id: session?.id || individualDiff.sessionId,
         createdAt: session?.createdAt,
@@ -141,6 +143,9 @@ function transformPrismaToSession(session) {
     return {
         id: session.id,
         participantId: session.participantId,
+        condition: session.raw?.condition ?? null,
+        qualityMetrics: session.qualityMetrics ?? session.raw?.qualityMetrics ?? null,
+        openingLine: session.raw?.openingLine ?? null,
         startedAt: session.startedAt,
         endedAt: session.completedAt,
         durationSeconds: session.raw?.durationSeconds,
@@ -159,7 +164,22 @@ function transformPrismaToMessage(message) {
         role: message.role,
         content: message.content,
         message_timestamp: message.timestamp,
-        character_count: message.content ? message.content.length : 0
+        character_count: message.content ? message.content.length : 0,
+        raw_content: message.rawContent ?? null,
+        intervention_type: message.interventionType ?? null,
+        detector_flags: message.detectorFlags ?? null,
+        reply_rules: message.replyRules ?? null,
+        topics: message.topics ?? null,
+        prompt_version: message.promptVersion ?? null,
+        prompt_hash: message.promptHash ?? null,
+        tokens_in: message.tokensIn ?? null,
+        tokens_out: message.tokensOut ?? null,
+        latency_ms: message.latencyMs ?? null,
+        llm_provider: message.provider ?? null,
+        llm_model: message.model ?? null,
+        temperature: message.temperature ?? null,
+        max_tokens: message.maxTokens ?? null,
+        used_fallback: message.usedFallback ?? null
     };
 }
 
@@ -219,7 +239,22 @@ function getMessagesFromFiles() {
                         role: msg.role,
                         content: msg.content,
                         message_timestamp: msg.timestamp,
-                        character_count: msg.content ? msg.content.length : 0
+                        character_count: msg.content ? msg.content.length : 0,
+                        raw_content: msg.rawContent ?? null,
+                        intervention_type: msg.interventionType ?? null,
+                        detector_flags: msg.detectorFlags ?? null,
+                        reply_rules: msg.replyRules ?? null,
+                        topics: msg.topics ?? null,
+                        prompt_version: msg.promptVersion ?? null,
+                        prompt_hash: msg.promptHash ?? null,
+                        tokens_in: msg.telemetry?.promptTokens ?? null,
+                        tokens_out: msg.telemetry?.completionTokens ?? null,
+                        latency_ms: msg.telemetry?.latencyMs ?? null,
+                        llm_provider: msg.telemetry?.provider ?? null,
+                        llm_model: msg.telemetry?.model ?? null,
+                        temperature: msg.telemetry?.temperature ?? null,
+                        max_tokens: msg.telemetry?.max_tokens ?? null,
+                        used_fallback: msg.telemetry?.fallback ?? null
                     });
                 });
             }
@@ -233,6 +268,23 @@ function getMessagesFromFiles() {
     }
 }
 
+function getConversationStatesFromFiles() {
+    try {
+        if (!fs.existsSync(conversationStatesDir)) {
+            return [];
+        }
+        const files = fs.readdirSync(conversationStatesDir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => readJson(path.join(conversationStatesDir, file)))
+            .filter(data => data);
+        console.log(`✅ Retrieved ${files.length} conversation states from files`);
+        return files;
+    } catch (error) {
+        console.error('❌ File fallback failed for conversation states:', error);
+        return [];
+    }
+}
+
 // CRUD Functions using Prisma
 
 // Get all participants
@@ -311,6 +363,67 @@ async function getAllMessages() {
     }
 }
 
+// Get all conversation flow states (stage, counters and metadata such as stageTransitions)
+async function getAllConversationStates() {
+    if (!await isDatabaseAvailable()) {
+        console.log('❌ Database unavailable, using file fallback for conversation states');
+        return getConversationStatesFromFiles();
+    }
+    
+    try {
+        const states = await prisma.conversationState.findMany({
+            orderBy: { createdAt: 'asc' }
+        });
+        
+        console.log(`✅ Retrieved ${states.length} conversation states from Prisma`);
+        return states;
+        
+    } catch (error) {
+        console.error('❌ Prisma conversation states query failed:', error.message);
+        return getConversationStatesFromFiles(); // Fallback to files
+    }
+}
+
+// Stage transition log per conversation, keyed by conversationId
+async function getStageTransitionsByConversation() {
+    const states = await getAllConversationStates();
+    const transitions = {};
+    for (const state of states) {
+        transitions[state.conversationId] = state.metadata?.stageTransitions || [];
+    }
+    return transitions;
+}
+
+// Recap confirmation record per conversation (status, bullets, revisions), keyed by conversationId
+async function getRecapsByConversation() {
+    const states = await getAllConversationStates();
+    const recaps = {};
+    for (const state of states) {
+        recaps[state.conversationId] = state.metadata?.recap || null;
+    }
+    return recaps;
+}
+
+// Question intent of each interviewer reply per conversation, keyed by conversationId
+async function getQuestionIntentsByConversation() {
+    const states = await getAllConversationStates();
+    const intents = {};
+    for (const state of states) {
+        intents[state.conversationId] = state.metadata?.questionIntents || [];
+    }
+    return intents;
+}
+
+// Structured narrative (entities and causal links) per conversation, keyed by conversationId
+async function getNarrativesByConversation() {
+    const states = await getAllConversationStates();
+    const narratives = {};
+    for (const state of states) {
+        narratives[state.conversationId] = state.metadata?.narrativeUnderstanding || null;
+    }
+    return narratives;
+}
+
 // Save participant (backward compatibility)
 async function saveParticipant(data) {
     if (!await isDatabaseAvailable()) {
@@ -330,6 +443,7 @@ async function saveParticipant(data) {
             participantId: data.participant_id,
             startedAt: data.timestamps?.started ? new Date(data.timestamps.started) : new Date(),
             completedAt: data.timestamps?.completed ? new Date(data.timestamps.completed) : null,
+            condition: data.condition?.id || null,
             raw: data
         };
         
@@ -385,7 +499,10 @@ async function saveParticipant(data) {
             // Survey completion tracking
             surveyCompleted: Boolean(data.timestamps?.completed),
             completedAt: data.timestamps?.completed ? new Date(data.timestamps.completed) : null,
-            prolificId: data.prolific_id || null
+            prolificId: data.prolific_id || null,
+            
+            // Experimental condition assigned at survey submission
+            condition: data.condition?.id || null
         };
 
         console.log('💾 Database mapping for participant:', data.participant_id, {
@@ -445,6 +562,7 @@ async function saveSession(data) {
             participantId: data.participantId || data.participant_id,
             startedAt: data.startedAt ? new Date(data.startedAt) : null,
             completedAt: data.endedAt ? new Date(data.endedAt) : null,
+            qualityMetrics: data.qualityMetrics ?? undefined,
             raw: data
         };
         
@@ -480,6 +598,21 @@ async function saveSession(data) {
     }
 }
 
+// Message columns for the LLM telemetry stored on an assistant reply
+function telemetryColumns(telemetry) {
+    if (!telemetry) return {};
+    return {
+        tokensIn: telemetry.promptTokens ?? null,
+        tokensOut: telemetry.completionTokens ?? null,
+        latencyMs: telemetry.latencyMs ?? null,
+        provider: telemetry.provider ?? null,
+        model: telemetry.model ?? null,
+        temperature: telemetry.temperature ?? null,
+        maxTokens: telemetry.max_tokens ?? null,
+        usedFallback: telemetry.fallback ?? null
+    };
+}
+
 // Save messages
 async function saveMessages(sessionId, messages) {
     if (!await isDatabaseAvailable()) {
@@ -502,7 +635,15 @@ async function saveMessages(sessionId, messages) {
                     turn: index,
                     role: msg.role,
                     content: msg.content,
-                    timestamp: msg.timestamp ? new Date(msg.timestamp) : new Date()
+                    timestamp: msg.timestamp ? new Date(msg.timestamp) : new Date(),
+                    rawContent: msg.rawContent ?? null,
+                    interventionType: msg.interventionType ?? null,
+                    detectorFlags: msg.detectorFlags ?? undefined,
+                    replyRules: msg.replyRules ?? undefined,
+                    topics: msg.topics ?? undefined,
+                    promptVersion: msg.promptVersion ?? null,
+                    promptHash: msg.promptHash ?? null,
+                    ...telemetryColumns(msg.telemetry)
                 }
             });
         });
@@ -779,6 +920,13 @@ module.exports = {
     saveMessages,
     getAllMessages,
     
+    // Conversation state functions
+    getAllConversationStates,
+    getStageTransitionsByConversation,
+    getRecapsByConversation,
+    getQuestionIntentsByConversation,
+    getNarrativesByConversation,
+    
     // Utility functions
     getDatabaseStats,
     clearAllData,
@@ -68,6 +68,9 @@ function generateConsolidatedExport() {
                             disqualified: participant.disqualified || false,
                             timestamp_joined: participant.timestamp_joined,
                             
+                            // Experimental condition assigned at survey submission
+                            condition: participant.condition || null,
+                            
                             // Demographics - ensure all fields are captured
                             demographics: {
                                 age: participant.demographics?.age || null,
@@ -84,6 +87,7 @@ function generateConsolidatedExport() {
                                 ai_confidence_slider: participant.belief_change?.ai_confidence_slider || null,
                                 ai_summary_accuracy: participant.belief_change?.ai_summary_accuracy || null,
                                 chatbot_summary: participant.belief_change?.chatbot_summary || null,
+                                chatbot_summary_details: participant.belief_change?.chatbot_summary_details || null,
                                 chatbot_summary_validation: participant.belief_change?.chatbot_summary_validation || null,
                                 chatbot_summary_bullets: participant.belief_change?.chatbot_summary_bullets || null
                             },
@@ -218,11 +222,16 @@ function generateConsolidatedExport() {
                             id: conversations.length + 1,
                             conversation_id: conversation.id,
                             participant_id: conversation.participantId,
+                            condition: conversation.condition || null,
                             started_at: conversation.startedAt,
                             ended_at: conversation.endedAt,
                             duration_seconds: conversation.durationSeconds,
                             message_count: conversation.messages ? conversation.messages.length : 0,
-                            status: conversation.endedAt ? 'completed' : 'active'
+                            status: conversation.endedAt ? 'completed' : 'active',
+                            // Conversation quality metrics stored when the chat finished
+                            quality_metrics: conversation.qualityMetrics || null,
+                            // Generated opening line and the template it replaced
+                            opening_line: conversation.openingLine || null
                         });
                     }
                 }
@@ -61,6 +61,21 @@ function readJson(filePath) {
   }
 }
 
+// Message columns for the LLM telemetry stored on an assistant reply
+function telemetryColumns(telemetry) {
+  if (!telemetry) return {};
+  return {
+    tokensIn: telemetry.promptTokens ?? null,
+    tokensOut: telemetry.completionTokens ?? null,
+    latencyMs: telemetry.latencyMs ?? null,
+    provider: telemetry.provider ?? null,
+    model: telemetry.model ?? null,
+    temperature: telemetry.temperature ?? null,
+    maxTokens: telemetry.max_tokens ?? null,
+    usedFallback: telemetry.fallback ?? null
+  };
+}
+
 // Data access layer
 class DataAccess {
   constructor() {
@@ -95,6 +110,8 @@ class DataAccess {
             participantId: sessionData.participantId,
             startedAt: sessionData.startedAt ? new Date(sessionData.startedAt) : null,
             completedAt: sessionData.endedAt ? new Date(sessionData.endedAt) : null,
+            condition: sessionData.condition ?? null,
+            qualityMetrics: sessionData.qualityMetrics ?? undefined,
             raw: sessionData,
             updatedAt: new Date()
           },
@@ -103,6 +120,8 @@ class DataAccess {
             participantId: sessionData.participantId,
             startedAt: sessionData.startedAt ? new Date(sessionData.startedAt) : null,
             completedAt: sessionData.endedAt ? new Date(sessionData.endedAt) : null,
+            condition: sessionData.condition ?? null,
+            qualityMetrics: sessionData.qualityMetrics ?? undefined,
             raw: sessionData
           }
         });
@@ -121,7 +140,15 @@ class DataAccess {
             turn: index,
             role: msg.role,
             content: msg.content,
-            timestamp: msg.timestamp ? new Date(msg.timestamp) : new Date()
+            timestamp: msg.timestamp ? new Date(msg.timestamp) : new Date(),
+            rawContent: msg.rawContent ?? null,
+            interventionType: msg.interventionType ?? null,
+            detectorFlags: msg.detectorFlags ?? undefined,
+            replyRules: msg.replyRules ?? undefined,
+            topics: msg.topics ?? undefined,
+            promptVersion: msg.promptVersion ?? null,
+            promptHash: msg.promptHash ?? null,
+            ...telemetryColumns(msg.telemetry)
           }));
           
           await this.prisma.message.createMany({
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "public"."messages" ADD COLUMN     "detectorFlags" JSONB,
+ADD COLUMN     "interventionType" TEXT,
+ADD COLUMN     "rawContent" TEXT;
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "public"."messages" ADD COLUMN     "latencyMs" INTEGER,
+ADD COLUMN     "maxTokens" INTEGER,
+ADD COLUMN     "model" TEXT,
+ADD COLUMN     "provider" TEXT,
+ADD COLUMN     "temperature" DOUBLE PRECISION,
+ADD COLUMN     "usedFallback" BOOLEAN;
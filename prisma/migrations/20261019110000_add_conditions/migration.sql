@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "public"."individual_differences" ADD COLUMN     "condition" TEXT;
+
+-- AlterTable
+ALTER TABLE "public"."sessions" ADD COLUMN     "condition" TEXT;
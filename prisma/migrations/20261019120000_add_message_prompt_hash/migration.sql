@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "public"."messages" ADD COLUMN     "promptHash" TEXT,
+ADD COLUMN     "promptVersion" TEXT;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."sessions" ADD COLUMN     "qualityMetrics" JSONB;
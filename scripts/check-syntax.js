@@ -0,0 +1,33 @@
+#!/usr/bin/env node
+// Syntax check (node --check) of the server, backend, scripts and root test files. Run by
+// `npm run lint`, which `npm run build` calls before generating the Prisma client.
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+// Not runnable as checked in (saved as UTF-16 with its template literals stripped)
+const SKIPPED = new Set(["export_all.js"]);
+
+// JavaScript files directly in dir, or in all of its subdirectories when recursive
+function listScripts(dir, recursive) {
+  return fs.readdirSync(path.join(ROOT, dir), { withFileTypes: true }).flatMap((entry) => {
+    const relative = path.join(dir, entry.name);
+    if (entry.isDirectory()) return recursive ? listScripts(relative, true) : [];
+    return entry.name.endsWith(".js") ? [relative] : [];
+  });
+}
+
+const files = [...listScripts(".", false), ...listScripts("backend", true), ...listScripts("scripts", true)]
+  .filter((file) => !SKIPPED.has(file));
+const failures = files.filter((file) => {
+  const result = spawnSync(process.execPath, ["--check", path.join(ROOT, file)], { encoding: "utf8" });
+  if (result.status === 0) return false;
+  console.log(`❌ ${file}\n${result.stderr.trimEnd()}`);
+  return true;
+});
+
+console.log(`${files.length - failures.length}/${files.length} files passed the syntax check`);
+if (failures.length > 0) process.exit(1);
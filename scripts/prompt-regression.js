@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+// Replay saved conversations under a candidate prompt version and compare the replies.
+//
+//   node scripts/prompt-regression.js [--prompts <prompts.json>] [--template <name>]
+//                                     [--source files|db] [--limit <n>] [--out <dir>]
+//
+//   --prompts   candidate prompt manifest (default: the one named in the study config)
+//   --template  top-level template to render (default: "default")
+//   --source    "files" reads data/conversations; "db" reads the sessions and messages tables
+//               (falling back to the files when the database is unavailable)
+//   --limit     only replay the first n conversations
+//   --out       report directory (default: data/exports)
+//
+// Every user turn is answered again through the LLM provider layer, so it combines with
+// LLM_FIXTURE_MODE (record/replay) and LLM_PROVIDER=local like scripts/run-transcript.js.
+// Writes a JSON report and a side-by-side Markdown report.
+import fs from "node:fs";
+import path from "node:path";
+import { createRequire } from "node:module";
+import "dotenv/config";
+
+function parseArgs(argv) {
+  const args = { source: "files", template: "default", limit: null, prompts: null, out: path.join("data", "exports") };
+  for (let i = 0; i < argv.length; i += 2) {
+    const [flag, value] = [argv[i], argv[i + 1]];
+    if (!flag.startsWith("--") || value === undefined || !(flag.slice(2) in args)) {
+      console.error(`Unknown or incomplete option: ${flag}`);
+      console.error("Usage: node scripts/prompt-regression.js [--prompts <prompts.json>] [--template <name>] [--source files|db] [--limit <n>] [--out <dir>]");
+      process.exit(1);
+    }
+    args[flag.slice(2)] = value;
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+
+const { profileFromParticipant } = await import("../backend/src/utils/participantProfile.js");
+const { loadPromptTemplates, getPromptManifestPath } = await import("../backend/src/utils/promptTemplates.js");
+const { runPromptRegression, formatRegressionReport } = await import("../backend/src/utils/promptRegression.js");
+const { llm } = await import("../backend/src/utils/llmProviders.js");
+const { withFixtures, getFixtureMode } = await import("../backend/src/utils/llmFixtures.js");
+
+function readJsonFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter((file) => file.endsWith(".json"))
+    .sort()
+    .map((file) => JSON.parse(fs.readFileSync(path.join(dir, file), "utf8")));
+}
+
+// Conversations ({ id, participantId, messages }) and stored participant records by id
+async function loadConversations(source) {
+  if (source === "files") {
+    const participants = readJsonFiles(path.join("data", "participants"));
+    return {
+      conversations: readJsonFiles(path.join("data", "conversations")),
+      participants: new Map(participants.map((p) => [p.participant_id || p.id, p]))
+    };
+  }
+  if (source === "db") {
+    const database = createRequire(import.meta.url)("../database.js");
+    const [sessions, participants] = await Promise.all([database.getAllSessions(), database.getAllParticipants()]);
+    await database.closeDatabase();
+    return {
+      conversations: sessions,
+      participants: new Map(participants.map((p) => [p.participant_id || p.id, p]))
+    };
+  }
+  console.error(`Unknown source "${source}" (use files or db)`);
+  process.exit(1);
+}
+
+const promptTemplates = loadPromptTemplates(args.prompts ? path.resolve(args.prompts) : getPromptManifestPath());
+const { conversations, participants } = await loadConversations(args.source);
+const selected = conversations
+  .filter((conversation) => conversation.messages?.some((msg) => msg.role === "user"))
+  .slice(0, args.limit ? Number(args.limit) : undefined);
+
+console.log(`🔁 Replaying ${selected.length} conversations from ${args.source} under ${args.template} v${promptTemplates.version} (fixtures: ${getFixtureMode() || "off"})`);
+
+const report = await runPromptRegression({
+  conversations: selected,
+  promptTemplates,
+  templateName: args.template,
+  getProfile: async (participantId) => {
+    const participant = participants.get(participantId);
+    return participant ? profileFromParticipant(participant) : null;
+  },
+  generate: (messages) => withFixtures(messages, { purpose: "chat" }, () => llm.complete("chat", messages)),
+  onCase: (result) => console.log(`  ${result.conversationId} turn ${result.turn}: ${result.candidate.metrics.words} words, ${result.candidate.metrics.questions} questions`)
+});
+
+fs.mkdirSync(args.out, { recursive: true });
+const baseName = `prompt-regression-${args.template}-v${promptTemplates.version}-${report.generatedAt.replace(/[:.]/g, "-")}`;
+const jsonPath = path.join(args.out, `${baseName}.json`);
+const markdownPath = path.join(args.out, `${baseName}.md`);
+fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2));
+fs.writeFileSync(markdownPath, formatRegressionReport(report));
+
+const { original, candidate } = report.summary;
+console.log(`\n📊 ${report.cases.length} user turns`);
+console.log(`  Mean words:             ${original.meanWords.toFixed(1)} → ${candidate.meanWords.toFixed(1)}`);
+console.log(`  Mean questions:         ${original.meanQuestions.toFixed(1)} → ${candidate.meanQuestions.toFixed(1)}`);
+console.log(`  Drift hit rate:         ${(original.driftHitRate * 100).toFixed(1)}% → ${(candidate.driftHitRate * 100).toFixed(1)}%`);
+console.log(`  Repeated-question rate: ${(original.repeatedQuestionRate * 100).toFixed(1)}% → ${(candidate.repeatedQuestionRate * 100).toFixed(1)}%`);
+console.log(`\n📝 Reports written to ${jsonPath} and ${markdownPath}`);
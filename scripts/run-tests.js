@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+// Run the /chat router test scripts one after another, each in its own process.
+//
+//   npm test
+//   npm test -- test_recap_confirmation.js test_similarity.js   (only the named scripts)
+//
+// Every script mocks global.db and global.llm, so no database, server or model is needed.
+// A script fails when it exits non-zero (or runs longer than TEST_TIMEOUT_MS); its output is
+// printed only then. The older root-level test_*.js scripts need a database or report known
+// failures, so they are not part of the suite.
+import { spawnSync } from "node:child_process";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const TIMEOUT_MS = Number(process.env.TEST_TIMEOUT_MS) || 120000;
+
+const TESTS = [
+  "test_anti_loop_isolation.js",
+  "test_chat_socket.js",
+  "test_chat_timer.js",
+  "test_conditions.js",
+  "test_conversation_flow_thresholds.js",
+  "test_drift_classifier.js",
+  "test_drift_rules.js",
+  "test_llm_fixtures.js",
+  "test_llm_providers.js",
+  "test_llm_telemetry.js",
+  "test_message_interventions.js",
+  "test_narrative_extraction.js",
+  "test_opening_line.js",
+  "test_prompt_regression.js",
+  "test_prompt_templates.js",
+  "test_quality_metrics.js",
+  "test_question_intents.js",
+  "test_recap_confirmation.js",
+  "test_reply_regeneration.js",
+  "test_reply_rules.js",
+  "test_reply_stream.js",
+  "test_similarity.js",
+  "test_summary_service.js",
+  "test_system_prompt_persistence.js",
+  "test_topic_taxonomy.js"
+];
+
+const selected = process.argv.length > 2 ? process.argv.slice(2).map((file) => path.basename(file)) : TESTS;
+const failures = [];
+
+for (const file of selected) {
+  const startedAt = Date.now();
+  const result = spawnSync(process.execPath, [path.join(ROOT, file)], {
+    cwd: ROOT,
+    encoding: "utf8",
+    timeout: TIMEOUT_MS,
+    maxBuffer: 64 * 1024 * 1024,
+    env: { ...process.env, LLM_FIXTURE_MODE: "" }
+  });
+  const seconds = ((Date.now() - startedAt) / 1000).toFixed(1);
+
+  if (result.status === 0) {
+    console.log(`✅ ${file} (${seconds}s)`);
+    continue;
+  }
+  const reason = result.error?.code === "ETIMEDOUT" ? `timed out after ${TIMEOUT_MS / 1000}s` : `exit code ${result.status ?? result.signal}`;
+  failures.push(file);
+  console.log(`❌ ${file} (${reason})`);
+  console.log(`${result.stdout || ""}${result.stderr || ""}`.trimEnd().split("\n").map((line) => `    ${line}`).join("\n"));
+}
+
+console.log(`\n${selected.length - failures.length}/${selected.length} test scripts passed`);
+if (failures.length > 0) {
+  console.log(`Failed: ${failures.join(", ")}`);
+  process.exit(1);
+}
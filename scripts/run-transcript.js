@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+// Re-run a whole transcript through the /chat router without a server or database.
+//
+//   node scripts/run-transcript.js <transcript.json>
+//
+// The transcript file holds a participant profile and the user turns to send, either as
+// { "profile": {...}, "turns": ["...", ...] } or as a saved conversation with a
+// "messages" array (its user messages are replayed). Combine with LLM_FIXTURE_MODE:
+//   LLM_FIXTURE_MODE=record  - call the configured provider and save fixtures
+//   LLM_FIXTURE_MODE=replay  - serve saved fixtures only, with no network access
+// Conversation state goes to a temporary directory unless CONVERSATION_STATE_DIR is set.
+import fs from "node:fs";
+import path from "node:path";
+import "dotenv/config";
+
+const transcriptPath = process.argv[2];
+if (!transcriptPath) {
+  console.error("Usage: node scripts/run-transcript.js <transcript.json>");
+  process.exit(1);
+}
+
+const transcript = JSON.parse(fs.readFileSync(path.resolve(transcriptPath), "utf8"));
+const userId = transcript.profile?.id || transcript.participantId || "transcript-participant";
+const profile = { id: userId, ...(transcript.profile || {}) };
+const turns = transcript.turns ||
+  (transcript.messages || []).filter((msg) => msg.role === "user").map((msg) => msg.content);
+
+// Keep replayed state out of data/conversation-states
+if (!process.env.CONVERSATION_STATE_DIR) await import("./temp-state-dir.js");
+
+// In-memory stand-ins for the server's global.db and global.llm
+const conversations = new Map();
+global.db = {
+  participants: {
+    getProfile: async () => profile,
+    updateFromConversation: async (conversationId, updates) => Object.assign(profile, updates)
+  },
+  conversations: {
+    save: async (_userId, conversationId, messages) => conversations.set(conversationId, [...messages]),
+    load: async (conversationId) => [...(conversations.get(conversationId) || [])],
+    append: async (conversationId, message) => {
+      conversations.set(conversationId, [...(conversations.get(conversationId) || []), message]);
+    }
+  }
+};
+
+const { llm } = await import("../backend/src/utils/llmProviders.js");
+global.llm = {
+  // params (e.g. from the participant's condition) override the purpose settings, as on the server
+  chat: async (messages, { purpose = "chat", params } = {}) => await llm.complete(purpose, messages, params)
+};
+
+const { startConversation, processReply } = await import("../backend/src/routes/chat.js");
+const { getFixtureMode } = await import("../backend/src/utils/llmFixtures.js");
+
+console.log(`🎬 Running ${turns.length} turns from ${transcriptPath} (fixtures: ${getFixtureMode() || "off"})`);
+
+const { conversationId, messages } = await startConversation({ userId });
+const output = [...messages];
+
+for (const turn of turns) {
+  const payload = await processReply({ body: { conversationId, message: turn, userId } });
+  output.push({ role: "user", content: turn }, { role: "assistant", content: payload.reply });
+  if (payload.sessionEnded) break;
+}
+
+console.log("\n📝 Transcript:");
+for (const message of output) {
+  console.log(`${message.role === "user" ? "USER" : "ASSISTANT"}: ${message.content}`);
+}
@@ -0,0 +1,12 @@
+// Points CONVERSATION_STATE_DIR at a new temporary directory that is removed on exit, so test
+// scripts and offline transcript runs never write to data/conversation-states. Import it before
+// the router (which reads the variable when it saves state):
+//
+//   import './scripts/temp-state-dir.js';
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+export const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), "test-conversation-states-"));
+process.env.CONVERSATION_STATE_DIR = stateDir;
+process.on("exit", () => fs.rmSync(stateDir, { recursive: true, force: true }));
@@ -3,7 +3,7 @@ const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
 const cors = require('cors');
-const OpenAI = require('openai');
+const { Server } = require('socket.io');
 const { dataAccess } = require('./lib/dataAccess');
 const database = require('./database');
 require('dotenv').config();
@@ -92,6 +92,8 @@ const activeConversations = new Map();
 
 // Global database and LLM shims for new chat functionality
 global.db = global.db || {
+  // Shared Prisma client (null without DATABASE_URL) for ConversationStateManager
+  prisma: dataAccess.prisma,
   participants: {
     async getProfile(userId) {
       const filename = path.join(participantsDir, `${userId}.json`);
@@ -99,55 +101,8 @@ global.db = global.db || {
       if (!participant) return null;
       
       // Map existing fields to expected structure for chat system
-      const hasChangedMind = participant.belief_change?.has_changed_mind;
-      const viewsChanged = hasChangedMind ? 'Yes' : (hasChangedMind === false ? 'No' : 'unspecified');
-      
-      // Map the specific belief change direction from survey
-      const mindChangeDirection = participant.belief_change?.mind_change_direction;
-      const mindChangeOtherText = participant.belief_change?.mind_change_other_text;
-      
-      // Convert the direction code to a descriptive text for the system prompt
-      let changeDescription = null;
-      if (mindChangeDirection) {
-        switch (mindChangeDirection) {
-          case 'exists_to_not_exists':
-            changeDescription = 'From thinking climate change exists, to thinking climate change does not exist';
-            break;
-          case 'not_exists_to_exists':
-            changeDescription = 'From thinking climate change does not exist, to thinking climate change exists';
-            break;
-          case 'not_urgent_to_urgent':
-            changeDescription = 'From thinking climate change is not an urgent crisis, to thinking climate change is an urgent crisis';
-            break;
-          case 'urgent_to_not_urgent':
-            changeDescription = 'From thinking climate change is an urgent crisis, to thinking climate change is not an urgent crisis';
-            break;
-          case 'human_to_natural':
-            changeDescription = 'From thinking climate change is primarily caused by human activity, to thinking climate change is a largely natural process';
-            break;
-          case 'natural_to_human':
-            changeDescription = 'From thinking climate change is a largely natural process, to thinking climate change is primarily caused by human activity';
-            break;
-          case 'other':
-            changeDescription = mindChangeOtherText || 'Other belief change (details provided by participant)';
-            break;
-          default:
-            changeDescription = null;
-        }
-      }
-      
-      return {
-        views_changed: viewsChanged,
-        change_description: changeDescription,
-        change_confidence: null, // Not collected in current survey flow
-        mind_change_direction: mindChangeDirection,
-        mind_change_other_text: mindChangeOtherText,
-        prior_belief_cc_happening: null,
-        prior_belief_human_cause: "unspecified",
-        current_belief_cc_happening: null,
-        current_belief_human_cause: "unspecified",
-        changed_belief_flag: hasChangedMind === true
-      };
+      const { profileFromParticipant } = await import('./backend/src/utils/participantProfile.js');
+      return profileFromParticipant(participant);
     },
     async updateFromConversation(conversationId, updates) {
       const filename = path.join(conversationsDir, `${conversationId}.json`);
@@ -162,13 +117,27 @@ global.db = global.db || {
       Object.assign(participant, updates);
       participant.updatedAt = new Date().toISOString();
       writeJson(participantFile, participant);
+    },
+    // End-of-chat summary ({ themes, tier, generatedAt, telemetry }); the validation page reads its themes
+    async saveConversationSummary(userId, summary) {
+      const participantFile = path.join(participantsDir, `${userId}.json`);
+      const participant = readJson(participantFile);
+      if (!participant) return;
+      
+      participant.belief_change = { ...participant.belief_change, ...await chatbotSummaryFields(summary) };
+      participant.updatedAt = new Date().toISOString();
+      await database.saveParticipant(participant);
     }
   },
   conversations: {
-    async save(userId, conversationId, messages) {
+    // metadata.condition: experimental condition id the conversation runs under
+    // metadata.openingLine: how the opening line was chosen (see openingLine.js)
+    async save(userId, conversationId, messages, metadata = {}) {
       const conversationData = {
         id: conversationId,
         participantId: userId,
+        condition: metadata.condition ?? null,
+        openingLine: metadata.openingLine ?? null,
         startedAt: new Date().toISOString(),
         endedAt: null,
         durationSeconds: null,
@@ -194,29 +163,93 @@ global.db = global.db || {
       // Update with data access layer
       const updatedConversation = { ...c, messages: newMsgs };
       await dataAccess.saveSession(updatedConversation);
+    },
+    // Quality metrics computed when the conversation finished (see qualityMetrics.js)
+    async saveQualityMetrics(conversationId, metrics) {
+      const filename = path.join(conversationsDir, `${conversationId}.json`);
+      const c = readJson(filename);
+      if (!c) return;
+      
+      await dataAccess.saveSession({ ...c, qualityMetrics: metrics });
     }
   }
 };
 
+// LLM provider registry (OpenAI, OpenRouter, local OpenAI-compatible, scripted) lives in
+// an ES module; load it once on first use
+let llmClientPromise = null;
+function getLLMClient() {
+  if (!llmClientPromise) {
+    llmClientPromise = import('./backend/src/utils/llmProviders.js').then(module => module.llm);
+  }
+  return llmClientPromise;
+}
+
+// Shared end-of-chat summary service (LLM first, heuristic fallback)
+let summaryServicePromise = null;
+function getSummaryService() {
+  if (!summaryServicePromise) {
+    summaryServicePromise = import('./backend/src/utils/summaryService.js').then(module => module.summaryService);
+  }
+  return summaryServicePromise;
+}
+
+// Participant fields for an end-of-chat summary: chatbot_summary stays the plain text the
+// exports expect, and the themes, tier and telemetry go in chatbot_summary_details
+async function chatbotSummaryFields(summary) {
+  const summaryService = await getSummaryService();
+  const { themes, tier, generatedAt, telemetry } = summary;
+  return {
+    chatbot_summary: summaryService.formatSummaryText(summary),
+    chatbot_summary_details: { themes, tier, generatedAt, telemetry: telemetry ?? null }
+  };
+}
+
+const LLM_UNCONFIGURED_REPLY = "I'm here to help you explore your thoughts about climate change. Could you tell me more about your perspective?";
+
 global.llm = global.llm || {
-  async chat(messages) {
-    // Use existing OpenAI integration
-    if (!process.env.OPENAI_API_KEY) {
-      return { content: "I'm here to help you explore your thoughts about climate change. Could you tell me more about your perspective?" };
-    }
-    
+  // purpose selects the model settings from the study config ("chat" or "recap"); params
+  // (e.g. from the participant's experimental condition) override them.
+  // Returns { content, telemetry }; telemetry.fallback marks replies the model did not write.
+  async chat(messages, { purpose = 'chat', params } = {}) {
+    const startedAt = Date.now();
+    let client = null;
     try {
-      const completion = await openai.chat.completions.create({
-        model: "gpt-4o-mini",
-        messages: messages,
-        max_tokens: 150,
-        temperature: 0.7
-      });
+      client = await getLLMClient();
+      if (!client.isConfigured(purpose)) {
+        return { content: LLM_UNCONFIGURED_REPLY, telemetry: client.describeFallback(purpose, startedAt, params) };
+      }
       
-      return { content: completion.choices[0]?.message?.content?.trim() || "Could you tell me more about your thoughts?" };
+      const result = await client.complete(purpose, messages, params);
+      if (!result.content) {
+        return { content: "Could you tell me more about your thoughts?", telemetry: { ...result.telemetry, fallback: true } };
+      }
+      return { content: result.content, telemetry: result.telemetry };
     } catch (error) {
       console.error('LLM error:', error);
-      return { content: "Could you tell me more about your thoughts on climate change?" };
+      return { content: "Could you tell me more about your thoughts on climate change?", telemetry: client?.describeFallback(purpose, startedAt, params) || null };
+    }
+  },
+  
+  // Same as chat(), but calls onToken with each text delta as it streams in
+  async chatStream(messages, onToken, { purpose = 'chat', params } = {}) {
+    const startedAt = Date.now();
+    let client = null;
+    try {
+      client = await getLLMClient();
+      if (!client.isConfigured(purpose)) {
+        onToken(LLM_UNCONFIGURED_REPLY);
+        return { content: LLM_UNCONFIGURED_REPLY, telemetry: client.describeFallback(purpose, startedAt, params) };
+      }
+      
+      const result = await client.stream(purpose, messages, onToken, params);
+      if (!result.content) {
+        return { content: "Could you tell me more about your thoughts?", telemetry: { ...result.telemetry, fallback: true } };
+      }
+      return { content: result.content, telemetry: result.telemetry };
+    } catch (error) {
+      console.error('LLM stream error:', error);
+      return { content: "Could you tell me more about your thoughts on climate change?", telemetry: client?.describeFallback(purpose, startedAt, params) || null };
     }
   }
 };
@@ -356,14 +389,20 @@ function readJson(filePath) {
 
         // Get participant profile and use enhanced system prompt
         const profile = await global.db.participants.getProfile(conv.participantId);
-        const { renderSystemPrompt } = await import('./backend/src/utils/systemPrompt.js');
-        const enhancedSystemPrompt = renderSystemPrompt(profile);
-
-        const aiReply = await generateAIResponse(conv.messages, enhancedSystemPrompt);
-        conv.messages.push({ role: "assistant", content: aiReply });
+        const { renderPrompt } = await import('./backend/src/utils/promptTemplates.js');
+        const systemPrompt = renderPrompt('default', { profile });
+
+        const aiReply = await generateAIResponse(conv.messages, systemPrompt.text);
+        conv.messages.push({
+          role: "assistant",
+          content: aiReply.content,
+          promptVersion: systemPrompt.version,
+          promptHash: systemPrompt.hash,
+          telemetry: aiReply.telemetry
+        });
         await dataAccess.saveSession(conv);
 
-        res.json({ reply: aiReply });
+        res.json({ reply: aiReply.content });
       } catch (err) {
         console.error('fallback /chat/reply error', err);
         res.status(500).json({ error: 'Failed to generate reply' });
@@ -581,9 +620,13 @@ app.get('/api/database-stats', logEndpoint, async (req, res) => {
       });
     }
     
+    // Averages of the per-session conversation quality metrics
+    const { summarizeQualityMetrics } = await import('./backend/src/utils/qualityMetrics.js');
+    
     res.json({
       timestamp: new Date().toISOString(),
-      ...stats
+      ...stats,
+      quality_metrics: summarizeQualityMetrics(await database.getAllSessions())
     });
     
   } catch (error) {
@@ -641,6 +684,30 @@ app.get('/debug/data', (req, res) => {
     }
 });
 
+// Participants that already have a condition, loaded from storage on first use and kept up
+// to date in memory so concurrent submissions don't take the same block slot
+let assignedParticipantsPromise = null;
+
+// Condition for a new participant. A resubmission with the same Prolific ID (e.g. after a page
+// reload) keeps its earlier assignment.
+async function assignParticipantCondition(participantData) {
+    const { conditionAssigner } = await import('./backend/src/utils/conditions.js');
+    if (!assignedParticipantsPromise) {
+        assignedParticipantsPromise = database.getAllParticipants()
+            .then(participants => participants.filter(participant => participant?.condition?.id));
+    }
+    const assigned = await assignedParticipantsPromise;
+    
+    const previous = participantData.prolific_id &&
+        assigned.find(participant => participant.prolific_id === participantData.prolific_id);
+    if (previous) {
+        return previous.condition;
+    }
+    const condition = conditionAssigner.assign(participantData, assigned);
+    assigned.push({ participant_id: participantData.participant_id, prolific_id: participantData.prolific_id, condition });
+    return condition;
+}
+
 // Survey submission endpoint
 app.post('/survey/submit', async (req, res) => {
     try {
@@ -859,6 +926,10 @@ app.post('/survey/submit', async (req, res) => {
         
         console.log('DEBUG: Participant data object created');
         
+        // Experimental condition (kept on the participant record for every later session)
+        participantData.condition = await assignParticipantCondition(participantData);
+        console.log(`🎲 Participant ${participantId} assigned to condition ${participantData.condition.id} (stratum ${participantData.condition.stratum})`);
+        
         // Save participant data to file system (always save regardless of eligibility)
         console.log('DEBUG: About to save participant data to files...');
         const filename = path.join(participantsDir, `${participantId}.json`);
@@ -986,9 +1057,10 @@ app.post('/api/generate-summary', async (req, res) => {
         
         console.log('Generating AI summary for text:', combinedText.substring(0, 100) + '...');
         
-        // Check if OpenAI API key is configured
-        if (!process.env.OPENAI_API_KEY) {
-            console.log('OpenAI API key not configured. Using fallback summary.');
+        // Check if the summary provider is configured (e.g. has an API key)
+        const llmClient = await getLLMClient();
+        if (!llmClient.isConfigured('surveySummary')) {
+            console.log('LLM provider not configured. Using fallback summary.');
             const fallbackSummary = generateFallbackSummary(combinedText);
             return res.json({ summary: fallbackSummary });
         }
@@ -1006,24 +1078,19 @@ app.post('/api/generate-summary', async (req, res) => {
                 contentDescription = `text: "${combinedText}"`;
             }
             
-            // Call OpenAI API to generate summary
-            const completion = await openai.chat.completions.create({
-                model: "gpt-4o-mini",
-                messages: [
-                    {
-                        role: "system",
-                        content: "Please provide a neutral summary of the views expressed about climate change. Write it as a direct statement of the views themselves, not as a description of what the participant thinks, feels, or believes. Avoid phrases like 'the participant feels,' 'the participant thinks,' 'the participant believes,' etc. Instead, phrase it as a direct statement of the views expressed. For example, instead of 'The participant feels frustrated that climate change is political,' write 'Climate change is being treated as a political issue.' Keep it accurate and concise. Write exactly one sentence with no preamble, bullet points, or quotation marks."
-                    },
-                    {
-                        role: "user",
-                        content: `${combinedText}`
-                    }
-                ],
-                max_tokens: 100,
-                temperature: 0.1
-            });
+            // Call the LLM provider to generate summary
+            const completion = await llmClient.complete('surveySummary', [
+                {
+                    role: "system",
+                    content: "Please provide a neutral summary of the views expressed about climate change. Write it as a direct statement of the views themselves, not as a description of what the participant thinks, feels, or believes. Avoid phrases like 'the participant feels,' 'the participant thinks,' 'the participant believes,' etc. Instead, phrase it as a direct statement of the views expressed. For example, instead of 'The participant feels frustrated that climate change is political,' write 'Climate change is being treated as a political issue.' Keep it accurate and concise. Write exactly one sentence with no preamble, bullet points, or quotation marks."
+                },
+                {
+                    role: "user",
+                    content: `${combinedText}`
+                }
+            ]);
             
-            const summary = completion.choices[0]?.message?.content?.trim();
+            const summary = completion.content;
             
             if (!summary) {
                 throw new Error('No summary received from OpenAI');
@@ -1112,6 +1179,10 @@ app.post('/api/conversations/start', async (req, res) => {
         const conversationId = uuidv4();
         const now = new Date().toISOString();
         
+        // The participant's experimental condition may set its own chat duration
+        const { conditionAssigner } = await import('./backend/src/utils/conditions.js');
+        const condition = conditionAssigner.getCondition(participant.condition?.id);
+        
         // System prompt for the conversation
         const systemPrompt = `You are an AI assistant facilitating a conversation about climate change. Your role is to engage thoughtfully and ask follow-up questions to help the participant explore their views. Do not try to persuade or change their mind - instead, focus on understanding their perspective and encouraging reflection. Keep responses conversational and under 150 words.`;
         
@@ -1119,6 +1190,7 @@ app.post('/api/conversations/start', async (req, res) => {
         const conversationData = {
             id: conversationId,
             participantId: participantId,
+            condition: condition.id,
             startedAt: now,
             endedAt: null,
             durationSeconds: null,
@@ -1133,7 +1205,8 @@ app.post('/api/conversations/start', async (req, res) => {
         activeConversations.set(conversationId, {
             participantId,
             startedAt: now,
-            lastActivity: now
+            lastActivity: now,
+            durationMs: condition.chatDurationSeconds ? condition.chatDurationSeconds * 1000 : CHAT_DURATION_MS
         });
         
         const requestDuration = Date.now() - requestStart;
@@ -1184,12 +1257,12 @@ app.post('/api/conversations/:id/message', async (req, res) => {
             });
         }
         
-        // Check 5-minute time limit (300 seconds)
+        // Check the time limit (CHAT_DURATION_MS unless the condition sets its own)
         const now = new Date();
         const startTime = new Date(activeConv.startedAt);
         const elapsedSeconds = Math.floor((now - startTime) / 1000);
         
-        if (elapsedSeconds >= (CHAT_DURATION_MS / 1000)) {
+        if (elapsedSeconds >= ((activeConv.durationMs ?? CHAT_DURATION_MS) / 1000)) {
             // End conversation due to time limit
             activeConversations.delete(conversationId);
             return res.status(410).json({
@@ -1221,12 +1294,13 @@ app.post('/api/conversations/:id/message', async (req, res) => {
             // Ensure conversation has a summary before ending
             if (conversationData.participantId) {
                 console.log('⚠️ Early chat end detected in main endpoint, ensuring summary exists');
-                await fallbackEnsureConversationSummary(conversationId, conversationData.participantId);
+                const summary = await fallbackEnsureConversationSummary(conversationId, conversationData.participantId);
                 // Reload conversation data after potential summary addition
                 const updatedConversation = readJson(filename);
                 if (updatedConversation) {
                     conversationData.messages = updatedConversation.messages;
                 }
+                conversationData.summary = summary;
             }
             
             // Add final assistant message
@@ -1263,16 +1337,9 @@ app.post('/api/conversations/:id/message', async (req, res) => {
                         messages: transformedMessages
                     };
                     
-                    // Generate chatbot summary from conversation messages and add to belief_change
-                    if (transformedMessages.length > 0) {
-                        const conversationText = transformedMessages
-                            .filter(msg => msg.sender === 'participant')
-                            .map(msg => msg.text)
-                            .join(' ');
-                        
-                        if (conversationText.trim()) {
-                            participantData.belief_change.chatbot_summary = `Participant discussed: ${conversationText.substring(0, 200)}${conversationText.length > 200 ? '...' : ''}`;
-                        }
+                    // Structured summary from the shared summary service (see fallbackEnsureConversationSummary)
+                    if (conversationData.summary) {
+                        participantData.belief_change = { ...participantData.belief_change, ...await chatbotSummaryFields(conversationData.summary) };
                     }
                     
                     // Update timestamp
@@ -1322,8 +1389,9 @@ app.post('/api/conversations/:id/message', async (req, res) => {
         // Add assistant message
         const assistantMessage = {
             role: 'assistant',
-            content: assistantReply,
-            timestamp: new Date().toISOString()
+            content: assistantReply.content,
+            timestamp: new Date().toISOString(),
+            telemetry: assistantReply.telemetry
         };
         conversationData.messages.push(assistantMessage);
         
@@ -1336,7 +1404,7 @@ app.post('/api/conversations/:id/message', async (req, res) => {
         const requestDuration = Date.now() - requestStart;
         console.log(`Chat message processed in ${requestDuration}ms`);
         
-        res.json({ reply: assistantReply });
+        res.json({ reply: assistantReply.content });
         
     } catch (error) {
         const requestDuration = Date.now() - requestStart;
@@ -1399,13 +1467,14 @@ app.post('/api/conversations/:id/end', async (req, res) => {
         // Ensure conversation has a summary before ending (time-based ending)
         if (conversationData.participantId) {
             console.log('⏰ Time-based conversation end detected, ensuring summary exists');
-            await fallbackEnsureConversationSummary(conversationId, conversationData.participantId);
+            const summary = await fallbackEnsureConversationSummary(conversationId, conversationData.participantId);
             // Reload conversation data after potential summary addition
             const filename = path.join(conversationsDir, `${conversationId}.json`);
             const updatedConversation = readJson(filename);
             if (updatedConversation) {
                 conversationData.messages = updatedConversation.messages;
             }
+            conversationData.summary = summary;
         }
         
         // Update conversation data
@@ -1433,16 +1502,9 @@ app.post('/api/conversations/:id/end', async (req, res) => {
                     messages: transformedMessages
                 };
                 
-                // Generate chatbot summary from conversation messages and add to belief_change
-                if (transformedMessages.length > 0) {
-                    const conversationText = transformedMessages
-                        .filter(msg => msg.sender === 'participant')
-                        .map(msg => msg.text)
-                        .join(' ');
-                    
-                    if (conversationText.trim()) {
-                        participantData.belief_change.chatbot_summary = `Participant discussed: ${conversationText.substring(0, 200)}${conversationText.length > 200 ? '...' : ''}`;
-                    }
+                // Structured summary from the shared summary service (see fallbackEnsureConversationSummary)
+                if (conversationData.summary) {
+                    participantData.belief_change = { ...participantData.belief_change, ...await chatbotSummaryFields(conversationData.summary) };
                 }
                 
                 // Update timestamp
@@ -1498,6 +1560,26 @@ app.get('/api/participant/:id', (req, res) => {
     }
 });
 
+// Stored end-of-chat summary for the validation page: { summary: { themes, tier, generatedAt } }
+app.get('/api/participant/:id/chatbot-summary', (req, res) => {
+    try {
+        const filename = path.join(participantsDir, `${req.params.id}.json`);
+        const participantData = readJson(filename);
+        
+        if (!participantData) {
+            return res.status(404).json({ error: 'Participant not found' });
+        }
+        
+        // Older records only hold the plain-text summary
+        const summary = participantData.belief_change?.chatbot_summary_details;
+        res.json({ summary: Array.isArray(summary?.themes) ? summary : null });
+        
+    } catch (error) {
+        console.error('Error getting chatbot summary:', error);
+        res.status(500).json({ error: error.message || 'Internal server error' });
+    }
+});
+
 // Honeypot submission endpoint - saves bot responses and redirects
 app.post('/api/honeypot-submission', async (req, res) => {
     try {
@@ -1743,11 +1825,26 @@ app.get('/export/database', async (req, res) => {
     console.log('🗃️ Starting database export...');
     
     // Get all data using new database functions
-    const [participants, sessions, messages] = await Promise.all([
+    const [participants, allSessions, messages, stageTransitions, recaps, questionIntents, narratives] = await Promise.all([
       database.getAllParticipants(),
       database.getAllSessions(),
-      database.getAllMessages()
+      database.getAllMessages(),
+      database.getStageTransitionsByConversation(),
+      database.getRecapsByConversation(),
+      database.getQuestionIntentsByConversation(),
+      database.getNarrativesByConversation()
     ]);
+    const { summarizeTokenUsage } = await import('./backend/src/utils/llmTelemetry.js');
+    const { summarizeQualityMetrics } = await import('./backend/src/utils/qualityMetrics.js');
+    
+    // Attach the stage transition log, recap confirmation record and question intent sequence
+    // from the chat router
+    const sessions = allSessions.map(session => ({
+      ...session,
+      stage_transitions: stageTransitions[session.id] || [],
+      recap: recaps[session.id] || null,
+      question_intents: questionIntents[session.id] || []
+    }));
     
     // Calculate completed surveys
     const completedSurveys = participants.filter(p =>
@@ -1768,7 +1865,10 @@ app.get('/export/database', async (req, res) => {
       data: {
         participants: participants,
         sessions: sessions,
-        messages: messages
+        messages: messages,
+        token_usage: summarizeTokenUsage(messages),
+        quality_metrics: summarizeQualityMetrics(sessions),
+        narrative_graphs: await buildNarrativeGraphs(allSessions, narratives, messages)
       },
       export_duration_ms: Date.now() - startTime
     };
@@ -1805,13 +1905,147 @@ function requireAdmin(req, res, next) {
   next();
 }
 
+// Re-read the drift ruleset named in the study config; an invalid file is rejected and the
+// current ruleset stays active
+app.post('/api/admin/drift-rules/reload', requireAdmin, async (req, res) => {
+    try {
+        const { reloadDriftRuleset } = await import('./backend/src/utils/driftRules.js');
+        const ruleset = reloadDriftRuleset();
+        console.log(`🔄 Drift ruleset reloaded: v${ruleset.version}`);
+        res.json({ ok: true, version: ruleset.version, ruleCount: ruleset.rules.length });
+    } catch (error) {
+        console.error('❌ Drift ruleset reload failed:', error.message);
+        res.status(400).json({ error: error.message, errors: error.errors || [] });
+    }
+});
+
+// Re-read the topic taxonomy; an invalid taxonomy is rejected and the current one stays active
+app.post('/api/admin/topic-taxonomy/reload', requireAdmin, async (req, res) => {
+    try {
+        const { reloadTopicTaxonomy } = await import('./backend/src/utils/topicTaxonomy.js');
+        const taxonomy = reloadTopicTaxonomy();
+        console.log(`🔄 Topic taxonomy reloaded: v${taxonomy.version}`);
+        res.json({ ok: true, version: taxonomy.version, topicCount: taxonomy.topics.length });
+    } catch (error) {
+        console.error('❌ Topic taxonomy reload failed:', error.message);
+        res.status(400).json({ error: error.message, errors: error.errors || [] });
+    }
+});
+
+// Re-read the prompt templates; an invalid template set is rejected and the current one stays active
+app.post('/api/admin/prompts/reload', requireAdmin, async (req, res) => {
+    try {
+        const { reloadPromptTemplates } = await import('./backend/src/utils/promptTemplates.js');
+        const templates = reloadPromptTemplates();
+        console.log(`🔄 Prompt templates reloaded: v${templates.version}`);
+        res.json({ ok: true, version: templates.version, templates: Object.keys(templates.templates) });
+    } catch (error) {
+        console.error('❌ Prompt template reload failed:', error.message);
+        res.status(400).json({ error: error.message, errors: error.errors || [] });
+    }
+});
+
+// Render a system prompt without starting a conversation. The profile comes from the body or
+// from participantId, the conversation state from the body or from conversationId; the template
+// defaults to the participant's condition template. summaryRequest adds the summary block.
+app.post('/api/admin/prompts/preview', requireAdmin, async (req, res) => {
+    try {
+        const { participantId, conversationId, summaryRequest = false } = req.body || {};
+        const profile = req.body?.profile || (participantId ? await global.db.participants.getProfile(participantId) : null);
+        if (!profile) {
+            return res.status(400).json({ error: 'profile or a known participantId is required' });
+        }
+        let conversationState = req.body?.state || null;
+        if (!conversationState && conversationId) {
+            const { conversationStateManager } = await import('./backend/src/utils/conversationStateManager.js');
+            conversationState = await conversationStateManager.findConversationState(conversationId);
+            if (!conversationState) {
+                return res.status(404).json({ error: 'Conversation state not found' });
+            }
+        }
+        const { conditionAssigner } = await import('./backend/src/utils/conditions.js');
+        const { renderPrompt } = await import('./backend/src/utils/promptTemplates.js');
+        const template = req.body?.template || conditionAssigner.getCondition(conversationState?.condition || profile.condition).systemPrompt;
+        res.json(renderPrompt(template, { profile, conversationState, summaryRequest: Boolean(summaryRequest) }));
+    } catch (error) {
+        console.error('Error rendering prompt preview:', error.message);
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// LLM token and cost totals per participant, from the telemetry stored on assistant messages
+app.get('/api/admin/token-usage', requireAdmin, async (req, res) => {
+    try {
+        const { summarizeTokenUsage } = await import('./backend/src/utils/llmTelemetry.js');
+        res.json(summarizeTokenUsage(await database.getAllMessages()));
+    } catch (error) {
+        console.error('Error computing token usage:', error);
+        res.status(500).json({ error: error.message || 'Internal server error' });
+    }
+});
+
+// Narrative graph (nodes and edges) per participant from the narrative stored on each
+// conversation state; conversations without one are extracted from their messages
+async function buildNarrativeGraphs(sessions, narratives, messages) {
+    const { buildNarrativeGraph, narrativeFromMessages } = await import('./backend/src/utils/narrativeExtraction.js');
+    const byParticipant = {};
+    for (const session of sessions) {
+        const conversationMessages = messages.filter(message => message.session_id === session.id);
+        const narrative = narratives[session.id] || narrativeFromMessages(conversationMessages);
+        (byParticipant[session.participantId] ||= []).push({ conversationId: session.id, narrative });
+    }
+    return Object.entries(byParticipant).map(([participantId, conversations]) => buildNarrativeGraph(participantId, conversations));
+}
+
+app.get('/api/admin/narrative-graph/:participantId', requireAdmin, async (req, res) => {
+    try {
+        const sessions = (await database.getAllSessions()).filter(session => session.participantId === req.params.participantId);
+        if (sessions.length === 0) {
+            return res.status(404).json({ error: 'No conversations found for this participant' });
+        }
+        const [graph] = await buildNarrativeGraphs(sessions, await database.getNarrativesByConversation(), await database.getAllMessages());
+        res.json(graph);
+    } catch (error) {
+        console.error('Error building narrative graph:', error);
+        res.status(500).json({ error: error.message || 'Internal server error' });
+    }
+});
+
+// Conversation quality metrics per finished session, with averages across sessions
+app.get('/api/admin/quality-metrics', requireAdmin, async (req, res) => {
+    try {
+        const { summarizeQualityMetrics } = await import('./backend/src/utils/qualityMetrics.js');
+        const sessions = await database.getAllSessions();
+        res.json({
+            summary: summarizeQualityMetrics(sessions),
+            sessions: sessions
+                .filter(session => session.qualityMetrics)
+                .map(session => ({ conversation_id: session.id, participant_id: session.participantId, condition: session.condition, ...session.qualityMetrics }))
+        });
+    } catch (error) {
+        console.error('Error computing quality metrics:', error);
+        res.status(500).json({ error: error.message || 'Internal server error' });
+    }
+});
+
 // Export consolidated JSON data (new format - no auth required)
 app.get('/api/admin/export.json', async (req, res) => {
     try {
         // Use database functions instead of reading files directly
         const participants = await database.getAllParticipants();
-        const conversations = await database.getAllSessions();
+        const stageTransitions = await database.getStageTransitionsByConversation();
+        const recaps = await database.getRecapsByConversation();
+        const questionIntents = await database.getQuestionIntentsByConversation();
+        const narratives = await database.getNarrativesByConversation();
+        const conversations = (await database.getAllSessions()).map(conversation => ({
+            ...conversation,
+            stage_transitions: stageTransitions[conversation.id] || [],
+            recap: recaps[conversation.id] || null,
+            question_intents: questionIntents[conversation.id] || []
+        }));
         const messagesData = await database.getAllMessages();
+        const { summarizeTokenUsage } = await import('./backend/src/utils/llmTelemetry.js');
+        const { summarizeQualityMetrics } = await import('./backend/src/utils/qualityMetrics.js');
         
         let totalMessages = 0;
         
@@ -1827,6 +2061,9 @@ app.get('/api/admin/export.json', async (req, res) => {
                             disqualified: participant.disqualified || false,
                             timestamp_joined: participant.timestamp_joined,
                             
+                            // Experimental condition assigned at survey submission
+                            condition: participant.condition || null,
+                            
                             // Demographics - ensure all fields are captured
                             demographics: {
                                 age: participant.demographics?.age || null,
@@ -1843,6 +2080,7 @@ app.get('/api/admin/export.json', async (req, res) => {
                                 ai_confidence_slider: participant.belief_change?.ai_confidence_slider || null,
                                 ai_summary_accuracy: participant.belief_change?.ai_summary_accuracy || null,
                                 chatbot_summary: participant.belief_change?.chatbot_summary || null,
+                                chatbot_summary_details: participant.belief_change?.chatbot_summary_details || null,
                                 chatbot_summary_validation: participant.belief_change?.chatbot_summary_validation || null,
                                 chatbot_summary_bullets: participant.belief_change?.chatbot_summary_bullets || null,
                                 // New mind change variables (radio button system)
@@ -1969,7 +2207,10 @@ app.get('/api/admin/export.json', async (req, res) => {
             data: {
                 participants: processedParticipants,
                 conversations: conversations,
-                messages: messagesData
+                messages: messagesData,
+                token_usage: summarizeTokenUsage(messagesData),
+                quality_metrics: summarizeQualityMetrics(conversations),
+                narrative_graphs: await buildNarrativeGraphs(conversations, narratives, messagesData)
             }
         };
         
@@ -2059,7 +2300,7 @@ app.get('/api/admin/export.csv', requireAdmin, (req, res) => {
         
         // CSV header
         const csvRows = [
-            'participantId,conversationId,timestamp,role,content,age,gender,country,education,politicalOrientation,priorBelief,currentBelief'
+            'participantId,conversationId,condition,openingLineSource,timestamp,role,content,rawContent,interventionType,detectorFlags,ruleViolations,ruleRewrites,topics,promptVersion,promptHash,promptTokens,completionTokens,latencyMs,llmProvider,llmModel,temperature,maxTokens,usedFallback,wordCountCompliance,questionsPerReply,repeatedOpeningPhraseRate,eventReasks,driftInterventions,progressionCoverage,participantWordsPerTurn,age,gender,country,education,politicalOrientation,priorBelief,currentBelief'
         ];
         
         // Process conversations
@@ -2070,14 +2311,41 @@ app.get('/api/admin/export.csv', requireAdmin, (req, res) => {
                     const conversation = readJson(path.join(conversationsDir, file));
                     if (conversation && conversation.messages) {
                         const participant = participantLookup.get(conversation.participantId);
+                        // Session-level quality metrics, repeated on each message row
+                        const quality = conversation.qualityMetrics || {};
                         
                         for (const message of conversation.messages) {
                             const row = [
                                 escapeCsv(conversation.participantId || ''),
                                 escapeCsv(conversation.id || ''),
+                                escapeCsv(conversation.condition || participant?.condition?.id || ''),
+                                escapeCsv(conversation.openingLine?.source || ''),
                                 escapeCsv(message.timestamp || ''),
                                 escapeCsv(message.role || ''),
                                 escapeCsv(message.content || ''),
+                                escapeCsv(message.rawContent || ''),
+                                escapeCsv(message.interventionType || ''),
+                                escapeCsv(message.detectorFlags ? JSON.stringify(message.detectorFlags) : ''),
+                                escapeCsv((message.replyRules?.violations || []).map(v => v.ruleId).join(';')),
+                                message.replyRules?.rewrites ?? '',
+                                escapeCsv((message.topics || []).map(topic => `${topic.id}:${topic.confidence}`).join(';')),
+                                escapeCsv(message.promptVersion || ''),
+                                escapeCsv(message.promptHash || ''),
+                                message.telemetry?.promptTokens ?? '',
+                                message.telemetry?.completionTokens ?? '',
+                                message.telemetry?.latencyMs ?? '',
+                                escapeCsv(message.telemetry?.provider || ''),
+                                escapeCsv(message.telemetry?.model || ''),
+                                message.telemetry?.temperature ?? '',
+                                message.telemetry?.max_tokens ?? '',
+                                message.telemetry ? message.telemetry.fallback : '',
+                                quality.wordCountCompliance ?? '',
+                                quality.questionsPerReply ?? '',
+                                quality.repeatedOpeningPhraseRate ?? '',
+                                quality.eventReasks ?? '',
+                                quality.driftInterventions ?? '',
+                                quality.progressionCoverage ?? '',
+                                quality.participantWordsPerTurn ?? '',
                                 participant ? (participant.age || '') : '',
                                 participant ? escapeCsv(participant.gender || '') : '',
                                 participant ? escapeCsv(participant.country || '') : '',
@@ -2157,164 +2425,9 @@ function escapeCsv(str) {
     return str;
 }
 
-// Summary generation functions for safety net (fallback endpoints)
-function fallbackHasExistingSummary(messages) {
-  // Check if conversation already has a structured summary from the chatbot
-  if (!messages || messages.length === 0) return false;
-  
-  // Look for assistant messages that contain bullet points or summary indicators
-  const assistantMessages = messages.filter(msg => msg.role === 'assistant');
-  
-  for (const msg of assistantMessages.slice(-5)) { // Check last 5 assistant messages
-    const content = msg.content || '';
-    
-    // Check for bullet point patterns
-    if (content.includes('•') || content.includes('*') || content.includes('-')) {
-      // Check if it has summary-like structure (multiple points)
-      const bulletMatches = content.match(/[•\*\-]/g);
-      if (bulletMatches && bulletMatches.length >= 2) {
-        console.log('✓ Found existing fallback summary with bullet points');
-        return true;
-      }
-    }
-    
-    // Check for summary keywords
-    if (content.toLowerCase().includes('summarize') ||
-        content.toLowerCase().includes('summary') ||
-        content.toLowerCase().includes('key themes') ||
-        content.toLowerCase().includes('based on our conversation')) {
-      console.log('✓ Found existing fallback summary with keywords');
-      return true;
-    }
-  }
-  
-  console.log('✗ No existing fallback summary found in conversation');
-  return false;
-}
-
-function fallbackGenerateSummary(messages, participantId) {
-  try {
-    // Load participant data for context
-    const participantFile = path.join(participantsDir, `${participantId}.json`);
-    const participant = readJson(participantFile);
-    
-    // Generate a basic summary from participant messages
-    const userMessages = messages.filter(msg => msg.role === 'user' &&
-      msg.content &&
-      msg.content.trim().length > 10 &&
-      !msg.content.toLowerCase().includes('end the chat'));
-    
-    const summaryPoints = [];
-    
-    // Add profile-based summary point if available
-    if (participant?.belief_change?.mind_change_direction) {
-      const direction = participant.belief_change.mind_change_direction;
-      const otherText = participant.belief_change.mind_change_other_text;
-      
-      let changeDesc = '';
-      switch (direction) {
-        case 'exists_to_not_exists':
-          changeDesc = 'From thinking climate change exists, to thinking it does not exist';
-          break;
-        case 'not_exists_to_exists':
-          changeDesc = 'From thinking climate change does not exist, to thinking it exists';
-          break;
-        case 'not_urgent_to_urgent':
-          changeDesc = 'From thinking climate change is not urgent, to thinking it is urgent';
-          break;
-        case 'urgent_to_not_urgent':
-          changeDesc = 'From thinking climate change is urgent, to thinking it is not urgent';
-          break;
-        case 'human_to_natural':
-          changeDesc = 'From thinking climate change is human-caused, to thinking it is natural';
-          break;
-        case 'natural_to_human':
-          changeDesc = 'From thinking climate change is natural, to thinking it is human-caused';
-          break;
-        case 'other':
-          changeDesc = otherText || 'Other belief change described by participant';
-          break;
-      }
-      
-      if (changeDesc) {
-        summaryPoints.push(`You described your belief change: ${changeDesc}`);
-      }
-    }
-    
-    // Analyze user messages for key themes
-    const themes = {
-      evidence: false,
-      personal: false,
-      social: false,
-      media: false,
-      change_process: false
-    };
-    
-    userMessages.forEach(msg => {
-      const content = msg.content.toLowerCase();
-      
-      if (content.includes('evidence') || content.includes('research') || content.includes('study') || content.includes('data')) {
-        themes.evidence = true;
-      }
-      
-      if (content.includes('experience') || content.includes('personal') || content.includes('saw') || content.includes('noticed') || content.includes('felt')) {
-        themes.personal = true;
-      }
-      
-      if (content.includes('people') || content.includes('family') || content.includes('friend') || content.includes('others')) {
-        themes.social = true;
-      }
-      
-      if (content.includes('media') || content.includes('news') || content.includes('article') || content.includes('tv')) {
-        themes.media = true;
-      }
-      
-      if (content.includes('change') || content.includes('shift') || content.includes('different') || content.includes('realized')) {
-        themes.change_process = true;
-      }
-    });
-    
-    // Generate theme-based summary points
-    if (themes.evidence) {
-      summaryPoints.push('You discussed the role of evidence and research in shaping your views');
-    }
-    
-    if (themes.personal) {
-      summaryPoints.push('You shared personal experiences that influenced your thinking');
-    }
-    
-    if (themes.social) {
-      summaryPoints.push('You talked about how other people influenced your perspective');
-    }
-    
-    if (themes.media) {
-      summaryPoints.push('You mentioned media sources that affected your views');
-    }
-    
-    if (themes.change_process) {
-      summaryPoints.push('You described the process of how your beliefs evolved');
-    }
-    
-    // Ensure we have at least 2 points
-    if (summaryPoints.length < 2) {
-      summaryPoints.push('You engaged in a conversation about your climate change belief journey');
-      if (summaryPoints.length < 2) {
-        summaryPoints.push('You shared your perspective on what influences belief change');
-      }
-    }
-    
-    // Limit to 5 points max
-    const finalPoints = summaryPoints.slice(0, 5);
-    
-    console.log('Generated fallback summary with points:', finalPoints);
-    return finalPoints;
-    
-  } catch (error) {
-    console.error('Error generating fallback summary:', error);
-    return ['You participated in a conversation about climate change beliefs'];
-  }
-}
-
+// Summarize a legacy conversation through the shared summary service and store the result
+// on the session and the participant record. Adds a closing summary message if the
+// interviewer never gave one. Returns the summary, or null if it could not be produced.
 async function fallbackEnsureConversationSummary(conversationId, participantId) {
   try {
     const filename = path.join(conversationsDir, `${conversationId}.json`);
@@ -2322,65 +2435,59 @@ async function fallbackEnsureConversationSummary(conversationId, participantId)
     
     if (!conversationData) {
       console.error('Could not load conversation data for summary generation');
-      return;
+      return null;
+    }
+    if (conversationData.summary) {
+      return conversationData.summary;
     }
     
     const messages = conversationData.messages || [];
-    
-    // Check if conversation already has a proper summary
-    if (fallbackHasExistingSummary(messages)) {
-      console.log('Fallback conversation already has summary, no action needed');
-      return;
+    const summaryService = await getSummaryService();
+    const profile = await global.db.participants.getProfile(participantId);
+    const summary = await summaryService.summarize(messages, { profile });
+    
+    if (!summaryService.hasModelSummary(messages)) {
+      messages.push({
+        role: "assistant",
+        content: summaryService.formatSummaryMessage(summary),
+        timestamp: new Date().toISOString(),
+        generated_summary: true, // Flag to indicate this was auto-generated
+        summary_tier: summary.tier
+      });
     }
-    
-    // Generate fallback summary
-    const summaryPoints = fallbackGenerateSummary(messages, participantId);
-    
-    // Format as bullet points with proper spacing
-    const summaryText = `Thank you for sharing your story with me. Let me summarize the key themes from our conversation:
-
-${summaryPoints.map(point => `• ${point}`).join('\n\n')}
-
-This covers the main points we discussed about your belief change journey.`;
-
-    // Add the summary as a final assistant message
-    const summaryMessage = {
-      role: "assistant",
-      content: summaryText,
-      timestamp: new Date().toISOString(),
-      generated_summary: true // Flag to indicate this was auto-generated
-    };
-    
-    conversationData.messages.push(summaryMessage);
+    conversationData.messages = messages;
+    conversationData.summary = summary;
     
     // Save updated conversation using data access layer
     await dataAccess.saveSession(conversationData);
+    await global.db.participants.saveConversationSummary(participantId, summary);
     
-    console.log('✓ Generated and saved fallback summary for conversation:', conversationId);
+    console.log(`✓ Stored ${summary.tier} summary for conversation:`, conversationId);
+    return summary;
     
   } catch (error) {
     console.error('Error ensuring fallback conversation summary:', error);
     // Don't throw - this is a safety net, not critical path
+    return null;
   }
 }
 
-// Initialize OpenAI client (works with OpenRouter too)
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY,
-    baseURL: process.env.OPENAI_API_KEY?.startsWith('sk-or-')
-        ? 'https://openrouter.ai/api/v1'
-        : 'https://api.openai.com/v1'
-});
-
-// Real OpenAI API integration with timeout handling
+// Chat reply through the configured LLM provider, with timeout handling.
+// Returns { content, telemetry } (tokens, latency, provider/model settings, fallback flag).
 async function generateAIResponse(messages, systemPrompt) {
     const API_TIMEOUT = 25000; // 25 seconds - well under typical PaaS 30s timeout
+    const startTime = Date.now();
+    let llmClient = null;
     
     try {
-        // Check if OpenAI API key is configured
-        if (!process.env.OPENAI_API_KEY) {
-            console.error('OpenAI API key not configured. Using fallback response.');
-            return "I'm here to help you explore your thoughts about climate change. Could you tell me more about your perspective?";
+        // Check if the chat provider is configured (e.g. has an API key)
+        llmClient = await getLLMClient();
+        if (!llmClient.isConfigured('chat')) {
+            console.error('LLM provider not configured. Using fallback response.');
+            return {
+                content: "I'm here to help you explore your thoughts about climate change. Could you tell me more about your perspective?",
+                telemetry: llmClient.describeFallback('chat', startTime)
+            };
         }
 
         // Convert conversation messages to OpenAI format
@@ -2402,19 +2509,14 @@ async function generateAIResponse(messages, systemPrompt) {
         }
 
         console.log('Sending request to OpenAI with', openaiMessages.length, 'messages');
-        const startTime = Date.now();
 
         // Create timeout promise
         const timeoutPromise = new Promise((_, reject) =>
             setTimeout(() => reject(new Error('OpenAI API timeout')), API_TIMEOUT)
         );
 
-        // Call OpenAI API with timeout
-        const apiPromise = openai.chat.completions.create({
-            model: "gpt-4o-mini",
-            messages: openaiMessages,
-            max_tokens: 150,
-            temperature: 0.7,
+        // Call the LLM provider with timeout
+        const apiPromise = llmClient.complete('chat', openaiMessages, {
             top_p: 1,
             frequency_penalty: 0,
             presence_penalty: 0
@@ -2423,17 +2525,17 @@ async function generateAIResponse(messages, systemPrompt) {
         const completion = await Promise.race([apiPromise, timeoutPromise]);
         const duration = Date.now() - startTime;
 
-        const response = completion.choices[0]?.message?.content?.trim();
+        const response = completion.content;
         
         if (!response) {
             throw new Error('No response received from OpenAI');
         }
 
         console.log(`OpenAI response received (${duration}ms):`, response.substring(0, 100) + '...');
-        return response;
+        return { content: response, telemetry: completion.telemetry };
 
     } catch (error) {
-        const duration = Date.now() - (Date.now() - API_TIMEOUT);
+        const duration = Date.now() - startTime;
         console.error(`Error calling OpenAI API (${duration}ms):`, error.message);
         
         // Specific error handling for timeouts and connection issues
@@ -2443,7 +2545,10 @@ async function generateAIResponse(messages, systemPrompt) {
         
         // Intelligent fallback response system
         console.log('Using fallback response due to OpenAI error');
-        return generateIntelligentFallback(messages);
+        return {
+            content: generateIntelligentFallback(messages),
+            telemetry: llmClient ? llmClient.describeFallback('chat', startTime) : null
+        };
     }
 }
 
@@ -2554,6 +2659,18 @@ async function startServer() {
             console.log('⚠️ Database unavailable - using file storage fallback');
         }
         
+        // Fail fast on an invalid drift ruleset or topic taxonomy rather than on the first chat reply
+        const { getDriftRuleset } = await import('./backend/src/utils/driftRules.js');
+        getDriftRuleset();
+        const { getTopicTaxonomy } = await import('./backend/src/utils/topicTaxonomy.js');
+        getTopicTaxonomy();
+        // Likewise for the prompt templates, the experimental conditions, the reply rules, the
+        // question progression and the similarity thresholds (their modules validate them on load)
+        await import('./backend/src/utils/conditions.js');
+        await import('./backend/src/utils/replyRules.js');
+        await import('./backend/src/utils/questionIntents.js');
+        await import('./backend/src/utils/similarity.js');
+        
         // Step 3: Start Express server
         const server = app.listen(PORT, () => {
             console.log(`🚀 Server running on http://localhost:${PORT}`);
@@ -2567,11 +2684,18 @@ async function startServer() {
             }
         });
         
+        // Attach the socket.io chat transport; clients fall back to HTTP if it is unavailable
+        const io = new Server(server, { cors: corsOptions });
+        import('./backend/src/routes/chatSocket.js')
+            .then(({ registerChatSocket }) => registerChatSocket(io))
+            .catch((error) => console.error('❌ Failed to load chat socket transport:', error.message));
+        
         // Step 4: Setup graceful shutdown
         const gracefulShutdown = async (signal) => {
             console.log(`\n📤 Received ${signal}, shutting down gracefully...`);
             
-            // Close Express server
+            // Close socket.io connections and the Express server
+            io.close();
             server.close(() => {
                 console.log('✅ Express server closed');
             });
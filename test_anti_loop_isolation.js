@@ -0,0 +1,54 @@
+// Test script to verify anti-loop state is isolated per conversation
+// Two participants chatting at once must not block each other's event questions
+
+import './scripts/temp-state-dir.js';
+import {
+  trackUserResponse,
+  isQuestionBlocked,
+  resetConversationState,
+  getConversationState,
+  clearConversationState,
+  loadConversationState,
+  saveConversationState
+} from './backend/src/utils/onTopic.js';
+
+async function testAntiLoopIsolation() {
+  console.log('🧪 Testing per-conversation anti-loop state...\n');
+
+  const convA = 'test-conv-a-' + Date.now();
+  const convB = 'test-conv-b-' + Date.now();
+
+  resetConversationState(convA);
+  resetConversationState(convB);
+
+  // Participant A mentions a bushfire twice
+  trackUserResponse(convA, 'The bushfires near my town changed everything');
+  trackUserResponse(convA, 'Seeing the bushfire smoke every day');
+
+  const blockedA = isQuestionBlocked(convA, 'ask_event');
+  const blockedB = isQuestionBlocked(convB, 'ask_event');
+
+  console.log(`  A event questions blocked: ${blockedA} (expected true)`);
+  console.log(`  B event questions blocked: ${blockedB} (expected false)`);
+
+  // A new participant starting must not wipe A's state
+  const convC = 'test-conv-c-' + Date.now();
+  resetConversationState(convC);
+  const stillConfirmed = getConversationState(convA).eventConfirmed;
+  console.log(`  A still confirmed after C started: ${stillConfirmed} (expected true)`);
+
+  // Simulate a restart: persist A, drop it from memory, then restore
+  await saveConversationState(convA);
+  clearConversationState(convA);
+  const restored = await loadConversationState(convA);
+  console.log(`  A restored eventConfirmed: ${restored.eventConfirmed} (expected true)`);
+
+  const passed = blockedA && !blockedB && stillConfirmed && restored.eventConfirmed;
+  console.log(passed ? '\n✅ Anti-loop state is isolated per conversation' : '\n❌ Anti-loop state leaked between conversations');
+  if (!passed) process.exit(1);
+}
+
+testAntiLoopIsolation().catch((error) => {
+  console.error('Test error:', error);
+  process.exit(1);
+});
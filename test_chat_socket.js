@@ -0,0 +1,109 @@
+// Test script for the socket.io chat transport
+// Drives the /chat namespace handlers with an in-memory io stub and checks that
+// start/reply reuse the router, and that the server pushes timer, warning and end events
+
+import './scripts/temp-state-dir.js';
+
+global.db = {
+  participants: {
+    getProfile: async (userId) => ({ id: userId, views_changed: "more_concerned" })
+  },
+  conversations: {
+    save: async () => true,
+    load: async () => [
+      { role: "system", content: "You are a research interviewer...", userId: "test-user-socket" },
+      { role: "assistant", content: "Thanks for participating in our study..." }
+    ],
+    append: async () => true
+  }
+};
+
+global.llm = {
+  chat: async () => ({ content: "Could you say more about that summary?" }),
+  chatStream: async (messages, onToken) => {
+    const parts = ["What made ", "that moment ", "stand out?"];
+    parts.forEach(onToken);
+    return { content: parts.join("") };
+  }
+};
+
+const { registerChatSocket } = await import('./backend/src/routes/chatSocket.js');
+const { chatTimer } = await import('./backend/src/utils/chatTimer.js');
+
+// Minimal stand-in for a socket.io server: records handlers and room broadcasts
+const broadcasts = [];
+let connectionHandler = null;
+const io = {
+  of: () => ({
+    on: (event, handler) => { if (event === 'connection') connectionHandler = handler; },
+    to: (room) => ({ emit: (event, data) => broadcasts.push({ room, event, data }) })
+  })
+};
+
+function createSocket() {
+  const handlers = {};
+  const socket = {
+    id: 'socket-' + Date.now(),
+    emitted: [],
+    on: (event, handler) => { handlers[event] = handler; },
+    join: () => {},
+    emit: (event, data) => socket.emitted.push({ event, data }),
+    request: (event, data) => new Promise(resolve => handlers[event](data, resolve))
+  };
+  return socket;
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function testChatSocket() {
+  console.log('🧪 Testing socket.io chat transport...\n');
+  let passed = true;
+
+  // Shorten the study's countdown so the warning and expiry fire during the test
+  chatTimer.durationSeconds = 3;
+  registerChatSocket(io);
+  const socket = createSocket();
+  connectionHandler(socket);
+
+  const started = await socket.request('chat:start', { userId: 'test-user-socket' });
+  console.log(`  Started conversation: ${started.conversationId} (${started.remainingSeconds}s left)`);
+  if (!started.conversationId || started.messages?.[0]?.role !== 'assistant') { console.log('❌ Start did not return the opening line'); passed = false; }
+
+  const missingUser = await socket.request('chat:start', {});
+  console.log(`  Start without userId: ${missingUser.status} ${missingUser.error}`);
+  if (missingUser.status !== 400) { console.log('❌ Missing userId should be a 400'); passed = false; }
+
+  const reply = await socket.request('chat:reply', {
+    conversationId: started.conversationId,
+    message: 'The drought on our farm was the turning point',
+    userId: 'test-user-socket'
+  });
+  const tokens = socket.emitted.filter(e => e.event === 'chat:token');
+  console.log(`  Reply: ${reply.reply} (${tokens.length} tokens streamed)`);
+  if (!reply.reply || tokens.length < 2) { console.log('❌ Reply was not streamed over the socket'); passed = false; }
+  if (typeof reply.remainingSeconds !== 'number') { console.log('❌ Reply is missing remainingSeconds'); passed = false; }
+
+  // Let the countdown run out
+  await wait(4500);
+  const events = broadcasts.filter(b => b.room === started.conversationId).map(b => b.event);
+  console.log(`  Pushed events: ${[...new Set(events)].join(', ')}`);
+  if (!events.includes('chat:timer')) { console.log('❌ No timer ticks pushed'); passed = false; }
+  if (!events.includes('chat:warning')) { console.log('❌ No 1-minute warning pushed'); passed = false; }
+  if (!events.includes('chat:ended')) { console.log('❌ No session-ended event pushed'); passed = false; }
+
+  const late = await socket.request('chat:reply', {
+    conversationId: started.conversationId,
+    message: 'One more thing',
+    userId: 'test-user-socket'
+  });
+  console.log(`  Reply after expiry: ${late.status}`);
+  if (late.status !== 410) { console.log('❌ Replies after the time limit should be rejected'); passed = false; }
+
+  console.log(passed ? '\n✅ Socket transport works' : '\n❌ Socket transport failed');
+  if (!passed) process.exit(1);
+}
+
+testChatSocket().catch((error) => {
+  console.error('Test error:', error);
+  process.exit(1);
+});
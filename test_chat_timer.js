@@ -0,0 +1,109 @@
+// Test script for the server-authoritative chat timer
+// Checks remaining time is returned with replies, the timed summary is generated once
+// (whether the server or the client asks first), and replies after expiry get a 410
+
+import './scripts/temp-state-dir.js';
+
+const conversations = new Map();
+global.db = {
+  participants: {
+    getProfile: async (userId) => ({ id: userId, views_changed: "less_concerned" })
+  },
+  conversations: {
+    save: async (userId, id, messages) => conversations.set(id, [...messages]),
+    load: async (id) => [...(conversations.get(id) || [])],
+    append: async (id, message) => conversations.set(id, [...(conversations.get(id) || []), message])
+  }
+};
+
+let modelCalls = 0;
+global.llm = {
+  chat: async (messages, { purpose } = {}) => {
+    modelCalls++;
+    return { content: purpose === 'recap' ? 'To summarize, here are the key themes: • Cost of living' : 'What made you start questioning it?' };
+  }
+};
+
+const chatModule = await import('./backend/src/routes/chat.js');
+const { chatTimer } = await import('./backend/src/utils/chatTimer.js');
+const { conversationStateManager } = await import('./backend/src/utils/conversationStateManager.js');
+
+function findHandler(path) {
+  return chatModule.default.stack.find(layer =>
+    layer.route?.path === path && layer.route?.methods?.post
+  )?.route?.stack?.[0]?.handle;
+}
+
+function callRoute(path, body) {
+  return new Promise(resolve => {
+    const res = {
+      statusCode: 200,
+      status(code) { res.statusCode = code; return res; },
+      json(data) { resolve({ status: res.statusCode, data }); }
+    };
+    findHandler(path)({ body }, res);
+  });
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function testChatTimer() {
+  console.log('🧪 Testing server-side chat timer...\n');
+  let passed = true;
+  const userId = 'test-user-timer';
+
+  // 4 second chat with the summary due 2 seconds in
+  chatTimer.durationSeconds = 4;
+  chatTimer.warningOffsetSeconds = 2;
+
+  const warnings = [];
+  chatTimer.on('warning', (event) => warnings.push(event));
+
+  const start = await callRoute('/start', { userId });
+  const conversationId = start.data.conversationId;
+  console.log(`  Start: ${start.data.remainingSeconds}s of ${start.data.durationSeconds}s`);
+  if (start.data.remainingSeconds !== 4) { console.log('❌ Start payload missing remaining time'); passed = false; }
+
+  // Starting the same conversation again must not restart the countdown or replace its messages
+  const startedAt = (await conversationStateManager.findConversationState(conversationId)).chatTimer.startedAt;
+  await wait(100);
+  const restart = await callRoute('/start', { userId, conversationId });
+  const restartedAt = (await conversationStateManager.findConversationState(conversationId)).chatTimer.startedAt;
+  console.log(`  Restart: ${restart.status}, timer started ${startedAt} -> ${restartedAt}`);
+  if (restart.status !== 409 || restartedAt !== startedAt || conversations.get(conversationId).length !== 2) {
+    console.log('❌ Restarting the conversation moved its timer'); passed = false;
+  }
+
+  const reply = await callRoute('/reply', { conversationId, userId, message: 'Prices went up and I started doubting the policies' });
+  console.log(`  Reply: ${reply.status} with ${reply.data.remainingSeconds}s left`);
+  if (typeof reply.data.remainingSeconds !== 'number') { console.log('❌ Reply payload missing remaining time'); passed = false; }
+
+  // Server triggers the summary at the warning offset
+  await wait(2500);
+  const callsAfterWarning = modelCalls;
+  console.log(`  Server-triggered summaries: ${warnings.length}`);
+  if (warnings.length !== 1 || !warnings[0].reply.includes('summarize')) { console.log('❌ Timed summary was not sent by the server'); passed = false; }
+
+  // A client summary request afterwards reuses it instead of calling the model again
+  const clientSummary = await callRoute('/reply', { conversationId, userId, message: 'Summary please', isSummaryRequest: true });
+  console.log(`  Client summary request reused server summary: ${clientSummary.data.reply === warnings[0]?.reply}`);
+  if (modelCalls !== callsAfterWarning || clientSummary.data.reply !== warnings[0]?.reply) { console.log('❌ Summary generated twice'); passed = false; }
+
+  // After expiry replies are rejected
+  await wait(2000);
+  const late = await callRoute('/reply', { conversationId, userId, message: 'One more thing before I go' });
+  console.log(`  Reply after expiry: ${late.status} ${late.data.error}`);
+  if (late.status !== 410) { console.log('❌ Expected 410 after the time limit'); passed = false; }
+
+  const status = await chatModule.getChatTimerStatus(conversationId);
+  console.log(`  Timer status: ${JSON.stringify(status)}`);
+  if (!status?.expired) { console.log('❌ Conversation not marked expired'); passed = false; }
+
+  console.log(passed ? '\n✅ Server-side chat timer works' : '\n❌ Server-side chat timer failed');
+  if (!passed) process.exit(1);
+}
+
+testChatTimer().catch((error) => {
+  console.error('Test error:', error);
+  process.exit(1);
+});
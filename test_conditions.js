@@ -0,0 +1,111 @@
+// Test script for experimental conditions
+// Block and stratified randomization must balance conditions within every block, stay
+// reproducible, and the /chat router must run a conversation under the participant's condition
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import './scripts/temp-state-dir.js';
+
+// Run against a copy of the study config with two conditions
+const testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-conditions-'));
+process.on('exit', () => fs.rmSync(testDir, { recursive: true, force: true }));
+const studyConfig = JSON.parse(fs.readFileSync('backend/src/config/study.json', 'utf8'));
+const conditions = {
+  assignment: { method: 'stratified', stratifyBy: 'belief_change.mind_change_direction', blockSize: 4, seed: 'test-seed' },
+  arms: [
+    { id: 'standard' },
+    { id: 'brief', chatDurationSeconds: 300, llm: { chat: { model: 'gpt-4o-mini', temperature: 0.2, max_tokens: 80 } } }
+  ]
+};
+fs.writeFileSync(path.join(testDir, 'study.json'), JSON.stringify({
+  ...studyConfig,
+  driftRules: { path: path.resolve('backend/src/config/drift-rules.json') },
+  prompts: { path: path.resolve('backend/src/config/prompts/prompts.json') },
+  topics: { path: path.resolve('backend/src/config/topic-taxonomy.json') },
+  conditions
+}));
+process.env.STUDY_CONFIG_PATH = path.join(testDir, 'study.json');
+
+const profile = { id: 'test-user-conditions', views_changed: 'Yes', condition: 'brief' };
+const conversations = new Map();
+global.db = {
+  participants: { getProfile: async () => profile },
+  conversations: {
+    save: async (userId, id, messages) => conversations.set(id, [...messages]),
+    load: async (id) => [...(conversations.get(id) || [])],
+    append: async (id, message) => conversations.set(id, [...(conversations.get(id) || []), message])
+  }
+};
+
+const llmCalls = [];
+global.llm = {
+  chat: async (messages, options) => {
+    llmCalls.push(options);
+    return { content: 'What about the floods stayed with you?' };
+  }
+};
+
+const { createConditionAssigner } = await import('./backend/src/utils/conditions.js');
+const { startConversation, processReply } = await import('./backend/src/routes/chat.js');
+const { conversationStateManager } = await import('./backend/src/utils/conversationStateManager.js');
+
+function assignMany(assigner, direction, count, assigned) {
+  for (let i = 0; i < count; i++) {
+    const participant = { participant_id: `${direction}-${i}`, belief_change: { mind_change_direction: direction } };
+    participant.condition = assigner.assign(participant, assigned);
+    assigned.push(participant);
+  }
+  return assigned.filter(p => p.belief_change.mind_change_direction === direction).map(p => p.condition.id);
+}
+
+async function testConditions() {
+  console.log('🧪 Testing experimental conditions...\n');
+  let passed = true;
+
+  const assigner = createConditionAssigner(conditions);
+  const assigned = [];
+  const natural = assignMany(assigner, 'natural_to_human', 8, assigned);
+  const urgent = assignMany(assigner, 'not_urgent_to_urgent', 6, assigned);
+  console.log(`  natural_to_human: ${natural.join(', ')}`);
+  console.log(`  not_urgent_to_urgent: ${urgent.join(', ')}`);
+  for (const [stratum, sequence] of [['natural_to_human', natural], ['not_urgent_to_urgent', urgent.slice(0, 4)]]) {
+    for (let start = 0; start < sequence.length; start += 4) {
+      const block = sequence.slice(start, start + 4);
+      if (block.filter(id => id === 'brief').length !== 2) { console.log(`❌ Block in ${stratum} is unbalanced: ${block}`); passed = false; }
+    }
+  }
+
+  const repeat = assignMany(createConditionAssigner(conditions), 'natural_to_human', 8, []);
+  if (repeat.join() !== natural.join()) { console.log('❌ Assignment is not reproducible from the seed'); passed = false; }
+
+  for (const invalid of [
+    { ...conditions, assignment: { ...conditions.assignment, blockSize: 3 } },
+    { ...conditions, arms: [{ id: 'standard', systemPrompt: 'missing' }] }
+  ]) {
+    try {
+      createConditionAssigner(invalid);
+      console.log('❌ Invalid conditions were accepted'); passed = false;
+    } catch (error) {
+      console.log(`  Rejected: ${error.message}`);
+    }
+  }
+
+  // The router runs the conversation under the participant's condition
+  const { conversationId, durationSeconds } = await startConversation({ userId: profile.id });
+  await processReply({ body: { conversationId, message: 'The floods near my town changed my mind', userId: profile.id } });
+  const state = await conversationStateManager.findConversationState(conversationId);
+  const chatCall = llmCalls.find(call => call.purpose === 'chat');
+  console.log(`  Conversation: condition=${state.condition}, duration=${durationSeconds}s, params=${JSON.stringify(chatCall?.params)}`);
+  if (state.condition !== 'brief' || durationSeconds !== 300) { console.log('❌ Conversation did not use the condition duration'); passed = false; }
+  if (chatCall?.params?.temperature !== 0.2 || chatCall.params.max_tokens !== 80) { console.log('❌ Model call did not use the condition settings'); passed = false; }
+
+
+  console.log(passed ? '\n✅ Experimental conditions work' : '\n❌ Experimental conditions failed');
+  if (!passed) process.exit(1);
+}
+
+testConditions().catch((error) => {
+  console.error('Test error:', error);
+  process.exit(1);
+});
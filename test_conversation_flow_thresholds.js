@@ -1,7 +1,12 @@
 // Test script to validate conversation flow threshold changes
-// This simulates the conversation scenario that was ending prematurely
+// This simulates the conversation scenario that was ending prematurely.
+// Thresholds live in the study config's stageMachine section and are evaluated by the
+// shared stage engine used by both the /chat router and ConversationStateManager.
 
+import './scripts/temp-state-dir.js';
 import { conversationStateManager } from './backend/src/utils/conversationStateManager.js';
+import { createStageEngine } from './backend/src/utils/stageEngine.js';
+import { getStudyConfig } from './backend/src/utils/studyConfig.js';
 
 async function testConversationFlow() {
   console.log('🧪 Testing conversation flow with updated thresholds...\n');
@@ -71,6 +76,72 @@ async function testConversationFlow() {
   await conversationStateManager.deleteConversationState(conversationId);
 }
 
+// Test the configured thresholds with automatic transitions switched on
+function testEnabledStageMachine() {
+  console.log('\n🧪 Testing configured thresholds with automatic transitions enabled...\n');
+  
+  const stageConfig = getStudyConfig().stageMachine;
+  const engine = createStageEngine({
+    ...stageConfig,
+    transitions: stageConfig.transitions.map(transition => ({ ...transition, enabled: true }))
+  });
+  
+  const state = {
+    stage: engine.initialStage,
+    turnCount: 0,
+    minimalResponseCount: 0,
+    substantiveResponseCount: 0,
+    exhaustionSignals: 0,
+    topicTurnCount: 1,
+    stageTransitions: []
+  };
+  
+  for (let turn = 1; turn <= 16; turn++) {
+    state.turnCount = turn;
+    state.substantiveResponseCount++;
+    engine.advance(state);
+  }
+  
+  console.log('  Transition log:', state.stageTransitions.map(t => `${t.from}->${t.to}@${t.turn} (${t.reason})`).join(', '));
+  
+  const expected = [
+    { to: 'elaboration', turn: 8 },
+    { to: 'recap', turn: 15 }
+  ];
+  const passed = expected.every((e, i) => state.stageTransitions[i]?.to === e.to && state.stageTransitions[i]?.turn === e.turn);
+  console.log(passed ? '  ✅ Transitions fired at the configured turns' : '  ❌ Unexpected transition log');
+  if (!passed) process.exitCode = 1;
+}
+
+// The live turn path and recovery from stored messages share one set of response classifiers,
+// so the same transcript gets the same counters and stage either way
+async function testRecoveryParity() {
+  console.log('\n🧪 Testing that recovery from messages matches the live counters...\n');
+  
+  const conversationId = 'test-parity-' + Date.now();
+  const turns = [
+    "The floods near us were what changed my mind",
+    "Yeah",
+    "dunno",
+    "that's all",
+    "Well, actually my neighbour lost her house and that stuck with me",
+    "nothing more really, that's about it"
+  ];
+  let live;
+  for (const text of turns) {
+    live = await conversationStateManager.updateConversationState(conversationId, text);
+  }
+  const rebuilt = conversationStateManager.rebuildStateFromMessages(conversationId, turns.map(content => ({ role: 'user', content })));
+  
+  const fields = ['stage', 'turnCount', 'minimalResponseCount', 'substantiveResponseCount', 'exhaustionSignals', 'topicTurnCount'];
+  const mismatched = fields.filter(field => live[field] !== rebuilt[field]);
+  console.log(`  Live: ${fields.map(field => `${field}=${live[field]}`).join(', ')}`);
+  console.log(mismatched.length === 0 ? '  ✅ Recovered state matches the live state' : `  ❌ Recovered state differs in ${mismatched.join(', ')}`);
+  if (mismatched.length > 0) process.exitCode = 1;
+  
+  await conversationStateManager.deleteConversationState(conversationId);
+}
+
 // Test original thresholds for comparison
 function testOriginalThresholds() {
   console.log('\n🧪 Testing ORIGINAL thresholds for comparison...\n');
@@ -140,9 +211,12 @@ function testOriginalThresholds() {
 async function runTests() {
   try {
     await testConversationFlow();
+    testEnabledStageMachine();
+    await testRecoveryParity();
     testOriginalThresholds();
   } catch (error) {
     console.error('Test error:', error);
+    process.exitCode = 1;
   }
 }
 
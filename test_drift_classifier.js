@@ -0,0 +1,73 @@
+// Test script for the model-graded drift classifier
+// The classifier's label decides when it answers with valid JSON in time; otherwise the regex
+// rules decide. Both verdicts must be recorded on the stored reply.
+
+import './scripts/temp-state-dir.js';
+
+const profile = { id: 'test-user-classifier', views_changed: 'Yes' };
+const conversations = new Map();
+global.db = {
+  participants: { getProfile: async () => profile },
+  conversations: {
+    save: async (userId, id, messages) => conversations.set(id, [...messages]),
+    load: async (id) => [...(conversations.get(id) || [])],
+    append: async (id, message) => conversations.set(id, [...(conversations.get(id) || []), message])
+  }
+};
+
+let modelReply = '';
+let classifierAnswer = async () => ({ content: '{"label": "on_topic", "reason": "asks about their story"}' });
+global.llm = {
+  chat: async (messages, options) => options?.purpose === 'driftClassifier' ? classifierAnswer() : { content: modelReply }
+};
+
+const { driftClassifier } = await import('./backend/src/utils/driftClassifier.js');
+const { startConversation, processReply } = await import('./backend/src/routes/chat.js');
+
+async function replyWith(reply) {
+  modelReply = reply;
+  const { conversationId } = await startConversation({ userId: profile.id });
+  await processReply({ body: { conversationId, message: 'Volunteering at the wetland changed how I saw things', userId: profile.id } });
+  return conversations.get(conversationId).at(-1);
+}
+
+async function testDriftClassifier() {
+  console.log('🧪 Testing drift classifier...\n');
+  let passed = true;
+  const campaignReply = 'How did the campaign to save the wetland change the way you saw climate change?';
+
+  // Disabled (the default): regex only, and "campaign" trips the political rule
+  const disabled = await replyWith(campaignReply);
+  console.log(`  Disabled: ${JSON.stringify(disabled.drift.verdicts)}`);
+  if (disabled.drift.verdicts.classifierStatus !== 'disabled' || disabled.drift.category !== 'political') { console.log('❌ Disabled classifier should leave the regex in charge'); passed = false; }
+
+  driftClassifier.enabled = true;
+  driftClassifier.timeoutMs = 200;
+
+  const onTopic = await replyWith(campaignReply);
+  console.log(`  Classifier on-topic: ${JSON.stringify(onTopic.drift.verdicts)}`);
+  if (onTopic.content !== campaignReply || onTopic.drift.verdicts.regex !== 'political_drift') { console.log('❌ Classifier verdict did not override the regex false positive'); passed = false; }
+
+  classifierAnswer = async () => ({ content: '{"label": "political_drift", "reason": "asks about voting"}' });
+  const political = await replyWith('Who did you end up supporting?');
+  console.log(`  Classifier political: ${political.drift.ruleId}`);
+  if (political.drift.ruleId !== 'classifier.political_drift' || political.content === 'Who did you end up supporting?') { console.log('❌ Classifier drift label was not applied'); passed = false; }
+
+  classifierAnswer = async () => ({ content: 'This reply looks fine to me.' });
+  const invalid = await replyWith(campaignReply);
+  console.log(`  Invalid output: ${JSON.stringify(invalid.drift.verdicts)}`);
+  if (invalid.drift.verdicts.classifierStatus !== 'invalid' || invalid.drift.category !== 'political') { console.log('❌ Invalid classifier output should fall back to the regex'); passed = false; }
+
+  classifierAnswer = () => new Promise(resolve => setTimeout(() => resolve({ content: '{"label": "on_topic"}' }), 1000));
+  const slow = await replyWith(campaignReply);
+  console.log(`  Timeout: ${JSON.stringify(slow.drift.verdicts)}`);
+  if (slow.drift.verdicts.classifierStatus !== 'timeout' || slow.drift.category !== 'political') { console.log('❌ Timed-out classifier should fall back to the regex'); passed = false; }
+
+  console.log(passed ? '\n✅ Drift classifier works' : '\n❌ Drift classifier failed');
+  if (!passed) process.exit(1);
+}
+
+testDriftClassifier().catch((error) => {
+  console.error('Test error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,108 @@
+// Test script for the versioned drift ruleset
+// Validation must reject broken rulesets, replies must record the ruleset version and the
+// rule that fired, and a reload must pick up edits while refusing an invalid file
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import './scripts/temp-state-dir.js';
+
+// Run against a copy of the study config that points at a scratch ruleset
+const testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-drift-rules-'));
+process.on('exit', () => fs.rmSync(testDir, { recursive: true, force: true }));
+const studyConfig = JSON.parse(fs.readFileSync('backend/src/config/study.json', 'utf8'));
+const ruleset = JSON.parse(fs.readFileSync('backend/src/config/drift-rules.json', 'utf8'));
+fs.writeFileSync(path.join(testDir, 'study.json'), JSON.stringify({
+  ...studyConfig,
+  driftRules: { path: 'rules.json' },
+  prompts: { path: path.resolve('backend/src/config/prompts/prompts.json') },
+  topics: { path: path.resolve('backend/src/config/topic-taxonomy.json') }
+}));
+fs.writeFileSync(path.join(testDir, 'rules.json'), JSON.stringify(ruleset));
+process.env.STUDY_CONFIG_PATH = path.join(testDir, 'study.json');
+
+const profile = { id: 'test-user-drift', views_changed: 'Yes' };
+const conversations = new Map();
+global.db = {
+  participants: { getProfile: async () => profile },
+  conversations: {
+    save: async (userId, id, messages) => conversations.set(id, [...messages]),
+    load: async (id) => [...(conversations.get(id) || [])],
+    append: async (id, message) => conversations.set(id, [...(conversations.get(id) || []), message])
+  }
+};
+
+let modelReply = '';
+global.llm = { chat: async () => ({ content: modelReply }) };
+
+const { validateDriftRuleset, reloadDriftRuleset, getDriftRuleset } = await import('./backend/src/utils/driftRules.js');
+const { startConversation, processReply } = await import('./backend/src/routes/chat.js');
+
+async function replyWith(reply) {
+  modelReply = reply;
+  const { conversationId } = await startConversation({ userId: profile.id });
+  await processReply({ body: { conversationId, message: 'My neighbour lost their house in the floods', userId: profile.id } });
+  return conversations.get(conversationId).at(-1);
+}
+
+async function testDriftRules() {
+  console.log('🧪 Testing drift ruleset...\n');
+  let passed = true;
+
+  try {
+    validateDriftRuleset({
+      version: '',
+      categories: { offTopic: { redirect: 'Back to your story.' } },
+      rules: [
+        { id: 'a', category: 'offTopic', pattern: '(unclosed' },
+        { id: 'a', category: 'weather', pattern: 'rain' }
+      ]
+    });
+    console.log('❌ Invalid ruleset was accepted'); passed = false;
+  } catch (error) {
+    console.log(`  Rejected invalid ruleset with ${error.errors.length} errors`);
+    if (error.errors.length < 5) { console.log('❌ Not every problem was reported'); passed = false; }
+  }
+
+  const political = await replyWith('What do you think about the election this year?');
+  console.log(`  Political reply recorded: ${JSON.stringify(political.drift)}`);
+  if (political.drift?.ruleId !== 'political.election' || political.drift.rulesetVersion !== ruleset.version) {
+    console.log('❌ Reply did not record the rule that fired'); passed = false;
+  }
+
+  const clean = await replyWith('How did seeing that change the way you think?');
+  if (clean.drift?.ruleId !== null || clean.drift?.rulesetVersion !== ruleset.version) {
+    console.log('❌ Reply without drift should still record the ruleset version'); passed = false;
+  }
+
+  // Hot reload: a new rule and redirect apply without a restart
+  ruleset.version = '1.1.0';
+  ruleset.categories.offTopic.redirect = 'Let us come back to how your views changed.';
+  ruleset.rules.unshift({ id: 'offTopic.weekend_plans', category: 'offTopic', pattern: 'weekend plans', flags: 'i' });
+  fs.writeFileSync(path.join(testDir, 'rules.json'), JSON.stringify(ruleset));
+  reloadDriftRuleset();
+  const reloaded = await replyWith('Any fun weekend plans?');
+  console.log(`  After reload: ${JSON.stringify(reloaded.drift)} -> "${reloaded.content}"`);
+  if (reloaded.drift?.ruleId !== 'offTopic.weekend_plans' || reloaded.drift.rulesetVersion !== '1.1.0' || reloaded.content !== ruleset.categories.offTopic.redirect) {
+    console.log('❌ Reloaded ruleset was not applied'); passed = false;
+  }
+
+  // A broken file is refused and the active ruleset is kept
+  fs.writeFileSync(path.join(testDir, 'rules.json'), JSON.stringify({ ...ruleset, version: '2.0.0', rules: [{ id: 'x', category: 'offTopic', pattern: '[' }] }));
+  try {
+    reloadDriftRuleset();
+    console.log('❌ Invalid reload was accepted'); passed = false;
+  } catch (error) {
+    console.log(`  Invalid reload refused, active version: ${getDriftRuleset().version}`);
+    if (getDriftRuleset().version !== '1.1.0') { console.log('❌ Active ruleset changed after a failed reload'); passed = false; }
+  }
+
+
+  console.log(passed ? '\n✅ Drift ruleset works' : '\n❌ Drift ruleset failed');
+  if (!passed) process.exit(1);
+}
+
+testDriftRules().catch((error) => {
+  console.error('Test error:', error);
+  process.exit(1);
+});
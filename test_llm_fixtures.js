@@ -0,0 +1,114 @@
+// Test script for LLM record-and-replay fixtures
+// Records a short transcript through the router, then replays it with the model
+// unreachable and checks the replies match; an unrecorded request must fail loudly
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import './scripts/temp-state-dir.js';
+
+// Fixtures go to a temporary directory that is removed on exit
+const fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-llm-fixtures-'));
+process.env.LLM_FIXTURE_DIR = fixtureDir;
+process.on('exit', () => fs.rmSync(fixtureDir, { recursive: true, force: true }));
+
+const profile = { id: 'test-user-fixtures', views_changed: 'no_to_yes', change_confidence: 6 };
+const conversations = new Map();
+global.db = {
+  participants: { getProfile: async () => profile },
+  conversations: {
+    save: async (userId, id, messages) => conversations.set(id, [...messages]),
+    load: async (id) => [...(conversations.get(id) || [])],
+    append: async (id, message) => conversations.set(id, [...(conversations.get(id) || []), message])
+  }
+};
+
+let liveCalls = 0;
+const liveLLM = {
+  chat: async (messages) => {
+    liveCalls++;
+    return { content: `Recorded reply ${liveCalls}: after the floods reached your town, what happened next for you and the people around you?` };
+  }
+};
+const offlineLLM = {
+  chat: async () => { throw new Error('Network access during replay'); }
+};
+
+const { startConversation, processReply } = await import('./backend/src/routes/chat.js');
+const { withFixtures } = await import('./backend/src/utils/llmFixtures.js');
+
+const turns = [
+  'Honestly I did not care much about climate change until recently',
+  'My kids started learning about it at school and asked me questions'
+];
+
+async function runTranscript() {
+  const { conversationId } = await startConversation({ userId: profile.id });
+  const replies = [];
+  for (const turn of turns) {
+    const payload = await processReply({ body: { conversationId, message: turn, userId: profile.id } });
+    replies.push(payload.reply);
+  }
+  return replies;
+}
+
+async function testLLMFixtures() {
+  console.log('🧪 Testing LLM record-and-replay fixtures...\n');
+  let passed = true;
+
+  process.env.LLM_FIXTURE_MODE = 'record';
+  global.llm = liveLLM;
+  const recorded = await runTranscript();
+  const files = fs.readdirSync(fixtureDir);
+  console.log(`  Recorded ${files.length} fixtures with ${liveCalls} live calls`);
+  if (files.length !== turns.length) { console.log('❌ Expected one fixture per model call'); passed = false; }
+
+  process.env.LLM_FIXTURE_MODE = 'replay';
+  global.llm = offlineLLM;
+  const replayed = await runTranscript();
+  console.log(`  Recorded: ${JSON.stringify(recorded)}`);
+  console.log(`  Replayed: ${JSON.stringify(replayed)}`);
+  if (JSON.stringify(recorded) !== JSON.stringify(replayed)) { console.log('❌ Replay did not reproduce the transcript'); passed = false; }
+
+  // A request with no fixture must not fall through to the model
+  try {
+    const { conversationId } = await startConversation({ userId: profile.id });
+    await processReply({ body: { conversationId, message: 'A turn that was never recorded', userId: profile.id } });
+    console.log('❌ Unrecorded request did not fail'); passed = false;
+  } catch (error) {
+    console.log(`  Missing fixture rejected: ${error.code}`);
+    if (error.code !== 'LLM_FIXTURE_MISSING') passed = false;
+  }
+
+  // A reply recorded under one provider, model or temperature is not replayed under another
+  const request = [{ role: 'user', content: 'What changed your mind?' }];
+  process.env.LLM_FIXTURE_MODE = 'record';
+  await withFixtures(request, { purpose: 'chat', params: { temperature: 0.2 } }, async () => ({ content: 'Recorded at 0.2' }));
+  process.env.LLM_FIXTURE_MODE = 'replay';
+  const settingsRuns = [
+    ['same settings', { params: { temperature: 0.2 } }, true],
+    ['another temperature', { params: { temperature: 0.9 } }, false],
+    ['another model', { params: { temperature: 0.2, model: 'gpt-4o' } }, false],
+    ['another provider', { params: { temperature: 0.2 }, provider: 'scripted' }, false]
+  ];
+  for (const [label, { params, provider }, expectReplay] of settingsRuns) {
+    if (provider) process.env.LLM_PROVIDER = provider;
+    let replayed = false;
+    try {
+      replayed = (await withFixtures(request, { purpose: 'chat', params }, offlineLLM.chat)).content === 'Recorded at 0.2';
+    } catch (error) {
+      if (error.code !== 'LLM_FIXTURE_MISSING') throw error;
+    }
+    delete process.env.LLM_PROVIDER;
+    console.log(`  ${label}: ${replayed ? 'replayed' : 'no fixture'}`);
+    if (replayed !== expectReplay) { console.log(`❌ Fixture lookup with ${label} was wrong`); passed = false; }
+  }
+
+  console.log(passed ? '\n✅ LLM fixtures replay deterministically' : '\n❌ LLM fixture replay failed');
+  if (!passed) process.exit(1);
+}
+
+testLLMFixtures().catch((error) => {
+  console.error('Test error:', error);
+  process.exit(1);
+});
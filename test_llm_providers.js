@@ -0,0 +1,63 @@
+// Test script for the LLM provider registry
+// Checks provider selection (including the sk-or- OpenRouter fallback), per-purpose
+// model settings and the deterministic scripted provider used for offline runs
+
+import { createLLMClient, createProvider } from './backend/src/utils/llmProviders.js';
+import { getStudyConfig } from './backend/src/utils/studyConfig.js';
+
+async function testLLMProviders() {
+  console.log('🧪 Testing LLM provider registry...\n');
+  let passed = true;
+  const llmConfig = getStudyConfig().llm;
+
+  // Provider selection
+  delete process.env.LLM_PROVIDER;
+  process.env.OPENAI_API_KEY = 'sk-test-openai';
+  const openaiClient = createLLMClient(llmConfig);
+  console.log(`  sk- key selects: ${openaiClient.getProvider('chat').name}`);
+  if (openaiClient.getProvider('chat').name !== 'openai') { console.log('❌ Expected openai'); passed = false; }
+
+  process.env.OPENAI_API_KEY = 'sk-or-test-openrouter';
+  const openrouterClient = createLLMClient(llmConfig);
+  console.log(`  sk-or- key selects: ${openrouterClient.getProvider('chat').name}`);
+  if (openrouterClient.getProvider('chat').name !== 'openrouter') { console.log('❌ Expected openrouter'); passed = false; }
+
+  // Per-purpose settings
+  const chatParams = openaiClient.buildParams('chat', []);
+  const summaryParams = openaiClient.buildParams('surveySummary', [], { top_p: 1 });
+  console.log(`  chat: ${chatParams.model} t=${chatParams.temperature} max=${chatParams.max_tokens}`);
+  console.log(`  surveySummary: ${summaryParams.model} t=${summaryParams.temperature} max=${summaryParams.max_tokens} top_p=${summaryParams.top_p}`);
+  if (summaryParams.temperature !== llmConfig.purposes.surveySummary.temperature || summaryParams.top_p !== 1) {
+    console.log('❌ Purpose settings not applied'); passed = false;
+  }
+
+  // Scripted provider is deterministic and needs no key
+  process.env.LLM_PROVIDER = 'scripted';
+  delete process.env.OPENAI_API_KEY;
+  const scriptedClient = createLLMClient(llmConfig);
+  const first = await scriptedClient.complete('chat', [{ role: 'user', content: 'hi' }]);
+  const tokens = [];
+  const second = await scriptedClient.stream('recap', [{ role: 'user', content: 'hi' }], (token) => tokens.push(token));
+  console.log(`  scripted configured: ${scriptedClient.isConfigured('chat')}`);
+  console.log(`  scripted replies: "${first.content}" / "${second.content}" (${tokens.length} tokens)`);
+  if (first.content !== llmConfig.providers.scripted.responses[0] || second.content !== llmConfig.providers.scripted.responses[1]) {
+    console.log('❌ Scripted replies out of order'); passed = false;
+  }
+  if (tokens.join('') !== second.content) { console.log('❌ Scripted stream does not match reply'); passed = false; }
+
+  // Unknown provider types are rejected
+  try {
+    createProvider('bogus', { type: 'carrier-pigeon' });
+    console.log('❌ Unknown provider type was accepted'); passed = false;
+  } catch (error) {
+    console.log(`  unknown type rejected: ${error.message}`);
+  }
+
+  console.log(passed ? '\n✅ LLM provider registry works' : '\n❌ LLM provider registry failed');
+  if (!passed) process.exit(1);
+}
+
+testLLMProviders().catch((error) => {
+  console.error('Test error:', error);
+  process.exit(1);
+});
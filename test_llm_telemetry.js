@@ -0,0 +1,133 @@
+// Test script for per-message LLM telemetry
+// Provider calls report tokens, latency, model and settings; router replies store the combined
+// telemetry of their model calls; every model call in a conversation (opening line, narrative
+// extraction, drift classifier, recap, summary) is stored on a message; token and cost totals are
+// summed per participant
+
+import './scripts/temp-state-dir.js';
+
+const profile = { id: 'test-user-telemetry', views_changed: 'Yes' };
+const recapProfile = { id: 'test-user-telemetry-recap', views_changed: 'Yes', current_view: 'I now think climate change is mostly caused by people' };
+const conversations = new Map();
+global.db = {
+  participants: { getProfile: async (userId) => userId === recapProfile.id ? recapProfile : profile },
+  conversations: {
+    save: async (userId, id, messages) => conversations.set(id, [...messages]),
+    load: async (id) => [...(conversations.get(id) || [])],
+    append: async (id, message) => conversations.set(id, [...(conversations.get(id) || []), message])
+  }
+};
+
+const { createLLMClient, registerProviderType } = await import('./backend/src/utils/llmProviders.js');
+const { summarizeTokenUsage, estimateCost } = await import('./backend/src/utils/llmTelemetry.js');
+
+// Provider that reports usage like the OpenAI API
+registerProviderType('metered', (name) => ({
+  name,
+  isConfigured: () => true,
+  complete: async () => ({ content: 'What stood out to you most?', usage: { prompt_tokens: 120, completion_tokens: 30 } })
+}));
+const client = createLLMClient({
+  provider: 'metered',
+  providers: { metered: { type: 'metered' } },
+  purposes: { chat: { model: 'gpt-4o-mini', temperature: 0.7, max_tokens: 150 } }
+});
+
+// Router replies: the first reply drifts, so it is regenerated once
+let callCount = 0;
+global.llm = {
+  chat: async () => {
+    callCount++;
+    const telemetry = { provider: 'metered', model: 'gpt-4o-mini', temperature: 0.7, max_tokens: 150, promptTokens: 100, completionTokens: 20, latencyMs: 50, fallback: false };
+    return callCount === 1
+      ? { content: 'What do you think about the election this year?', telemetry }
+      : { content: 'When the floods reached your street, what about seeing them yourself changed your mind about climate change?', telemetry };
+  }
+};
+const { startConversation, processReply } = await import('./backend/src/routes/chat.js');
+const { driftClassifier } = await import('./backend/src/utils/driftClassifier.js');
+const { narrativeExtractor } = await import('./backend/src/utils/narrativeExtraction.js');
+
+// Model replies and token counts for each purpose in a conversation that ends on a recap
+const PURPOSE_REPLIES = {
+  openingLine: ['Thanks for taking part. You said you now think climate change is mostly caused by people. What changed your mind?', 80, 25],
+  chat: ['When the floods reached your street, what about seeing them yourself changed your mind about climate change?', 100, 20],
+  narrativeExtraction: ['{"entities": [], "links": []}', 50, 10],
+  driftClassifier: ['{"label": "on_topic", "reason": "about their story"}', 30, 5],
+  conversationSummary: [JSON.stringify({ themes: [{ text: 'You saw the floods yourself', turns: [1] }, { text: 'Your brother shared the research', turns: [1] }] }), 300, 60],
+  recap: ['• You saw the floods yourself\n• Your sister shared the research', 200, 40]
+};
+const metered = { promptTokens: 0, completionTokens: 0, purposes: new Set() };
+const recapLLM = {
+  chat: async (messages, { purpose = 'chat' } = {}) => {
+    const [content, promptTokens, completionTokens] = PURPOSE_REPLIES[purpose];
+    metered.promptTokens += promptTokens;
+    metered.completionTokens += completionTokens;
+    metered.purposes.add(purpose);
+    return { content, telemetry: { provider: 'metered', model: 'gpt-4o-mini', temperature: 0.7, max_tokens: 150, promptTokens, completionTokens, latencyMs: 10, fallback: false } };
+  }
+};
+
+async function testLLMTelemetry() {
+  console.log('🧪 Testing LLM telemetry...\n');
+  let passed = true;
+
+  const result = await client.complete('chat', [{ role: 'user', content: 'Hello' }]);
+  console.log(`  Provider call: ${JSON.stringify(result.telemetry)}`);
+  const { telemetry } = result;
+  if (telemetry.provider !== 'metered' || telemetry.model !== 'gpt-4o-mini' || telemetry.temperature !== 0.7 || telemetry.max_tokens !== 150 ||
+      telemetry.promptTokens !== 120 || telemetry.completionTokens !== 30 || typeof telemetry.latencyMs !== 'number' || telemetry.fallback !== false) {
+    console.log('❌ Provider call telemetry is incomplete'); passed = false;
+  }
+  const fallback = client.describeFallback('chat', Date.now());
+  if (fallback.fallback !== true || fallback.model !== 'gpt-4o-mini' || fallback.promptTokens !== null) { console.log('❌ Fallback telemetry is wrong'); passed = false; }
+
+  const { conversationId } = await startConversation({ userId: profile.id });
+  await processReply({ body: { conversationId, message: 'Seeing the floods on the news changed my mind', userId: profile.id } });
+  const stored = conversations.get(conversationId).at(-1);
+  console.log(`  Stored reply: ${JSON.stringify(stored.telemetry)}`);
+  if (stored.telemetry?.calls !== 2 || stored.telemetry.promptTokens !== 200 || stored.telemetry.completionTokens !== 40 || stored.telemetry.latencyMs !== 100) {
+    console.log('❌ Reply telemetry did not combine its model calls'); passed = false;
+  }
+
+  // A conversation with a recap, a correction and a confirmation: the tokens stored on its
+  // messages add up to every model call made
+  global.llm = recapLLM;
+  driftClassifier.enabled = true;
+  narrativeExtractor.useModel = true;
+  const recapConversation = await startConversation({ userId: recapProfile.id });
+  const sendRecap = (message) => processReply({ body: { conversationId: recapConversation.conversationId, message, userId: recapProfile.id } });
+  await sendRecap('Seeing the floods on my own street changed my mind');
+  await sendRecap("I'm done, can we wrap up?");
+  await sendRecap('It was my sister who shared the research, not my brother');
+  const ended = await sendRecap('confirm');
+  const recapMessages = conversations.get(recapConversation.conversationId);
+  const rows = recapMessages.map(msg => ({ participant_id: recapProfile.id, role: msg.role, tokens_in: msg.telemetry?.promptTokens ?? null, tokens_out: msg.telemetry?.completionTokens ?? null, llm_model: msg.telemetry?.model }));
+  const recapUsage = summarizeTokenUsage(rows).participants[0];
+  console.log(`  Recap conversation: ${recapUsage?.prompt_tokens}/${recapUsage?.completion_tokens} tokens on messages, ${metered.promptTokens}/${metered.completionTokens} from ${[...metered.purposes].join(', ')}`);
+  if (!ended.sessionEnded || metered.purposes.size !== Object.keys(PURPOSE_REPLIES).length) { console.log('❌ Conversation did not make every kind of model call'); passed = false; }
+  if (recapUsage?.prompt_tokens !== metered.promptTokens || recapUsage?.completion_tokens !== metered.completionTokens) {
+    console.log('❌ Message telemetry does not add up to the model calls'); passed = false;
+  }
+  if (!recapMessages.filter(msg => msg.recap).every(msg => msg.telemetry?.promptTokens > 0)) { console.log('❌ Recap messages are missing telemetry'); passed = false; }
+
+  const usage = summarizeTokenUsage([
+    { participant_id: 'p1', role: 'assistant', tokens_in: 1000000, tokens_out: 1000000, llm_model: 'gpt-4o-mini' },
+    { participant_id: 'p1', role: 'assistant', tokens_in: 500, tokens_out: 100, llm_model: 'unknown-model' },
+    { participant_id: 'p1', role: 'user', tokens_in: null, tokens_out: null },
+    { participant_id: 'p2', role: 'assistant', tokens_in: null, tokens_out: null, llm_model: 'gpt-4o-mini' }
+  ]);
+  const p1 = usage.participants.find(p => p.participant_id === 'p1');
+  console.log(`  Usage: ${JSON.stringify(usage.totals)}`);
+  if (usage.participants.length !== 1 || p1.messages !== 2 || p1.prompt_tokens !== 1000500 || p1.unpriced_messages !== 1 || Math.abs(p1.cost_usd - estimateCost('gpt-4o-mini', 1000000, 1000000)) > 1e-9) {
+    console.log('❌ Per-participant totals are wrong'); passed = false;
+  }
+
+  console.log(passed ? '\n✅ LLM telemetry works' : '\n❌ LLM telemetry failed');
+  if (!passed) process.exit(1);
+}
+
+testLLMTelemetry().catch((error) => {
+  console.error('Test error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,59 @@
+// Test script for stored model output and interventions
+// Every assistant message keeps the model's first output next to the text that was shown, with
+// the intervention type and the detectors that fired
+
+import './scripts/temp-state-dir.js';
+
+const profile = { id: 'test-user-interventions', views_changed: 'Yes' };
+const conversations = new Map();
+global.db = {
+  participants: { getProfile: async () => profile },
+  conversations: {
+    save: async (userId, id, messages) => conversations.set(id, [...messages]),
+    load: async (id) => [...(conversations.get(id) || [])],
+    append: async (id, message) => conversations.set(id, [...(conversations.get(id) || []), message])
+  }
+};
+
+// Regenerations keep drifting, so the canned redirect is shown
+let modelReply = '';
+global.llm = { chat: async () => ({ content: modelReply }) };
+
+const { startConversation, processReply } = await import('./backend/src/routes/chat.js');
+
+async function replyWith(reply, message = 'Seeing the floods on the news changed my mind') {
+  modelReply = reply;
+  const { conversationId } = await startConversation({ userId: profile.id });
+  await processReply({ body: { conversationId, message, userId: profile.id } });
+  return { stored: conversations.get(conversationId).at(-1) };
+}
+
+async function testMessageInterventions() {
+  console.log('🧪 Testing stored model output and interventions...\n');
+  let passed = true;
+
+  const clean = await replyWith('What about the flood coverage stayed with you?');
+  console.log(`  Clean: type=${clean.stored.interventionType}, flags=${JSON.stringify(clean.stored.detectorFlags)}`);
+  if (clean.stored.interventionType !== null || clean.stored.rawContent !== clean.stored.content || Object.values(clean.stored.detectorFlags).some(Boolean)) {
+    console.log('❌ Clean reply should be stored without an intervention'); passed = false;
+  }
+
+  const political = await replyWith('What do you think about the election this year?');
+  console.log(`  Political: type=${political.stored.interventionType}, flags=${JSON.stringify(political.stored.detectorFlags)}`);
+  if (political.stored.interventionType !== 'political' || political.stored.rawContent !== 'What do you think about the election this year?' || political.stored.content === political.stored.rawContent) {
+    console.log('❌ Political redirect did not keep the raw model output'); passed = false;
+  }
+  if (political.stored.detectorFlags.political !== 'political.election') { console.log('❌ Political detector flag missing'); passed = false; }
+
+  const reask = await replyWith('What event made you change your mind?', 'The floods near my town were the turning point');
+  console.log(`  Event re-ask: type=${reask.stored.interventionType}, flags=${JSON.stringify(reask.stored.detectorFlags)}`);
+  if (reask.stored.interventionType !== 'anti_loop' || reask.stored.detectorFlags.anti_loop !== true) { console.log('❌ Anti-loop intervention was not recorded'); passed = false; }
+
+  console.log(passed ? '\n✅ Stored model output and interventions work' : '\n❌ Stored model output and interventions failed');
+  if (!passed) process.exit(1);
+}
+
+testMessageInterventions().catch((error) => {
+  console.error('Test error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,110 @@
+// Test script for the generated opening line
+// The model writes the opening turn from the participant's survey free text; a line that is too
+// long, asks leading or several questions, or ignores their words falls back to the template,
+// and both the generated text and the template are stored on the conversation
+
+import './scripts/temp-state-dir.js';
+
+const profile = {
+  id: 'test-user-opening',
+  views_changed: 'Yes',
+  change_description: 'From thinking climate change is not an urgent crisis, to thinking climate change is an urgent crisis',
+  current_view: 'I now think we are running out of time to deal with rising sea levels.',
+  elaboration: 'Watching my hometown beach disappear over ten years made it real.'
+};
+const savedMetadata = new Map();
+const conversations = new Map();
+global.db = {
+  participants: { getProfile: async () => profile },
+  conversations: {
+    save: async (userId, id, messages, metadata) => {
+      conversations.set(id, [...messages]);
+      savedMetadata.set(id, metadata);
+    },
+    load: async (id) => [...(conversations.get(id) || [])],
+    append: async (id, message) => conversations.set(id, [...(conversations.get(id) || []), message])
+  }
+};
+
+const GOOD_LINE = 'Hi, thanks for joining me. You wrote that watching your hometown beach disappear made it real. How did your views change over those ten years?';
+let openingReply = { content: GOOD_LINE };
+const openingRequests = [];
+global.llm = {
+  chat: async (messages, options) => {
+    if (options?.purpose === 'openingLine') {
+      openingRequests.push(messages);
+      if (openingReply instanceof Error) throw openingReply;
+      return openingReply;
+    }
+    return { content: 'When the beach started to disappear, what did you notice first about how you thought about it?' };
+  }
+};
+
+const { checkOpeningLine, createOpeningLineGenerator, getSurveyNarrative, openingLineFrom } = await import('./backend/src/utils/openingLine.js');
+const { startConversation } = await import('./backend/src/routes/chat.js');
+
+async function testOpeningLine() {
+  console.log('🧪 Testing generated opening lines...\n');
+  let passed = true;
+
+  const narrative = getSurveyNarrative(profile);
+  const limits = { minWords: 12, maxWords: 60 };
+  const problems = (text) => checkOpeningLine(text, narrative, limits);
+  if (problems(GOOD_LINE).length !== 0) { console.log(`❌ Good line was rejected: ${problems(GOOD_LINE)}`); passed = false; }
+  const checks = [
+    ['leading', 'Hi! The beach disappearing must have been frightening for you and your family, so it changed everything, right?'],
+    ['questions', 'Hi! You mentioned your hometown beach disappearing over ten years. What happened? How did it change your views?'],
+    ['length', 'Hi! Beach? '],
+    ['grounding', 'Hello and welcome, thank you so much for taking part in our study today. How would you describe your story?']
+  ];
+  for (const [problem, text] of checks) {
+    const found = problems(text);
+    console.log(`  ${problem}: ${found.join('; ')}`);
+    if (!found.some((entry) => entry.startsWith(problem))) { console.log(`❌ ${problem} problem was not detected`); passed = false; }
+  }
+
+  const generator = createOpeningLineGenerator({ generate: true, minWords: 12, maxWords: 60 });
+  const fallback = { template: 'default', templateText: openingLineFrom(profile) };
+  const noText = await generator.generate({ views_changed: 'Yes' }, { ...fallback, generate: async () => { throw new Error('should not be called'); } });
+  const disabled = await generator.generate(profile, { ...fallback, enabled: false });
+  if (noText.source !== 'template' || noText.reason !== 'no_survey_text' || disabled.reason !== 'disabled') { console.log('❌ Generation ran without survey text or while disabled'); passed = false; }
+  try {
+    createOpeningLineGenerator({ minWords: 40, maxWords: 20 });
+    console.log('❌ Invalid settings were accepted'); passed = false;
+  } catch (error) {
+    console.log(`  Rejected: ${error.message}`);
+  }
+
+  // Router: the generated line is shown and both it and the template are stored
+  const started = await startConversation({ userId: profile.id });
+  const stored = savedMetadata.get(started.conversationId).openingLine;
+  console.log(`  Opening: ${started.messages[0].content}`);
+  if (started.messages[0].content !== GOOD_LINE || stored.source !== 'llm' || stored.generatedText !== GOOD_LINE || stored.templateText !== openingLineFrom(profile) || stored.template !== 'default') {
+    console.log('❌ Generated opening line was not used and stored'); passed = false;
+  }
+  const request = openingRequests[0]?.[1]?.content || '';
+  if (!request.includes('hometown beach disappear') || !request.includes('running out of time') || !openingRequests[0][0].content.includes('12–60 words')) {
+    console.log('❌ Model was not given the survey narrative and guardrails'); passed = false;
+  }
+
+  // A rejected or failed generation falls back to the template
+  openingReply = { content: 'Hi! Surely the beach disappearing must have scared you into caring about climate change, didn\'t it?' };
+  const rejected = await startConversation({ userId: profile.id });
+  const rejectedLine = savedMetadata.get(rejected.conversationId).openingLine;
+  openingReply = new Error('provider unavailable');
+  const failed = await startConversation({ userId: profile.id });
+  const failedLine = savedMetadata.get(failed.conversationId).openingLine;
+  console.log(`  Rejected: ${rejectedLine.reason} (${rejectedLine.problems.join('; ')}), failed: ${failedLine.reason}`);
+  if (rejected.messages[0].content !== openingLineFrom(profile) || rejectedLine.source !== 'template' || rejectedLine.reason !== 'guardrail' || !rejectedLine.generatedText.startsWith('Hi! Surely')) {
+    console.log('❌ Rejected opening line did not fall back to the template'); passed = false;
+  }
+  if (failed.messages[0].content !== openingLineFrom(profile) || failedLine.reason !== 'error') { console.log('❌ Failed generation did not fall back to the template'); passed = false; }
+
+  console.log(passed ? '\n✅ Generated opening lines work' : '\n❌ Generated opening lines failed');
+  if (!passed) process.exit(1);
+}
+
+testOpeningLine().catch((error) => {
+  console.error('Test error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,93 @@
+// Test script for the offline prompt regression
+// Saved conversations are cut at every user turn, each reply is generated again under the
+// candidate prompt version, and both sides are compared on length, questions, drift rule hits
+// and repeated questions
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const { loadPromptTemplates } = await import('./backend/src/utils/promptTemplates.js');
+const { runPromptRegression, formatRegressionReport, replyMetrics } = await import('./backend/src/utils/promptRegression.js');
+
+// Candidate version: a copy of the templates with an extra rule and a new version
+const testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-prompt-regression-'));
+process.on('exit', () => fs.rmSync(testDir, { recursive: true, force: true }));
+fs.cpSync('backend/src/config/prompts', path.join(testDir, 'prompts'), { recursive: true });
+const manifestPath = path.join(testDir, 'prompts', 'prompts.json');
+fs.writeFileSync(manifestPath, JSON.stringify({ ...JSON.parse(fs.readFileSync(manifestPath, 'utf8')), version: '2.0.0-candidate' }));
+fs.appendFileSync(path.join(testDir, 'prompts', 'partials', 'rules.txt'), '\nCANDIDATE RULE: keep replies under 20 words.\n');
+
+const conversations = [{
+  id: 'conv-1',
+  participantId: 'p1',
+  messages: [
+    { role: 'system', content: 'prompt used at the time' },
+    { role: 'assistant', content: 'What first made you think differently about climate change?' },
+    { role: 'user', content: 'The floods near my town' },
+    { role: 'assistant', content: 'What first made you think differently about the climate?', promptVersion: '1.0.0' },
+    { role: 'user', content: 'Seeing the damage myself' },
+    { role: 'assistant', content: 'What do you think about the election this year?' },
+    { role: 'user', content: "That's all really" }
+  ]
+}];
+
+const modelRequests = [];
+const generate = async (messages) => {
+  modelRequests.push(messages);
+  return { content: 'How did seeing the damage change what you believed? What happened next?' };
+};
+
+async function testPromptRegression() {
+  console.log('🧪 Testing offline prompt regression...\n');
+  let passed = true;
+
+  const promptTemplates = loadPromptTemplates(manifestPath);
+  const report = await runPromptRegression({
+    conversations,
+    promptTemplates,
+    getProfile: async () => ({ views_changed: 'Yes', change_description: 'Floods made it real' }),
+    generate
+  });
+
+  console.log(`  ${report.cases.length} cases, candidate v${report.candidate.version}`);
+  if (report.cases.length !== 3 || modelRequests.length !== 3) { console.log('❌ Expected one case per user turn'); passed = false; }
+  const second = modelRequests[1];
+  if (second.length !== 5 || second.at(-1).content !== 'Seeing the damage myself' || second.some((m, i) => i > 0 && m.role === 'system')) {
+    console.log('❌ Second turn was not truncated at its user message'); passed = false;
+  }
+  if (!second[0].content.includes('CANDIDATE RULE') || !second[0].content.includes('Floods made it real') || report.candidate.version !== '2.0.0-candidate') {
+    console.log('❌ Candidate prompt version was not used'); passed = false;
+  }
+  if (report.cases[2].original !== null) { console.log('❌ Last turn has no original reply to compare'); passed = false; }
+
+  const [first, secondCase] = report.cases;
+  console.log(`  Turn 1 original: ${JSON.stringify(first.original.metrics)}`);
+  console.log(`  Turn 2 original: ${JSON.stringify(secondCase.original.metrics)}`);
+  if (!first.original.metrics.repeatedQuestion || secondCase.original.metrics.driftHits[0] !== 'political.election') {
+    console.log('❌ Original replies were not measured'); passed = false;
+  }
+  if (first.candidate.metrics.questions !== 2 || first.candidate.metrics.repeatedQuestion || first.candidate.metrics.driftHits.length !== 0) {
+    console.log('❌ Candidate replies were not measured'); passed = false;
+  }
+  const { original, candidate } = report.summary;
+  console.log(`  Summary: original drift ${original.driftHitRate}, repeats ${original.repeatedQuestionRate}; candidate drift ${candidate.driftHitRate}, repeats ${candidate.repeatedQuestionRate}`);
+  if (original.replies !== 2 || original.driftHitRate !== 0.5 || original.repeatedQuestionRate !== 0.5 || candidate.replies !== 3 || candidate.meanQuestions !== 2) {
+    console.log('❌ Summary metrics are wrong'); passed = false;
+  }
+  if (replyMetrics('Thanks for sharing.').questions !== 0) { console.log('❌ Question count is wrong'); passed = false; }
+
+  const markdown = formatRegressionReport(report);
+  if (!markdown.includes('| Repeated-question rate | 50.0% |') || !markdown.includes('| conv-1 | 2 | Seeing the damage myself |')) {
+    console.log('❌ Side-by-side report is incomplete'); passed = false;
+  }
+
+
+  console.log(passed ? '\n✅ Offline prompt regression works' : '\n❌ Offline prompt regression failed');
+  if (!passed) process.exit(1);
+}
+
+testPromptRegression().catch((error) => {
+  console.error('Test error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,104 @@
+// Test script for prompt templates
+// Prompts render from the template files with their partials, carry the template version and
+// a content hash, are stored with every assistant turn, and can be edited and reloaded
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import './scripts/temp-state-dir.js';
+
+// Run against a copy of the prompt templates so they can be edited
+const testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-prompts-'));
+process.on('exit', () => fs.rmSync(testDir, { recursive: true, force: true }));
+fs.cpSync('backend/src/config/prompts', path.join(testDir, 'prompts'), { recursive: true });
+const studyConfig = JSON.parse(fs.readFileSync('backend/src/config/study.json', 'utf8'));
+fs.writeFileSync(path.join(testDir, 'study.json'), JSON.stringify({
+  ...studyConfig,
+  driftRules: { path: path.resolve('backend/src/config/drift-rules.json') },
+  topics: { path: path.resolve('backend/src/config/topic-taxonomy.json') }
+}));
+process.env.STUDY_CONFIG_PATH = path.join(testDir, 'study.json');
+
+const profile = { id: 'test-user-prompts', views_changed: 'Yes', change_description: 'Floods made it real', change_confidence: 8 };
+const conversations = new Map();
+global.db = {
+  participants: { getProfile: async () => profile },
+  conversations: {
+    save: async (userId, id, messages) => conversations.set(id, [...messages]),
+    load: async (id) => [...(conversations.get(id) || [])],
+    append: async (id, message) => conversations.set(id, [...(conversations.get(id) || []), message])
+  }
+};
+
+const systemPromptsSent = [];
+global.llm = {
+  chat: async (messages) => {
+    systemPromptsSent.push(messages[0].content);
+    return { content: 'When the floods reached your town, what about that experience stayed with you most in the months afterwards?' };
+  }
+};
+
+const { renderPrompt, hashPrompt, loadPromptTemplates, reloadPromptTemplates } = await import('./backend/src/utils/promptTemplates.js');
+const { startConversation, processReply } = await import('./backend/src/routes/chat.js');
+
+async function testPromptTemplates() {
+  console.log('🧪 Testing prompt templates...\n');
+  let passed = true;
+
+  const initial = renderPrompt('default', { profile });
+  console.log(`  Initial prompt: v${initial.version}, ${initial.text.length} chars, hash ${initial.hash.slice(0, 12)}`);
+  if (!initial.text.includes('- Change description: Floods made it real') || !initial.text.includes('Confidence in statement: 8/10')) {
+    console.log('❌ Background partial did not render the profile'); passed = false;
+  }
+  if (initial.text.includes('CURRENT CONVERSATION CONTEXT') || initial.text.includes('{{')) { console.log('❌ Initial prompt has unrendered or state-only blocks'); passed = false; }
+  if (initial.hash !== hashPrompt(initial.text) || renderPrompt('default', { profile }).hash !== initial.hash) { console.log('❌ Prompt hash is not a stable content hash'); passed = false; }
+
+  const state = { stage: 'elaboration', turnCount: 4, topicTurnCount: 3, minimalResponseCount: 0, exhaustionSignals: 0, exploredTopics: new Set(['floods']), responsePatterns: {} };
+  const inConversation = renderPrompt('default', { profile, conversationState: state, summaryRequest: true });
+  if (!inConversation.text.includes('You are in the ELABORATION stage') || !inConversation.text.includes('REPETITION WARNING') ||
+      !inConversation.text.includes('SUMMARY REQUEST DETECTED') || inConversation.text.includes('EXPLORATION stage') || inConversation.text.includes('USER FATIGUE')) {
+    console.log('❌ Stage guidance or summary request blocks rendered incorrectly'); passed = false;
+  }
+
+  // Every assistant turn stores the version and hash of the prompt that was sent
+  const { conversationId } = await startConversation({ userId: profile.id });
+  await processReply({ body: { conversationId, message: 'The floods near my town changed my mind', userId: profile.id } });
+  const stored = conversations.get(conversationId).at(-1);
+  console.log(`  Stored turn: promptVersion=${stored.promptVersion}, promptHash=${stored.promptHash?.slice(0, 12)}`);
+  if (stored.promptVersion !== initial.version || stored.promptHash !== hashPrompt(systemPromptsSent.at(-1))) {
+    console.log('❌ Assistant turn did not store the hash of the prompt sent'); passed = false;
+  }
+
+  // Edited templates apply after a reload; an invalid edit is rejected and the current set stays
+  const backgroundPath = path.join(testDir, 'prompts', 'partials', 'background.txt');
+  fs.writeFileSync(backgroundPath, fs.readFileSync(backgroundPath, 'utf8').replace('natural conversation', 'relaxed conversation'));
+  reloadPromptTemplates();
+  const edited = renderPrompt('default', { profile });
+  if (!edited.text.includes('relaxed conversation') || edited.hash === initial.hash) { console.log('❌ Reloaded template was not used'); passed = false; }
+
+  fs.writeFileSync(backgroundPath, '{{#profile}}Unclosed {{> missing_partial}}');
+  try {
+    reloadPromptTemplates();
+    console.log('❌ Invalid templates were accepted'); passed = false;
+  } catch (error) {
+    console.log(`  Rejected: ${error.message}`);
+    if (error.errors?.length !== 1) { console.log('❌ Validation errors were not listed'); passed = false; }
+  }
+  if (renderPrompt('default', { profile }).hash !== edited.hash) { console.log('❌ Failed reload replaced the active templates'); passed = false; }
+  fs.writeFileSync(backgroundPath, 'Hello {{> missing_partial}}');
+  try {
+    loadPromptTemplates(path.join(testDir, 'prompts', 'prompts.json'));
+    console.log('❌ Unknown partial was accepted'); passed = false;
+  } catch (error) {
+    console.log(`  Rejected: ${error.message}`);
+  }
+
+
+  console.log(passed ? '\n✅ Prompt templates work' : '\n❌ Prompt templates failed');
+  if (!passed) process.exit(1);
+}
+
+testPromptTemplates().catch((error) => {
+  console.error('Test error:', error);
+  process.exit(1);
+});
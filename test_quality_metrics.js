@@ -0,0 +1,86 @@
+// Test script for conversation quality metrics
+// Finished conversations are scored on reply length, questions per reply, repeated openings,
+// event re-asks, drift interventions and participant words per turn, and the metrics are
+// stored on the session
+
+import './scripts/temp-state-dir.js';
+
+const profile = { id: 'test-user-quality', views_changed: 'Yes' };
+const conversations = new Map();
+const savedMetrics = new Map();
+global.db = {
+  participants: { getProfile: async () => profile },
+  conversations: {
+    save: async (userId, id, messages) => conversations.set(id, [...messages]),
+    load: async (id) => [...(conversations.get(id) || [])],
+    append: async (id, message) => conversations.set(id, [...(conversations.get(id) || []), message]),
+    saveQualityMetrics: async (id, metrics) => savedMetrics.set(id, metrics)
+  }
+};
+
+const chatReplies = [
+  'What about the floods changed how you saw climate change for yourself and your family?',
+  'What about the floods changed how you saw climate change afterwards?',
+  'Thank you for sharing. ##INTERVIEW_COMPLETE##'
+];
+global.llm = {
+  chat: async (messages, options) => {
+    if (options?.purpose === 'recap') return { content: '• You saw the floods\n• Your family talked it through' };
+    if (options?.purpose === 'conversationSummary') return { content: JSON.stringify({ themes: [{ text: 'You saw the floods', turns: [1] }] }) };
+    // Rule rewrites repeat the short reply, so it is kept and counts against compliance
+    const rejected = messages[0].content.match(/Your previous reply was: "(.*)"/);
+    if (rejected) return { content: rejected[1] };
+    return { content: chatReplies.shift() || 'What happened next?' };
+  }
+};
+
+const { computeQualityMetrics, summarizeQualityMetrics } = await import('./backend/src/utils/qualityMetrics.js');
+const { startConversation, processReply } = await import('./backend/src/routes/chat.js');
+
+async function testQualityMetrics() {
+  console.log('🧪 Testing conversation quality metrics...\n');
+  let passed = true;
+
+  const metrics = computeQualityMetrics([
+    { role: 'system', content: 'prompt' },
+    { role: 'assistant', content: 'Opening line that is not a reply?' },
+    { role: 'user', content: 'The floods near my town changed my mind' },
+    { role: 'assistant', content: 'So the floods changed things. What about them made it feel real to you, rather than something far away?' },
+    { role: 'user', content: 'Seeing it myself' },
+    { role: 'assistant', content: 'So the floods changed things. Which event was it?', interventionType: 'anti_loop', detectorFlags: { anti_loop: true } },
+    { role: 'user', content: 'We have about one minute left.', summaryRequest: true },
+    { role: 'assistant', content: 'Here is a summary:\n• You saw the floods\n• Your view changed', recap: true },
+    { role: 'user', content: 'Yes' },
+    { role: 'assistant', content: 'Thank you for confirming.' }
+  ], { min: 15, max: 25 });
+  console.log(`  Metrics: ${JSON.stringify(metrics)}`);
+  if (metrics.replies !== 2 || metrics.wordCountCompliance !== 0.5 || metrics.questionsPerReply !== 1) { console.log('❌ Reply length or question metrics are wrong'); passed = false; }
+  if (metrics.repeatedOpeningPhraseRate !== 0.5) { console.log('❌ Repeated opening phrase rate is wrong'); passed = false; }
+  if (metrics.eventReasks !== 1 || metrics.driftInterventions !== 1 || metrics.interventionsByType.anti_loop !== 1) { console.log('❌ Re-ask or intervention counts are wrong'); passed = false; }
+  if (metrics.participantTurns !== 3 || Math.abs(metrics.participantWordsPerTurn - 4) > 1e-9) { console.log('❌ Participant words per turn is wrong'); passed = false; }
+
+  const summary = summarizeQualityMetrics([{ qualityMetrics: metrics }, { qualityMetrics: { ...metrics, wordCountCompliance: 1 } }, { qualityMetrics: null }]);
+  if (summary.sessions !== 2 || summary.wordCountCompliance !== 0.75) { console.log('❌ Session summary is wrong'); passed = false; }
+
+  // A conversation that ends on a confirmed recap stores its metrics on the session
+  const { conversationId } = await startConversation({ userId: profile.id });
+  const send = (message) => processReply({ body: { conversationId, message, userId: profile.id } });
+  await send('The floods near my town changed my mind about climate change');
+  await send('My family and I had to leave our house for a week');
+  await send("I think that's everything");
+  const ended = await send('Yes, that is right');
+  const stored = savedMetrics.get(conversationId);
+  console.log(`  Stored: ${JSON.stringify(stored)}`);
+  if (!ended.sessionEnded || !stored) { console.log('❌ Metrics were not stored when the conversation finished'); passed = false; }
+  if (stored?.replies !== 2 || stored.wordCountCompliance !== 0.5 || stored.repeatedOpeningPhraseRate !== 0.5 || stored.participantTurns !== 4) {
+    console.log('❌ Stored metrics do not match the conversation'); passed = false;
+  }
+
+  console.log(passed ? '\n✅ Conversation quality metrics work' : '\n❌ Conversation quality metrics failed');
+  if (!passed) process.exit(1);
+}
+
+testQualityMetrics().catch((error) => {
+  console.error('Test error:', error);
+  process.exit(1);
+});
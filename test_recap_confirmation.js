@@ -0,0 +1,149 @@
+// Test script for the recap confirmation step
+// The model's completion marker must not end the chat on its own: the participant is shown a
+// recap, a correction regenerates it, and only "confirm" (or the time limit, or asking to stop)
+// ends the session; bullets outside the recap step are an ordinary reply
+
+import './scripts/temp-state-dir.js';
+
+const profile = { id: 'test-user-recap', views_changed: 'Yes', change_description: 'From thinking climate change is natural, to thinking it is human-caused' };
+const conversations = new Map();
+global.db = {
+  participants: { getProfile: async () => profile },
+  conversations: {
+    save: async (userId, id, messages) => conversations.set(id, [...messages]),
+    load: async (id) => [...(conversations.get(id) || [])],
+    append: async (id, message) => conversations.set(id, [...(conversations.get(id) || []), message])
+  }
+};
+
+const REVISED_RECAP = '• You changed your mind after the wildfires near your home\n• Your sister, not your brother, shared the research with you';
+let revisionFails = false;
+let chatReply = 'Thank you for sharing your story. ##INTERVIEW_COMPLETE##';
+global.llm = {
+  chat: async (messages, options) => {
+    if (options?.purpose === 'conversationSummary') {
+      return { content: JSON.stringify({ themes: [
+        { text: 'You changed your mind after the wildfires near your home', turns: [1] },
+        { text: 'Your brother shared the research with you', turns: [2] }
+      ] }) };
+    }
+    if (options?.purpose === 'recap') {
+      if (messages[0].content.startsWith('You revise')) {
+        if (revisionFails) throw new Error('Model unavailable');
+        return { content: REVISED_RECAP };
+      }
+      return { content: '• You talked about the wildfires\n\n• You mentioned your family' };
+    }
+    return { content: chatReply };
+  }
+};
+
+const { startConversation, processReply } = await import('./backend/src/routes/chat.js');
+const { conversationStateManager } = await import('./backend/src/utils/conversationStateManager.js');
+
+async function testRecapConfirmation() {
+  console.log('🧪 Testing recap confirmation...\n');
+  let passed = true;
+
+  const { conversationId } = await startConversation({ userId: profile.id });
+  const send = (message, extra = {}) => processReply({ body: { conversationId, message, userId: profile.id, ...extra } });
+
+  const proposed = await send('The wildfires near my home were what changed my mind');
+  let state = await conversationStateManager.findConversationState(conversationId);
+  console.log(`  After marker: sessionEnded=${proposed.sessionEnded}, recapPending=${proposed.recapPending}, stage=${state.stage}`);
+  if (proposed.sessionEnded || !proposed.recapPending) { console.log('❌ Completion marker ended the chat without a recap'); passed = false; }
+  if (state.stage !== 'recap' || state.recap?.bullets.length !== 2) { console.log('❌ Recap was not stored on the state'); passed = false; }
+
+  const revised = await send('It was my sister who shared the research, not my brother');
+  state = await conversationStateManager.findConversationState(conversationId);
+  console.log(`  After correction: ${JSON.stringify(state.recap.bullets)}`);
+  if (revised.sessionEnded || !revised.reply.includes('sister')) { console.log('❌ Correction did not regenerate the recap'); passed = false; }
+  if (state.recap.revisions.length !== 2 || !state.recap.revisions[0].correction) { console.log('❌ Correction was not recorded as a revision'); passed = false; }
+
+  const confirmed = await send('Yes, that is right');
+  state = await conversationStateManager.findConversationState(conversationId);
+  console.log(`  After confirmation: sessionEnded=${confirmed.sessionEnded}, status=${state.recap.status}, stage=${state.stage}`);
+  if (!confirmed.sessionEnded || state.recap.status !== 'confirmed' || !state.recap.confirmedAt) { console.log('❌ Confirmation did not end the chat'); passed = false; }
+
+  // Only the first message was an interview answer; recovery counts the same turns
+  const rebuilt = conversationStateManager.rebuildStateFromMessages(conversationId, conversations.get(conversationId));
+  console.log(`  Interview turns: ${state.turnCount} (recovered ${rebuilt.turnCount})`);
+  if (state.turnCount !== 1 || rebuilt.turnCount !== 1) { console.log('❌ Recap replies were counted as interview turns'); passed = false; }
+
+  // Replies that open like a confirmation but correct or reject the recap keep it open
+  const partial = await startConversation({ userId: profile.id });
+  const sendPartial = (message) => processReply({ body: { conversationId: partial.conversationId, message, userId: profile.id } });
+  await sendPartial('The wildfires near my home were what changed my mind');
+  for (const reply of ['Nothing about that is right', 'Yes, it was my sister though', 'Sure, my mum not my dad', 'ok so the first point is off', "that's it? you missed the floods"]) {
+    const payload = await sendPartial(reply);
+    const partialState = await conversationStateManager.findConversationState(partial.conversationId);
+    if (payload.sessionEnded || partialState.recap.status === 'confirmed' || partialState.recap.revisions.at(-2)?.correction !== reply) {
+      console.log(`❌ "${reply}" was taken as a confirmation`); passed = false;
+    }
+  }
+
+  // Asking to end is not an interview turn either
+  const ending = await startConversation({ userId: profile.id });
+  const ended = await processReply({ body: { conversationId: ending.conversationId, message: "I'm done, can we wrap up?", userId: profile.id } });
+  const endingState = await conversationStateManager.findConversationState(ending.conversationId);
+  if (!ended.recapPending || endingState.turnCount !== 0 || endingState.narrativeUnderstanding.extractions.length !== 0) {
+    console.log('❌ Termination request was counted as an interview turn'); passed = false;
+  }
+
+  // A correction the model can't apply keeps every bullet and is recorded on its revision, not pasted in
+  const noted = await startConversation({ userId: profile.id });
+  const sendNoted = (message) => processReply({ body: { conversationId: noted.conversationId, message, userId: profile.id } });
+  await sendNoted('The wildfires near my home were what changed my mind');
+  revisionFails = true;
+  const notedReply = await sendNoted('It was my sister who shared the research, not my brother');
+  revisionFails = false;
+  const notedState = await conversationStateManager.findConversationState(noted.conversationId);
+  console.log(`  After unapplied correction: ${JSON.stringify(notedState.recap.bullets)}`);
+  if (JSON.stringify(notedState.recap.bullets) !== JSON.stringify(notedState.recap.revisions[0].bullets) || notedReply.reply.includes('sister')) {
+    console.log('❌ Unapplied correction changed the bullets'); passed = false;
+  }
+  if (notedState.recap.revisions[0].correction !== 'It was my sister who shared the research, not my brother' || notedState.recap.revisions[1].source !== 'correction_noted') {
+    console.log('❌ Unapplied correction was not recorded'); passed = false;
+  }
+
+  // Asking to stop while the recap is pending ends the chat instead of revising the recap
+  const stopped = await sendNoted("I'm done, let's wrap up");
+  console.log(`  Stop during recap: sessionEnded=${stopped.sessionEnded}, status=${notedState.recap.status}, revisions=${notedState.recap.revisions.length}`);
+  if (!stopped.sessionEnded || notedState.recap.status !== 'unconfirmed' || notedState.recap.revisions.length !== 2) {
+    console.log('❌ Termination during the recap was treated as a correction'); passed = false;
+  }
+
+  // A bulleted reply during the interview is not a recap and still gets the reply-rule check
+  chatReply = 'A few things stand out:\n1. The wildfires\n2. Your family\nWhich of those mattered most to you?';
+  const bulleted = await startConversation({ userId: profile.id });
+  const bulletedPayload = await processReply({ body: { conversationId: bulleted.conversationId, message: 'The wildfires and my family both changed how I see it', userId: profile.id } });
+  const bulletedReply = conversations.get(bulleted.conversationId).at(-1);
+  console.log(`  Bulleted interview reply: recapPending=${bulletedPayload.recapPending}, rules=${bulletedReply.replyRules.path}`);
+  if (bulletedPayload.recapPending || bulletedReply.recap || bulletedReply.replyRules.path === 'skipped') {
+    console.log('❌ Bulleted interview reply was treated as a recap'); passed = false;
+  }
+  chatReply = 'Thank you for sharing your story. ##INTERVIEW_COMPLETE##';
+
+  // A recap that is never confirmed is closed by the time limit
+  const timed = await startConversation({ userId: profile.id });
+  const summary = await processReply({ body: { conversationId: timed.conversationId, userId: profile.id, isSummaryRequest: true } });
+  const timedState = await conversationStateManager.findConversationState(timed.conversationId);
+  timedState.chatTimer.startedAt = new Date(Date.now() - timedState.chatTimer.durationSeconds * 1000).toISOString();
+  let status = null;
+  try {
+    await processReply({ body: { conversationId: timed.conversationId, message: 'Hmm, let me think', userId: profile.id } });
+  } catch (error) {
+    status = error.status;
+  }
+  console.log(`  Timed summary pending: ${summary.recapPending}, reply after time limit: ${status}, status=${timedState.recap?.status}`);
+  if (!summary.recapPending || status !== 410 || timedState.recap?.status !== 'unconfirmed') { console.log('❌ Unconfirmed recap was not closed by the time limit'); passed = false; }
+  if (!conversations.get(timed.conversationId).some(msg => msg.role === 'assistant' && msg.recap)) { console.log('❌ Timed summary was not stored as a recap'); passed = false; }
+
+  console.log(passed ? '\n✅ Recap confirmation works' : '\n❌ Recap confirmation failed');
+  if (!passed) process.exit(1);
+}
+
+testRecapConfirmation().catch((error) => {
+  console.error('Test error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,96 @@
+// Test script for corrective reply regeneration
+// A drifting reply or a repeated event question is sent back to the model with the reason it
+// was rejected; the canned redirect lines are only used once the attempts run out. The stored
+// message records how many attempts were made and which path was taken.
+
+import './scripts/temp-state-dir.js';
+
+const profile = { id: 'test-user-regeneration', views_changed: 'Yes' };
+const conversations = new Map();
+global.db = {
+  participants: { getProfile: async () => profile },
+  conversations: {
+    save: async (userId, id, messages) => conversations.set(id, [...messages]),
+    load: async (id) => [...(conversations.get(id) || [])],
+    append: async (id, message) => conversations.set(id, [...(conversations.get(id) || []), message])
+  }
+};
+
+// First reply comes from `firstReply`; regenerations answer with `retryReply`
+let firstReply = '';
+let retryReply = '';
+const regenerationPrompts = [];
+global.llm = {
+  chat: async (messages) => {
+    if (messages[0].content.includes('REPLY REJECTED')) {
+      regenerationPrompts.push(messages[0].content);
+      return { content: retryReply };
+    }
+    return { content: firstReply };
+  }
+};
+
+const { startConversation, processReply } = await import('./backend/src/routes/chat.js');
+const { redirectLine } = await import('./backend/src/utils/onTopic.js');
+
+async function replyTo(message, first, retry) {
+  firstReply = first;
+  retryReply = retry;
+  regenerationPrompts.length = 0;
+  const { conversationId } = await startConversation({ userId: profile.id });
+  const payload = await processReply({ body: { conversationId, message, userId: profile.id } });
+  return { payload, stored: conversations.get(conversationId).at(-1) };
+}
+
+async function testReplyRegeneration() {
+  console.log('🧪 Testing reply regeneration...\n');
+  let passed = true;
+
+  const clean = await replyTo('Watching the floods on the news changed my mind', 'What was it about the flood coverage that stayed with you?', '');
+  console.log(`  Clean reply: ${JSON.stringify(clean.stored.regeneration)}`);
+  if (clean.stored.regeneration?.path !== 'original' || clean.stored.regeneration.attempts !== 1) { console.log('❌ Clean reply should be kept as the original'); passed = false; }
+
+  const goodRetry = 'You said the floods on the news changed your mind - what in that coverage stood out?';
+  const regenerated = await replyTo('Watching the floods on the news changed my mind', 'What do you think about the election this year?', goodRetry);
+  console.log(`  Regenerated: ${JSON.stringify(regenerated.stored.regeneration)}`);
+  if (regenerated.payload.reply !== goodRetry || regenerated.stored.regeneration?.path !== 'regenerated' || regenerated.stored.regeneration.attempts !== 2) {
+    console.log('❌ Drifting reply was not regenerated'); passed = false;
+  }
+  if (regenerated.stored.regeneration?.rejections[0]?.ruleId !== 'political.election' || regenerated.stored.drift.ruleId !== null) {
+    console.log('❌ Rejection was not recorded'); passed = false;
+  }
+  if (!regenerationPrompts[0]?.includes('What do you think about the election this year?') || !regenerationPrompts[0].includes('party politics')) {
+    console.log('❌ Regeneration prompt did not include the rejected reply and reason'); passed = false;
+  }
+
+  const fallback = await replyTo('Watching the floods on the news changed my mind', 'What do you think about the election this year?', 'Did the campaign change your vote?');
+  console.log(`  Fallback: ${JSON.stringify(fallback.stored.regeneration)}`);
+  if (fallback.payload.reply !== redirectLine('political') || fallback.stored.regeneration?.path !== 'canned_fallback' || fallback.stored.regeneration.attempts !== 3) {
+    console.log('❌ Canned redirect was not used after the attempts ran out'); passed = false;
+  }
+
+  // The participant already named the floods, so asking for "the event" again is rejected
+  const eventRetry = 'How did seeing those floods change what you believed humans were doing?';
+  const reask = await replyTo('The floods near my town were the turning point', 'What event made you change your mind?', eventRetry);
+  console.log(`  Event re-ask: ${JSON.stringify(reask.stored.regeneration)}`);
+  if (reask.payload.reply !== eventRetry || reask.stored.regeneration?.rejections[0]?.type !== 'event_reask') {
+    console.log('❌ Repeated event question was not regenerated'); passed = false;
+  }
+  const changedReask = await replyTo('The floods near my town were the turning point', 'What happened that changed your mind?', eventRetry);
+  if (changedReask.stored.regeneration?.rejections[0]?.type !== 'event_reask') {
+    console.log('❌ "What happened that changed your mind?" was not treated as an event question'); passed = false;
+  }
+
+  // Asking what happened next moves the story on rather than re-asking for the event
+  const next = await replyTo('The floods near my town were the turning point', 'What happened next, after the floods reached your town?', eventRetry);
+  console.log(`  What happened next: ${JSON.stringify(next.stored.regeneration)}`);
+  if (next.stored.regeneration?.path !== 'original') { console.log('❌ "What happened next?" was treated as an event question'); passed = false; }
+
+  console.log(passed ? '\n✅ Reply regeneration works' : '\n❌ Reply regeneration failed');
+  if (!passed) process.exit(1);
+}
+
+testReplyRegeneration().catch((error) => {
+  console.error('Test error:', error);
+  process.exit(1);
+});
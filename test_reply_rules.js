@@ -0,0 +1,98 @@
+// Test script for the reply rule checker
+// Each interviewer reply is checked against the prompt's rules (15-25 words, one question, no
+// stock validation phrases, no completion marker fragments); a broken rule triggers a bounded
+// rewrite and the violations are stored on the message
+
+import './scripts/temp-state-dir.js';
+
+const profile = { id: 'test-user-reply-rules', views_changed: 'Yes' };
+const conversations = new Map();
+global.db = {
+  participants: { getProfile: async () => profile },
+  conversations: {
+    save: async (userId, id, messages) => conversations.set(id, [...messages]),
+    load: async (id) => [...(conversations.get(id) || [])],
+    append: async (id, message) => conversations.set(id, [...(conversations.get(id) || []), message])
+  }
+};
+
+// Each turn has a first reply and the answer to its rewrite request
+const turns = [
+  { reply: 'That makes sense.', rewrite: 'When the floods reached your street, what about seeing the damage yourself changed how you thought about climate change?' },
+  { reply: 'When the floods reached your street, what changed in how you and your family talked about the climate? ##INTERVIEW_COMPL', rewrite: 'When the floods reached your street, what changed? ##INTERVIEW' },
+  { reply: 'That makes sense. How did that feel?', rewrite: 'Since the floods reached your street, what do you think about the election this year and the candidates?' }
+];
+let turn = null;
+const rewriteRequests = [];
+global.llm = {
+  chat: async (messages) => {
+    if (messages[0].content.includes('REPLY REJECTED')) {
+      rewriteRequests.push(messages[0].content);
+      return { content: turn.rewrite };
+    }
+    return { content: turn.reply };
+  }
+};
+
+const { createReplyRuleChecker, replyRuleChecker } = await import('./backend/src/utils/replyRules.js');
+const { startConversation, processReply } = await import('./backend/src/routes/chat.js');
+
+async function testReplyRules() {
+  console.log('🧪 Testing reply rule checker...\n');
+  let passed = true;
+
+  const ruleIds = (reply) => replyRuleChecker.check(reply).map((violation) => violation.ruleId);
+  console.log(`  "That makes sense." breaks: ${ruleIds('That makes sense.').join(', ')}`);
+  if (ruleIds('That makes sense.').join() !== 'length.words,questions.one,validation.phrases') { console.log('❌ Short validation reply was not flagged'); passed = false; }
+  if (ruleIds('So when your uncle showed you the flood photos, how did that change what you believed about it? What next?').join() !== 'questions.one') { console.log('❌ Two questions were not flagged'); passed = false; }
+  if (ruleIds('After your uncle showed you those flood photos, what did you start to believe about climate change?').length !== 0) { console.log('❌ Compliant reply was flagged'); passed = false; }
+  if (ruleIds('Thanks for sharing. INTERVIEW_COMPLETE##').at(-1) !== 'marker.fragment' || ruleIds('Thanks for sharing your story with me today, I really appreciate it. ##INTERVIEW_COMPLETE##').includes('marker.fragment')) {
+    console.log('❌ Marker fragments were not told apart from the marker'); passed = false;
+  }
+
+  try {
+    createReplyRuleChecker({ maxRewrites: -1, rules: [{ id: 'a', type: 'wordCount', min: 30, max: 10 }, { id: 'a', type: 'tone' }] });
+    console.log('❌ Invalid rules were accepted'); passed = false;
+  } catch (error) {
+    console.log(`  Rejected: ${error.message}`);
+    if (!/maxRewrites/.test(error.message) || !/min <= max/.test(error.message) || !/unknown type "tone"/.test(error.message)) { console.log('❌ Not every config error was reported'); passed = false; }
+  }
+
+  const { conversationId } = await startConversation({ userId: profile.id });
+  const send = async (next, message) => {
+    turn = next;
+    await processReply({ body: { conversationId, message, userId: profile.id } });
+    return conversations.get(conversationId).at(-1);
+  };
+
+  // Broken rules are rewritten
+  const rewritten = await send(turns[0], 'The floods near my town changed my mind');
+  console.log(`  Turn 1: ${JSON.stringify(rewritten.replyRules)}`);
+  if (rewritten.content !== turns[0].rewrite || rewritten.replyRules.path !== 'rewritten' || rewritten.replyRules.rewrites !== 1 || rewritten.replyRules.violations.length !== 3) {
+    console.log('❌ Reply breaking rules was not rewritten'); passed = false;
+  }
+  if (!rewriteRequests[0]?.includes('It is 3 words long') || !rewriteRequests[0].includes('"that makes sense"')) { console.log('❌ Rewrite request did not give the broken rules'); passed = false; }
+
+  // Marker fragments are stripped when the rewrite doesn't remove them
+  const stripped = await send(turns[1], 'Our house flooded and we had to move out for a month');
+  console.log(`  Turn 2: ${stripped.content}`);
+  if (stripped.content.includes('##') || stripped.content.includes('INTERVIEW') || stripped.replyRules.remaining.length !== 0) {
+    console.log('❌ Marker fragment reached the participant'); passed = false;
+  }
+
+  // A rewrite that drifts is discarded and the violations are kept on the message
+  const unresolved = await send(turns[2], 'My neighbours helped us clean up');
+  console.log(`  Turn 3: ${JSON.stringify(unresolved.replyRules)}`);
+  if (unresolved.content !== turns[2].reply || unresolved.replyRules.path !== 'unresolved' || unresolved.replyRules.remaining.join() !== 'length.words,validation.phrases') {
+    console.log('❌ Drifting rewrite was not discarded'); passed = false;
+  }
+  if (unresolved.replyRules.rewrites !== 1 || rewriteRequests.length !== 3) { console.log('❌ Rewrites were not bounded by maxRewrites'); passed = false; }
+
+  console.log(passed ? '\n✅ Reply rule checker works' : '\n❌ Reply rule checker failed');
+  if (!passed) process.exit(1);
+}
+
+testReplyRules().catch((error) => {
+  console.error('Test error:', error);
+  process.exit(1);
+});
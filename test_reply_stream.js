@@ -0,0 +1,115 @@
+// Test script for the /chat/reply/stream SSE endpoint
+// Verifies tokens are streamed, the completion marker never reaches the client,
+// and the final "done" payload matches what the JSON endpoint would return
+
+import './scripts/temp-state-dir.js';
+
+const STREAMED_TOKENS = ["That sounds ", "like a big shift. ", "What stood out ", "most to you?"];
+
+global.db = {
+  participants: {
+    getProfile: async (userId) => ({ id: userId, views_changed: "more_concerned" })
+  },
+  conversations: {
+    save: async () => true,
+    load: async () => [
+      { role: "system", content: "You are a research interviewer...", userId: "test-user-stream" },
+      { role: "assistant", content: "Thanks for participating in our study..." }
+    ],
+    append: async () => true
+  }
+};
+
+global.llm = {
+  chat: async () => ({ content: STREAMED_TOKENS.join("") }),
+  chatStream: async (messages, onToken) => {
+    for (const token of STREAMED_TOKENS) onToken(token);
+    return { content: STREAMED_TOKENS.join("") };
+  }
+};
+
+const chatModule = await import('./backend/src/routes/chat.js');
+
+function findHandler(path) {
+  return chatModule.default.stack.find(layer =>
+    layer.route?.path === path && layer.route?.methods?.post
+  )?.route?.stack?.[0]?.handle;
+}
+
+// Minimal response object that records SSE writes
+function createStreamResponse() {
+  const res = {
+    headers: {},
+    chunks: [],
+    ended: false,
+    set(values) { Object.assign(res.headers, values); },
+    headersSent: false,
+    flushHeaders() { res.headersSent = true; },
+    write(chunk) { res.chunks.push(chunk); },
+    end() { res.ended = true; }
+  };
+  return res;
+}
+
+function parseEvents(chunks) {
+  return chunks.join("").split("\n\n").filter(Boolean).map(raw => {
+    const [eventLine, dataLine] = raw.split("\n");
+    return { event: eventLine.replace("event: ", ""), data: JSON.parse(dataLine.replace("data: ", "")) };
+  });
+}
+
+async function testReplyStream() {
+  console.log('🧪 Testing /chat/reply/stream...\n');
+  let passed = true;
+
+  const res = createStreamResponse();
+  await findHandler('/reply/stream')({
+    body: { conversationId: 'test-stream-' + Date.now(), message: 'The floods last year made me rethink things', userId: 'test-user-stream' }
+  }, res);
+
+  const events = parseEvents(res.chunks);
+  const tokens = events.filter(e => e.event === 'token').map(e => e.data.text);
+  const done = events.find(e => e.event === 'done');
+
+  console.log(`  Content-Type: ${res.headers['Content-Type']}`);
+  console.log(`  Token events: ${tokens.length}`);
+  console.log(`  Done reply: ${done?.data.reply}`);
+
+  if (res.headers['Content-Type'] !== 'text/event-stream') { console.log('❌ Wrong content type'); passed = false; }
+  if (tokens.length < 2) { console.log('❌ Reply was not streamed incrementally'); passed = false; }
+  if (!done || done.data.reply !== tokens.join('').trim()) { console.log('❌ Done payload does not match streamed text'); passed = false; }
+  if (!res.ended) { console.log('❌ Stream was not closed'); passed = false; }
+
+  // The completion marker must be filtered even when split across tokens
+  global.llm.chatStream = async (messages, onToken) => {
+    const parts = ["Thank you for sharing. ##INTER", "VIEW_COMP", "LETE##"];
+    parts.forEach(onToken);
+    return { content: parts.join("") };
+  };
+  const endRes = createStreamResponse();
+  await findHandler('/reply/stream')({
+    body: { conversationId: 'test-stream-end-' + Date.now(), message: 'I think that covers it', userId: 'test-user-stream' }
+  }, endRes);
+
+  const endEvents = parseEvents(endRes.chunks);
+  const streamedText = endEvents.filter(e => e.event === 'token').map(e => e.data.text).join('');
+  const endDone = endEvents.find(e => e.event === 'done');
+
+  const replaced = endEvents.find(e => e.event === 'replace');
+
+  console.log(`\n  Streamed text: ${streamedText}`);
+  console.log(`  Recap pending: ${endDone?.data.recapPending}`);
+
+  if (streamedText.includes('#')) { console.log('❌ Completion marker leaked into the stream'); passed = false; }
+  // The marker leads to the recap confirmation step rather than ending the session
+  if (endDone?.data.sessionEnded || !endDone?.data.recapPending) { console.log('❌ Completion marker did not lead to the recap'); passed = false; }
+  if (!replaced || replaced.data.reply !== endDone.data.reply) { console.log('❌ Streamed text was not replaced by the recap'); passed = false; }
+
+  console.log(passed ? '\n✅ Reply streaming works' : '\n❌ Reply streaming failed');
+  if (!passed) process.exit(1);
+}
+
+testReplyStream().catch((error) => {
+  console.error('Test error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,98 @@
+// Test script for the shared conversation summary service
+// Checks the LLM tier (themes with supporting turns), the heuristic fallback when the model
+// output is unusable, and that the router's end-of-chat path stores the result and its tier
+
+import './scripts/temp-state-dir.js';
+
+const profile = { id: 'test-user-summary', views_changed: 'Yes', change_description: 'From thinking climate change is not urgent, to thinking it is urgent' };
+const conversations = new Map();
+const savedSummaries = new Map();
+global.db = {
+  participants: {
+    getProfile: async () => profile,
+    saveConversationSummary: async (userId, summary) => savedSummaries.set(userId, summary)
+  },
+  conversations: {
+    save: async (userId, id, messages) => conversations.set(id, [...messages]),
+    load: async (id) => [...(conversations.get(id) || [])],
+    append: async (id, message) => conversations.set(id, [...(conversations.get(id) || []), message])
+  }
+};
+
+const MODEL_SUMMARY = JSON.stringify({
+  themes: [
+    { text: 'You saw the floods in your town as a turning point', turns: [1, 2] },
+    { text: 'You talked about your family changing their views too', turns: [2, 99] }
+  ]
+});
+
+let modelReply = MODEL_SUMMARY;
+global.llm = {
+  chat: async (messages, options) => ({
+    content: options?.purpose === 'conversationSummary' ? modelReply : 'Thank you for sharing your story with me.'
+  })
+};
+
+const { summaryService } = await import('./backend/src/utils/summaryService.js');
+const { startConversation, processReply } = await import('./backend/src/routes/chat.js');
+
+const transcript = [
+  { role: 'assistant', content: 'What first made you think differently?' },
+  { role: 'user', content: 'The floods in our town two years ago were a real shock' },
+  { role: 'assistant', content: 'What happened after that?' },
+  { role: 'user', content: 'My family started reading the news about it and we all changed our minds' }
+];
+
+async function testSummaryService() {
+  console.log('🧪 Testing conversation summary service...\n');
+  let passed = true;
+
+  const llmSummary = await summaryService.summarize(transcript, { profile });
+  console.log(`  LLM tier: ${llmSummary.tier}, themes: ${JSON.stringify(llmSummary.themes)}`);
+  if (llmSummary.tier !== 'llm' || llmSummary.themes.length !== 2) { console.log('❌ Expected two LLM themes'); passed = false; }
+  if (JSON.stringify(llmSummary.themes[1].turns) !== '[2]') { console.log('❌ Turns outside the transcript were kept'); passed = false; }
+  // The participant record and the exports keep the summary as plain text
+  if (summaryService.formatSummaryText(llmSummary) !== '• You saw the floods in your town as a turning point\n• You talked about your family changing their views too') {
+    console.log('❌ Summary text should list one theme per line'); passed = false;
+  }
+
+  modelReply = 'Here is a summary: the participant talked about floods.';
+  const heuristicSummary = await summaryService.summarize(transcript, { profile });
+  console.log(`  Fallback tier: ${heuristicSummary.tier}, themes: ${heuristicSummary.themes.length}`);
+  if (heuristicSummary.tier !== 'heuristic') { console.log('❌ Unusable model output should fall back to the heuristic tier'); passed = false; }
+  if (heuristicSummary.themes.length > 5 || !heuristicSummary.themes.some(theme => theme.turns.includes(2))) {
+    console.log('❌ Heuristic themes should cite their supporting turns'); passed = false;
+  }
+
+  // Summary requests are not participant turns, and only line-leading bullets make a summary
+  const turns = summaryService.getParticipantTurns([
+    ...transcript,
+    { role: 'user', content: 'We have about one minute left. Could you please summarize the key themes?', summaryRequest: true },
+    { role: 'user', content: 'I also started cycling to work instead of driving' }
+  ]);
+  console.log(`  Turns: ${JSON.stringify(turns.map(({ turn }) => turn))}`);
+  if (turns.length !== 3 || turns[2].turn !== 3) { console.log('❌ Summary request was counted as a participant turn'); passed = false; }
+  const inlineHyphens = [{ role: 'assistant', content: 'A well-known, long-term shift - tell me more about it?' }];
+  const bullets = [{ role: 'assistant', content: 'Here is what I heard:\n• The floods\n- Your family' }];
+  if (summaryService.hasModelSummary(inlineHyphens) || !summaryService.hasModelSummary(bullets)) {
+    console.log('❌ Bullet detection matched inline hyphens or missed real bullets'); passed = false;
+  }
+
+  // Router end path: ending the chat (after confirming the recap) stores the summary
+  modelReply = MODEL_SUMMARY;
+  const { conversationId } = await startConversation({ userId: profile.id });
+  await processReply({ body: { conversationId, message: 'The floods in our town changed everything for me', userId: profile.id } });
+  await processReply({ body: { conversationId, message: 'I want to end the chat', userId: profile.id } });
+  const ended = await processReply({ body: { conversationId, message: 'confirm', userId: profile.id } });
+  const stored = savedSummaries.get(profile.id);
+  console.log(`  Session ended: ${ended.sessionEnded}, stored tier: ${stored?.tier}`);
+  if (!ended.sessionEnded || stored?.tier !== 'llm') { console.log('❌ End of chat did not store the LLM summary'); passed = false; }
+
+  console.log(passed ? '\n✅ Summary service works' : '\n❌ Summary service failed');
+  if (!passed) process.exit(1);
+}
+
+testSummaryService().catch((error) => {
+  console.error('Test error:', error);
+  process.exit(1);
+});
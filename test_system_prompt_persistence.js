@@ -2,9 +2,9 @@
 // This test verifies that the system prompt is consistently reconstructed 
 // with participant profile data on each conversation turn
 
+import './scripts/temp-state-dir.js';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-import fs from 'fs';
+import { dirname } from 'path';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
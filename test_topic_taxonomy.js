@@ -0,0 +1,82 @@
+// Test script for the topic taxonomy
+// Participant turns are tagged with every topic of the configured lexicon they mention, with a
+// confidence; topicTurnCount follows the most specific topics and the tags are stored on each
+// participant message
+
+import './scripts/temp-state-dir.js';
+
+const profile = { id: 'test-user-topics', views_changed: 'Yes' };
+const conversations = new Map();
+global.db = {
+  participants: { getProfile: async () => profile },
+  conversations: {
+    save: async (userId, id, messages) => conversations.set(id, [...messages]),
+    load: async (id) => [...(conversations.get(id) || [])],
+    append: async (id, message) => conversations.set(id, [...(conversations.get(id) || []), message])
+  }
+};
+global.llm = {
+  chat: async () => ({ content: 'When the bushfire smoke reached your town, what did you start to believe about the changing climate then?' })
+};
+
+const { tagTopics, specificTopics, validateTopicTaxonomy, getTopicTaxonomy } = await import('./backend/src/utils/topicTaxonomy.js');
+const { conversationStateManager } = await import('./backend/src/utils/conversationStateManager.js');
+const { startConversation, processReply } = await import('./backend/src/routes/chat.js');
+
+async function testTopicTaxonomy() {
+  console.log('🧪 Testing topic taxonomy...\n');
+  let passed = true;
+
+  // Multi-label tagging with parents and confidence
+  const tags = tagTopics('The bushfires and the smoke were on the news every night');
+  console.log(`  Tags: ${tags.map((tag) => `${tag.id}=${tag.confidence}`).join(', ')}`);
+  const confidence = (id) => tags.find((tag) => tag.id === id)?.confidence;
+  if (confidence('extreme_weather.bushfire') !== 0.75 || confidence('extreme_weather') !== 0.75 || confidence('media.news') !== 0.5 || confidence('media') !== 0.5) {
+    console.log('❌ Turn was not tagged with every topic and its parents'); passed = false;
+  }
+  if (specificTopics(tags).join() !== 'extreme_weather.bushfire,media.news') { console.log('❌ Specific topics were wrong'); passed = false; }
+  if (tagTopics('Yeah').length !== 0 || specificTopics([]).join() !== 'general') { console.log('❌ Untagged turn was not general'); passed = false; }
+  if (tagTopics('My uncle fired the wildfire warnings at me', { ...getTopicTaxonomy(), minConfidence: 0.9 }).length !== 0) { console.log('❌ minConfidence was not applied'); passed = false; }
+
+  try {
+    validateTopicTaxonomy({ version: '', minConfidence: 2, topics: [{ id: 'weather', terms: ['storm'] }, { id: 'weather', terms: [] }, { id: 'Bad Id', terms: [7] }] });
+    console.log('❌ Invalid taxonomy was accepted'); passed = false;
+  } catch (error) {
+    console.log(`  Rejected: ${error.message}`);
+    if (error.errors.length !== 6) { console.log('❌ Not every taxonomy error was reported'); passed = false; }
+  }
+
+  // topicTurnCount follows the most specific topics: bushfire, bushfire, flood, flood + politics
+  const conversationId = 'test-topics-' + Date.now();
+  const counts = [];
+  for (const text of ['The bushfires were terrifying', 'The fire came right up to our fence', 'Then the floods came the next year', 'The floods made me angry at the government']) {
+    counts.push((await conversationStateManager.updateConversationState(conversationId, text)).topicTurnCount);
+  }
+  console.log(`  topicTurnCount: ${counts.join(', ')}`);
+  if (counts.join() !== '1,2,1,2') { console.log('❌ topicTurnCount did not follow the topics'); passed = false; }
+
+  // Router: participant messages carry their tags, and recovery replays the counting
+  const started = await startConversation({ userId: profile.id });
+  for (const message of ['The bushfires near my town changed everything', 'The smoke from the fires lasted for weeks', 'I saw a documentary about it']) {
+    await processReply({ body: { conversationId: started.conversationId, message, userId: profile.id } });
+  }
+  const messages = conversations.get(started.conversationId);
+  const userTopics = messages.filter((message) => message.role === 'user').map((message) => (message.topics || []).map((tag) => tag.id).join('+'));
+  console.log(`  Stored: ${userTopics.join(' | ')}`);
+  if (userTopics.join('|') !== 'extreme_weather.bushfire+extreme_weather|extreme_weather.bushfire+extreme_weather|science') {
+    console.log('❌ Topic tags were not stored on participant messages'); passed = false;
+  }
+  const state = await conversationStateManager.findConversationState(started.conversationId);
+  const rebuilt = conversationStateManager.rebuildStateFromMessages(started.conversationId, messages);
+  if (state.topicTurnCount !== 1 || state.lastTopic !== 'science' || rebuilt.topicTurnCount !== state.topicTurnCount || [...rebuilt.exploredTopics].join() !== [...state.exploredTopics].join()) {
+    console.log('❌ Recovered topic counters differ'); passed = false;
+  }
+
+  console.log(passed ? '\n✅ Topic taxonomy works' : '\n❌ Topic taxonomy failed');
+  if (!passed) process.exit(1);
+}
+
+testTopicTaxonomy().catch((error) => {
+  console.error('Test error:', error);
+  process.exit(1);
+});